@@ -65,6 +65,21 @@ class DatabaseService {
     this.version = version;
     this.db = null;
     this.onReady = onReady;
+    
+    // Encryption at rest: stores whose records are encrypted, and the fields left in the clear
+    this.cipher = null;
+    this.encryptedStores = {
+      notes: ['id', 'projectId', 'date'],
+      searchIndex: ['id'],
+      versions: ['noteId', 'timestamp'],
+      checkpoints: ['id', 'projectId'],
+      commands: ['id'],
+      notebooks: ['id', 'order']
+    };
+    
+    // Writes are applied in call order, even when encrypting takes a while
+    this.queue = Promise.resolve();
+    
     this.init();
   }
 
@@ -91,6 +106,35 @@ class DatabaseService {
       if (!db.objectStoreNames.contains('projects')) {
         db.createObjectStore('projects', { keyPath: 'id' });
       }
+      
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        db.createObjectStore('searchIndex', { keyPath: 'id' });
+      }
+      
+      // Note history, one record per version; existing versions arrays are moved here after loading
+      if (!db.objectStoreNames.contains('versions')) {
+        db.createObjectStore('versions', { keyPath: ['noteId', 'timestamp'] });
+      }
+      
+      // Project checkpoints, each pointing at one version of every note in the project
+      if (!db.objectStoreNames.contains('checkpoints')) {
+        db.createObjectStore('checkpoints', { keyPath: 'id' });
+      }
+      
+      // Undo and redo entries; they can hold note content, so they are encrypted like notes
+      if (!db.objectStoreNames.contains('commands')) {
+        db.createObjectStore('commands', { keyPath: 'id' });
+      }
+      
+      // Unencrypted app metadata such as the wrapped encryption key
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'id' });
+      }
+      
+      // Smart notebooks: saved project, tag, search and sort combinations
+      if (!db.objectStoreNames.contains('notebooks')) {
+        db.createObjectStore('notebooks', { keyPath: 'id' });
+      }
     };
     
     request.onsuccess = (event) => {
@@ -102,13 +146,84 @@ class DatabaseService {
     };
   }
 
+  /**
+   * Set the cipher used to encrypt and decrypt records, or null for plaintext
+   * @param {CryptoService|null} cipher - Unlocked crypto service
+   */
+  setCipher(cipher) {
+    this.cipher = cipher;
+  }
+
+  /**
+   * Run a write after all previously queued writes
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<*>} - Result of the task
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Encrypt a record if its store is encrypted
+   * @param {string} storeName - Name of the object store
+   * @param {Object} item - Plain record
+   * @returns {Promise<Object>} - Record as it should be stored
+   */
+  async encode(storeName, item) {
+    const clearFields = this.encryptedStores[storeName];
+    if (!this.cipher || !clearFields) return item;
+    
+    const record = {};
+    const secret = {};
+    Object.entries(item).forEach(([key, value]) => {
+      if (clearFields.includes(key)) {
+        record[key] = value;
+      } else {
+        secret[key] = value;
+      }
+    });
+    
+    record.encrypted = await this.cipher.encrypt(secret);
+    return record;
+  }
+
+  /**
+   * Decrypt a stored record if it is encrypted
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object>} - Plain record
+   */
+  async decode(record) {
+    if (!record || !record.encrypted) return record;
+    if (!this.cipher) {
+      throw new Error('Notebook is locked');
+    }
+    
+    const { encrypted, ...clear } = record;
+    return { ...clear, ...(await this.cipher.decrypt(encrypted)) };
+  }
+
   /**
    * Get all items from a store
    * @param {string} storeName - Name of the object store
+   * @param {IDBKeyRange} [query] - Only return items with keys in this range
    * @returns {Promise<Array>} - Promise resolving to array of items
    */
-  getAll(storeName) {
-    return new Promise((resolve, reject) => {
+  async getAll(storeName, query) {
+    const records = await this.getAllRecords(storeName, query);
+    return Promise.all(records.map(record => this.decode(record)));
+  }
+
+  /**
+   * Get all records from a store exactly as stored
+   * @param {string} storeName - Name of the object store
+   * @param {IDBKeyRange} [query] - Only return records with keys in this range
+   * @returns {Promise<Array>} - Promise resolving to array of records
+   */
+  getAllRecords(storeName, query) {
+    // Wait for queued writes so reads never see stale data
+    return this.queue.then(() => new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -116,11 +231,11 @@ class DatabaseService {
       
       const transaction = this.db.transaction(storeName, 'readonly');
       const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+      const request = store.getAll(query);
       
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
-    });
+    }));
   }
 
   /**
@@ -130,7 +245,7 @@ class DatabaseService {
    * @returns {Promise<Object>} - Promise resolving to the item
    */
   get(storeName, id) {
-    return new Promise((resolve, reject) => {
+    return this.queue.then(() => new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -142,7 +257,7 @@ class DatabaseService {
       
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
-    });
+    })).then(record => this.decode(record));
   }
 
   /**
@@ -152,7 +267,10 @@ class DatabaseService {
    * @returns {Promise<void>}
    */
   put(storeName, item) {
-    return new Promise((resolve, reject) => {
+    // Start encrypting right away; the item is serialized before any await
+    const encoded = this.encode(storeName, item);
+    
+    return this.enqueue(() => encoded.then(record => new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -160,24 +278,24 @@ class DatabaseService {
       
       const transaction = this.db.transaction(storeName, 'readwrite');
       const store = transaction.objectStore(storeName);
-      const request = store.put(item);
+      const request = store.put(record);
       
       request.onsuccess = () => resolve();
       request.onerror = (event) => {
         console.error("Error putting data in IndexedDB:", event.target.error);
         reject(request.error);
       };
-    });
+    })));
   }
 
   /**
    * Delete an item from a store
    * @param {string} storeName - Name of the object store
-   * @param {string|number} id - ID of the item to delete
+   * @param {string|number|IDBKeyRange} id - ID of the item to delete, or a range of IDs
    * @returns {Promise<void>}
    */
   delete(storeName, id) {
-    return new Promise((resolve, reject) => {
+    return this.enqueue(() => new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
         return;
@@ -189,1070 +307,10060 @@ class DatabaseService {
       
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
-    });
+    }));
   }
-}
 
-// ---------------
-// Toast Service
-// ---------------
-class ToastService {
-  constructor(containerSelector) {
-    this.container = document.querySelector(containerSelector);
-    if (!this.container) {
-      console.warn(`Toast container not found: ${containerSelector}`);
-      this.container = document.createElement('div');
-      this.container.className = 'toast-container';
-      document.body.appendChild(this.container);
-    }
+  /**
+   * Remove every item from a store
+   * @param {string} storeName - Name of the object store
+   * @returns {Promise<void>}
+   */
+  clear(storeName) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.clear();
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    }));
   }
 
   /**
-   * Show a toast notification
-   * @param {string} message - Message to display
-   * @param {string} type - Type of toast (success, error, info)
-   * @param {number} duration - Duration in milliseconds
+   * Apply several changes in one transaction, so either all of them are stored or none is
+   * @param {Array<Object>} operations - Applied in order: {type: 'put', storeName, item},
+   *   {type: 'delete', storeName, key} or {type: 'clear', storeName}
+   * @returns {Promise<void>} - Resolves once the transaction has committed
    */
-  show(message, type = 'info', duration = 3000) {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
-    
-    this.container.appendChild(toast);
-    
-    // Force reflow to enable transition
-    setTimeout(() => {
-      toast.classList.add('visible');
-    }, 10);
+  batch(operations) {
+    // Encrypt before opening the transaction, which would commit while waiting for the cipher
+    const encoded = Promise.all(operations.map(operation =>
+      (operation.type === 'put' ? this.encode(operation.storeName, operation.item) : null)
+    ));
     
-    setTimeout(() => {
-      toast.classList.remove('visible');
-      setTimeout(() => toast.remove(), 300); // Wait for fade-out transition
-    }, duration);
+    return this.enqueue(() => encoded.then(records => new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      
+      const storeNames = [...new Set(operations.map(operation => operation.storeName))];
+      if (storeNames.length === 0) {
+        resolve();
+        return;
+      }
+      
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => {
+        console.error("Transaction aborted:", transaction.error);
+        reject(transaction.error || new Error('Transaction aborted'));
+      };
+      
+      try {
+        operations.forEach((operation, index) => {
+          const store = transaction.objectStore(operation.storeName);
+          if (operation.type === 'put') {
+            store.put(records[index]);
+          } else if (operation.type === 'delete') {
+            store.delete(operation.key);
+          } else {
+            store.clear();
+          }
+        });
+      } catch (error) {
+        // e.g. a record without a valid key; undo whatever was already applied
+        transaction.abort();
+        reject(error);
+      }
+    })));
   }
 
   /**
-   * Show a toast with an input field
-   * @param {string} message - Message/question to display
-   * @param {Function} callback - Function to call with input value
+   * Rewrite every record of the encrypted stores with a different cipher
+   * Records are read with the current cipher, so pass null to decrypt everything.
+   * @param {CryptoService|null} cipher - Cipher to switch to
+   * @returns {Promise<number>} - Number of records rewritten
    */
-  showInputPrompt(message, callback) {
-    const toast = document.createElement('div');
-    toast.className = 'toast info';
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.textContent = message;
-    
-    const input = document.createElement('input');
-    input.setAttribute('type', 'text');
-    
-    const button = document.createElement('button');
-    button.textContent = 'OK';
-    button.className = 'gradient-button';
-    button.style.marginTop = '8px';
-    button.addEventListener('click', () => {
-      callback(input.value);
-      toast.classList.remove('visible');
-      setTimeout(() => toast.remove(), 300);
-    });
+  async recrypt(cipher) {
+    const storeNames = Object.keys(this.encryptedStores);
+    const contents = {};
     
-    toast.appendChild(messageDiv);
-    toast.appendChild(input);
-    toast.appendChild(button);
+    // Read everything before switching, so nothing is left unreadable
+    for (const storeName of storeNames) {
+      contents[storeName] = await this.getAll(storeName);
+    }
     
-    this.container.appendChild(toast);
+    this.setCipher(cipher);
     
-    // Force reflow to enable transition
-    setTimeout(() => {
-      toast.classList.add('visible');
-      input.focus();
-    }, 10);
+    let count = 0;
+    for (const storeName of storeNames) {
+      for (const item of contents[storeName]) {
+        await this.put(storeName, item);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Encrypt records that are still plaintext, e.g. after an interrupted migration
+   * @returns {Promise<number>} - Number of records encrypted
+   */
+  async encryptRemaining() {
+    if (!this.cipher) return 0;
     
-    // Handle Enter key
-    input.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        button.click();
+    let count = 0;
+    for (const storeName of Object.keys(this.encryptedStores)) {
+      const records = await this.getAllRecords(storeName);
+      for (const record of records.filter(record => !record.encrypted)) {
+        await this.put(storeName, record);
+        count++;
       }
-    });
+    }
+    return count;
   }
 }
 
 // ---------------
-// Main Application
+// Version Store - Delta-compressed note history in its own object store
 // ---------------
-class NotesApp {
-  constructor() {
-    // State
-    this.notes = [];
-    this.projects = [];
-    this.tags = new Set();
-    this.currentProject = null;
-    this.currentTag = null;
-    this.searchTerm = '';
-    this.versioningInterval = 5000; // Default: 5 seconds
-    this.isDarkTheme = false;
-    this.sidebarCollapsed = false;
-    this.projectColors = [
-      '#6366f1', '#8b5cf6', '#ec4899', '#ef4444', 
-      '#f59e0b', '#10b981', '#06b6d4', '#3b82f6'
-    ];
-    
-    // Services
-    this.events = new EventEmitter();
-    this.toastService = new ToastService('#toast-container');
-    
-    // Init app
-    this.initElements();
-    this.loadSettings();
-    this.setupDatabase();
+class VersionStore {
+  constructor(db, textDiff) {
+    this.db = db;
+    this.textDiff = textDiff;
+    this.keyframeInterval = 20; // A full copy at least every N versions
+    this.heads = new Map(); // Note ID -> newest two versions, for cheap updates while typing
+    this.queue = Promise.resolve(); // Updates depend on the previous head, so run one at a time
   }
 
   /**
-   * Initialize and cache DOM element references
+   * Key range covering every version of a note
+   * @param {string|number} noteId - Note ID
+   * @returns {IDBKeyRange} - Range over [noteId, timestamp] keys
    */
-  initElements() {
-    // Main elements
-    this.elements = {
-      sidebar: document.getElementById('sidebar'),
-      sidebarToggle: document.getElementById('sidebar-toggle'),
-      mainContent: document.getElementById('main-content'),
-      notesContainer: document.getElementById('notes-container'),
-      projectsList: document.getElementById('projects-list'),
-      tagsContainer: document.getElementById('tags-container'),
-      searchInput: document.getElementById('search-input'),
-      wordCount: document.getElementById('word-count'),
-      statsCount: document.getElementById('stats-count'),
-      authorInput: document.getElementById('author-input'),
-      sidebarAuthor: document.getElementById('sidebar-author'),
-      themeToggle: document.getElementById('theme-toggle'),
-      addNoteBtn: document.getElementById('add-note-btn'),
-      addProjectBtn: document.getElementById('add-project-btn'),
-      viewAllProjects: document.getElementById('view-all-projects'),
-      versionFrequency: document.getElementById('version-frequency'),
-      
-      // Modals
-      versionModal: document.getElementById('version-modal'),
-      projectsModal: document.getElementById('projects-modal'),
-      versionList: document.getElementById('version-list'),
-      projectsGrid: document.getElementById('projects-grid')
-    };
-    
-    // Check if all required elements exist
-    Object.entries(this.elements).forEach(([key, element]) => {
-      if (!element) {
-        console.warn(`Element not found: #${key}`);
-      }
-    });
-    
-    // Modal close buttons
-    this.modalCloseButtons = document.querySelectorAll('.modal-close');
+  range(noteId) {
+    return IDBKeyRange.bound([noteId, -Infinity], [noteId, Infinity]);
   }
 
   /**
-   * Load settings from localStorage
+   * Run an update after all previously queued ones
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<*>} - Result of the task
    */
-  loadSettings() {
-    // Theme preference
-    this.isDarkTheme = localStorage.getItem('theme') === 'dark';
-    document.body.classList.toggle('dark-theme', this.isDarkTheme);
-    
-    // Author name
-    const author = localStorage.getItem('author');
-    if (author) {
-      this.elements.authorInput.value = author;
-      this.elements.sidebarAuthor.textContent = author;
-    }
-    
-    // Versioning interval
-    const interval = parseInt(localStorage.getItem('versioningInterval'), 10);
-    if (!isNaN(interval)) {
-      this.versioningInterval = interval;
-      this.elements.versionFrequency.value = interval.toString();
-    }
-    
-    // Sidebar state
-    this.sidebarCollapsed = localStorage.getItem('sidebarCollapsed') === 'true';
-    this.elements.sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
-    this.elements.mainContent.classList.toggle('full-width', this.sidebarCollapsed);
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
   }
 
   /**
-   * Set up the database and load initial data
+   * Load and rebuild every version of a note, oldest first
+   * @param {string|number} noteId - Note ID
+   * @returns {Promise<Array<Object>>} - Versions with full content
    */
-  setupDatabase() {
-    try {
-      this.db = new DatabaseService('ModernNotesDB', 1, () => {
-        this.loadData();
-      });
-    } catch (error) {
-      console.error('Failed to initialize database:', error);
-      this.toastService.show('Failed to connect to database. Some features may not work.', 'error');
-      // Basic fallback - empty arrays for notes and projects
-      this.notes = [];
-      this.projects = [];
-      this.renderProjects();
-      this.renderNotes();
-      this.renderTags();
-    }
+  async load(noteId) {
+    await this.queue;
+    return this.read(noteId);
   }
 
   /**
-   * Load all data from database
+   * Rebuild every version of a note without waiting for queued updates
+   * @param {string|number} noteId - Note ID
+   * @returns {Promise<Array<Object>>} - Versions with full content
    */
-  async loadData() {
-    try {
-      // Load notes
-      const notes = await this.db.getAll('notes');
-      console.log('Loaded notes from IndexedDB:', notes);
-      
-      this.notes = notes.map(note => ({
-        ...note,
-        versions: Array.isArray(note.versions) 
-          ? note.versions 
-          : [{ content: note.content, date: note.date }]
-      }));
-      
-      // Extract tags from notes
-      this.notes.forEach(note => {
-        (note.tags || []).forEach(tag => this.tags.add(tag));
-      });
-      
-      // Load projects
-      this.projects = await this.db.getAll('projects');
-      console.log('Loaded projects from IndexedDB:', this.projects);
-      
-      // Initial render
-      this.renderProjects();
-      this.renderNotes();
-      this.renderTags();
-      this.updateWordCount();
-      
-      // Add event listeners after data is loaded
-      this.addEventListeners();
+  async read(noteId) {
+    const records = await this.db.getAll('versions', this.range(noteId));
+    
+    let content = '';
+    let sinceKeyframe = 0;
+    const versions = records.map(record => {
+      const { keyframe, delta, content: stored, ...fields } = record;
       
-      this.toastService.show('Data loaded successfully', 'success');
-    } catch (error) {
-      console.error('Error loading data:', error);
-      this.toastService.show('Error loading data', 'error');
-    }
+      if (keyframe) {
+        content = stored;
+        sinceKeyframe = 0;
+      } else {
+        content = this.textDiff.applyDelta(content, delta);
+        sinceKeyframe++;
+      }
+      return { ...fields, content };
+    });
+    
+    this.heads.set(String(noteId), versions.length > 0 ? {
+      timestamp: versions[versions.length - 1].timestamp,
+      content,
+      previousContent: versions.length > 1 ? versions[versions.length - 2].content : null,
+      sinceKeyframe
+    } : null);
+    
+    return versions;
   }
 
   /**
-   * Attach event listeners to UI elements
+   * Save content as a new version, or as an update of the newest one
+   * @param {string|number} noteId - Note ID
+   * @param {Object} version - {date, content}
+   * @param {boolean} replaceLatest - Overwrite the newest version instead of adding one
+   * @returns {Promise<void>}
    */
-  addEventListeners() {
-    // Sidebar toggle
-    this.elements.sidebarToggle.addEventListener('click', () => {
-      this.toggleSidebar();
-    });
-    
-    // Add note button
-    this.elements.addNoteBtn.addEventListener('click', () => {
-      this.createNote();
-    });
-    
-    // Add project button
-    this.elements.addProjectBtn.addEventListener('click', () => {
-      this.toastService.showInputPrompt('Enter project name:', (name) => {
-        if (name.trim()) {
-          this.addProject(name);
-        }
-      });
-    });
-    
-    // View all projects
-    this.elements.viewAllProjects.addEventListener('click', () => {
-      this.showProjectsModal();
-    });
-    
-    // Theme toggle
-    this.elements.themeToggle.addEventListener('click', () => {
-      this.toggleTheme();
-    });
-    
-    // Versioning frequency change
-    this.elements.versionFrequency.addEventListener('change', (e) => {
-      this.updateVersioningInterval(e.target.value);
-    });
-    
-    // Modal close buttons
-    this.modalCloseButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        this.closeModals();
-      });
-    });
+  save(noteId, version, replaceLatest) {
+    return this.enqueue(() => this.append(noteId, version, replaceLatest));
+  }
+
+  /**
+   * Write a version after the current head, without queueing
+   * @param {string|number} noteId - Note ID
+   * @param {Object} version - {date, content} plus any extra fields to store
+   * @param {boolean} replaceLatest - Overwrite the newest version instead of adding one
+   * @returns {Promise<number>} - Timestamp of the written version
+   */
+  async append(noteId, version, replaceLatest) {
+    const { record, head } = await this.next(noteId, version, replaceLatest);
+    await this.db.put('versions', record);
     
-    // Search input
-    this.elements.searchInput.addEventListener('input', (e) => {
-      this.searchTerm = e.target.value.toLowerCase();
-      this.renderNotes();
+    this.heads.set(String(noteId), head);
+    return head.timestamp;
+  }
+
+  /**
+   * Add a version to each of several notes in one transaction, with other records written alongside
+   * @param {Array<{noteId: string|number, version: Object}>} additions - Notes and their new {date, content}
+   * @param {Array<Object>} [operations] - More operations for DatabaseService.batch(), e.g. the notes themselves
+   * @returns {Promise<void>}
+   */
+  appendAll(additions, operations = []) {
+    return this.enqueue(async () => {
+      const batch = [...operations];
+      const heads = new Map();
+      for (const { noteId, version } of additions) {
+        const { record, head } = await this.next(noteId, version, false);
+        batch.push({ type: 'put', storeName: 'versions', item: record });
+        heads.set(String(noteId), head);
+      }
+      
+      await this.db.batch(batch);
+      heads.forEach((head, noteId) => this.heads.set(noteId, head));
     });
+  }
+
+  /**
+   * Encode the version that would follow the current head, without writing it
+   * @param {string|number} noteId - Note ID
+   * @param {Object} version - {date, content} plus any extra fields to store
+   * @param {boolean} replaceLatest - Overwrite the newest version instead of adding one
+   * @returns {Promise<{record: Object, head: Object}>} - Record to store, and the head once it is stored
+   */
+  async next(noteId, version, replaceLatest) {
+    if (!this.heads.has(String(noteId))) {
+      await this.read(noteId);
+    }
+    const head = this.heads.get(String(noteId));
+    const replacing = Boolean(replaceLatest && head);
+    const previousContent = replacing ? head.previousContent : (head ? head.content : null);
+    const sinceKeyframe = replacing ? head.sinceKeyframe : (head ? head.sinceKeyframe + 1 : 0);
     
-    // Author input
-    this.elements.authorInput.addEventListener('change', (e) => {
-      const author = e.target.value;
-      localStorage.setItem('author', author);
-      this.elements.sidebarAuthor.textContent = author;
-    });
+    // Timestamps are keys, so they must keep increasing even if the clock doesn't
+    let timestamp = new Date(version.date).getTime();
+    if (replacing) {
+      timestamp = head.timestamp;
+    } else if (head) {
+      timestamp = Math.max(timestamp, head.timestamp + 1);
+    }
     
-    // Close modals when clicking outside
-    window.addEventListener('click', (e) => {
-      if (e.target.classList.contains('modal')) {
-        this.closeModals();
+    const record = this.encode(noteId, { ...version, timestamp }, previousContent, sinceKeyframe);
+    return {
+      record,
+      head: {
+        timestamp,
+        content: version.content,
+        previousContent,
+        sinceKeyframe: record.keyframe ? 0 : sinceKeyframe
+      }
+    };
+  }
+
+  /**
+   * Set or clear metadata such as a label on one version
+   * @param {string|number} noteId - Note ID
+   * @param {number} timestamp - Version timestamp
+   * @param {Object} fields - Fields to set; undefined values are removed
+   * @returns {Promise<void>}
+   */
+  annotate(noteId, timestamp, fields) {
+    return this.enqueue(async () => {
+      const record = await this.db.get('versions', [noteId, timestamp]);
+      if (!record) {
+        throw new Error('Version not found');
       }
+      
+      // Content and delta are untouched, so the chain stays valid
+      const updated = { ...record };
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete updated[key];
+        } else {
+          updated[key] = value;
+        }
+      });
+      await this.db.put('versions', updated);
     });
-    
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      // Escape to close modals
-      if (e.key === 'Escape') {
-        this.closeModals();
+  }
+
+  /**
+   * Pin the version matching some content, adding one if the newest version differs
+   * @param {string|number} noteId - Note ID
+   * @param {Object} version - {date, content}
+   * @returns {Promise<{timestamp: number, added: boolean}>} - Pinned version and whether it is new
+   */
+  pin(noteId, version) {
+    return this.enqueue(async () => {
+      if (!this.heads.has(String(noteId))) {
+        await this.read(noteId);
       }
+      const head = this.heads.get(String(noteId));
       
-      // Ctrl+N to create a new note
-      if (e.ctrlKey && e.key.toLowerCase() === 'n') {
-        e.preventDefault();
-        this.createNote();
+      if (head && head.content === version.content) {
+        const record = await this.db.get('versions', [noteId, head.timestamp]);
+        await this.db.put('versions', { ...record, pinned: true });
+        return { timestamp: head.timestamp, added: false };
       }
+      
+      const timestamp = await this.append(noteId, { ...version, pinned: true }, false);
+      return { timestamp, added: true };
     });
   }
 
   /**
-   * Toggle sidebar visibility
+   * Replace the whole history of a note
+   * @param {string|number} noteId - Note ID
+   * @param {Array<Object>} versions - Versions with full content and dates, oldest first
+   * @returns {Promise<void>}
    */
-  toggleSidebar() {
-    this.sidebarCollapsed = !this.sidebarCollapsed;
-    this.elements.sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
-    this.elements.mainContent.classList.toggle('full-width', this.sidebarCollapsed);
-    localStorage.setItem('sidebarCollapsed', this.sidebarCollapsed.toString());
+  replace(noteId, versions) {
+    return this.enqueue(() => this.write(noteId, versions));
   }
 
   /**
-   * Toggle between light and dark themes
+   * Drop versions of a note that a filter doesn't keep
+   * Runs in the update queue, so edits made meanwhile are never lost.
+   * @param {string|number} noteId - Note ID
+   * @param {Function} select - Receives all versions, returns the ones to keep
+   * @returns {Promise<number>} - Number of versions removed
    */
-  toggleTheme() {
-    this.isDarkTheme = !this.isDarkTheme;
-    document.body.classList.toggle('dark-theme', this.isDarkTheme);
-    localStorage.setItem('theme', this.isDarkTheme ? 'dark' : 'light');
-    this.toastService.show('Theme updated', 'success');
+  prune(noteId, select) {
+    return this.enqueue(async () => {
+      const versions = await this.read(noteId);
+      const kept = select(versions);
+      
+      if (kept.length === versions.length) return 0;
+      await this.write(noteId, kept);
+      return versions.length - kept.length;
+    });
   }
 
   /**
-   * Update the versioning interval
-   * @param {number|string} value - New interval in milliseconds
+   * Rewrite the whole history of a note, re-encoding the delta chain
+   * The old versions are deleted in the same transaction, so a failure keeps them.
+   * @param {string|number} noteId - Note ID
+   * @param {Array<Object>} versions - Versions with full content and dates, oldest first
+   * @returns {Promise<void>}
    */
-  updateVersioningInterval(value) {
-    this.versioningInterval = parseInt(value, 10) || 0;
-    localStorage.setItem('versioningInterval', this.versioningInterval.toString());
-    
-    const seconds = this.versioningInterval / 1000;
-    this.toastService.show(
-      seconds > 0 ? `Auto-save set to ${seconds}s` : 'Auto-save disabled', 
-      'info'
-    );
+  async write(noteId, versions) {
+    await this.db.batch(this.operations(noteId, versions));
+    this.heads.delete(String(noteId));
   }
 
   /**
-   * Create a new note
-   * @param {string} title - Note title
-   * @param {string} content - Note content
+   * Database operations that replace the whole history of a note
+   * @param {string|number} noteId - Note ID
+   * @param {Array<Object>} versions - Versions with full content and dates, oldest first
+   * @returns {Array<Object>} - Operations for DatabaseService.batch()
    */
-  createNote(title = 'New Note', content = '') {
-    const now = new Date().toISOString();
-    const formattedDate = new Date(now).toLocaleString();
+  operations(noteId, versions) {
+    const operations = [{ type: 'delete', storeName: 'versions', key: this.range(noteId) }];
     
-    const note = {
-      id: Date.now().toString(),
-      title,
-      content,
-      author: this.elements.authorInput.value || 'Anonymous',
-      projectId: this.currentProject,
-      date: now,
-      formattedDate: formattedDate,
-      tags: [],
-      versions: [{ content, date: now }]
-    };
+    let previous = null;
+    let previousTimestamp = -Infinity;
+    let sinceKeyframe = 0;
+    for (const version of versions) {
+      const parsed = new Date(version.timestamp || version.date).getTime();
+      const timestamp = Math.max(isNaN(parsed) ? 0 : parsed, previousTimestamp + 1);
+      const record = this.encode(noteId, { ...version, timestamp }, previous,
+        previous === null ? 0 : sinceKeyframe + 1);
+      
+      operations.push({ type: 'put', storeName: 'versions', item: record });
+      sinceKeyframe = record.keyframe ? 0 : sinceKeyframe + 1;
+      previous = version.content;
+      previousTimestamp = timestamp;
+    }
     
-    this.notes.unshift(note);
-    this.db.put('notes', note)
-      .then(() => {
-        console.log('Note created successfully:', note);
-        this.renderNotes();
-        this.updateWordCount();
-        this.toastService.show('Note created', 'success');
-      })
-      .catch(error => {
-        console.error('Error creating note:', error);
-        this.toastService.show('Error creating note', 'error');
-      });
+    return operations;
   }
 
   /**
-   * Sanitize HTML content to prevent XSS attacks
-   * @param {string} html - HTML content to sanitize
-   * @returns {string} - Sanitized HTML
+   * Apply operations that touch history in one transaction, after queued updates
+   * @param {Array<Object>} operations - Operations for DatabaseService.batch()
+   * @returns {Promise<void>}
    */
-  sanitizeHtml(html) {
-    if (!html) return '';
-    
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    
-    // Remove script tags
-    const scripts = temp.querySelectorAll('script');
-    scripts.forEach(function(script) {
-      script.remove();
+  commit(operations) {
+    return this.enqueue(async () => {
+      await this.db.batch(operations);
+      this.heads.clear();
     });
+  }
+
+  /**
+   * Estimate how much space the stored history takes
+   * @returns {Promise<{count: number, bytes: number}>} - Record count and approximate size
+   */
+  async measure() {
+    await this.queue;
+    const records = await this.db.getAllRecords('versions');
     
-    // Remove potentially dangerous attributes
-    const allElements = temp.querySelectorAll('*');
-    const dangerousAttrs = ['onclick', 'onload', 'onerror', 'onmouseover', 'onmouseout', 
-                          'onkeydown', 'onkeypress', 'onkeyup', 'onchange', 'onsubmit',
-                          'javascript:', 'data-', 'href="javascript'];
-    
-    allElements.forEach(function(el) {
-      dangerousAttrs.forEach(function(attr) {
-        el.removeAttribute(attr);
-      });
+    let bytes = 0;
+    records.forEach(record => {
+      bytes += record.encrypted
+        ? record.encrypted.data.byteLength + 64
+        : JSON.stringify(record).length;
     });
     
-    return temp.innerHTML;
+    return { count: records.length, bytes };
   }
 
   /**
-   * Extract hashtags from content and convert them to tags
-   * @param {string} content - Note content to extract tags from
-   * @returns {Array} - Array of tags without the # symbol
+   * Delete every version of a note
+   * @param {string|number} noteId - Note ID
+   * @returns {Promise<void>}
    */
-  extractTags(content) {
-    // Create a temporary div to handle HTML content
-    const div = document.createElement('div');
-    div.innerHTML = content;
-    const text = div.textContent || div.innerText || '';
-    
-    // Find all hashtags (word starting with # and containing letters, numbers, underscores, or hyphens)
-    const hashtagRegex = /#([\w-]+)/g;
-    const matches = text.match(hashtagRegex);
-    
-    // Return unique tags without the # symbol, converted to lowercase for consistency
-    if (matches) {
-      return [...new Set(matches.map(tag => tag.substring(1).toLowerCase()))];
-    }
-    return [];
+  remove(noteId) {
+    return this.enqueue(async () => {
+      await this.db.delete('versions', this.range(noteId));
+      this.heads.delete(String(noteId));
+    });
   }
 
   /**
-   * Update a note's field
-   * @param {string|number} id - Note ID
-   * @param {string} field - Field to update
-   * @param {*} value - New value
+   * Delete every version of every note
+   * @returns {Promise<void>}
    */
-  updateNote(id, field, value) {
-    const noteIndex = this.notes.findIndex(n => n.id == id);
-    if (noteIndex === -1) {
-      console.error('Note not found for update:', id);
-      return;
-    }
-    
-    const note = { ...this.notes[noteIndex] };
-    const oldValue = note[field];
+  clear() {
+    return this.enqueue(async () => {
+      await this.db.clear('versions');
+      this.heads.clear();
+    });
+  }
+
+  /**
+   * Build the stored record for a version
+   * @param {string|number} noteId - Note ID
+   * @param {Object} version - Version with timestamp, date and content
+   * @param {string|null} previousContent - Content of the version before it
+   * @param {number} sinceKeyframe - Versions since the last keyframe, including this one
+   * @returns {Object} - Keyframe or delta record
+   */
+  encode(noteId, version, previousContent, sinceKeyframe) {
+    const { content, ...fields } = version;
+    const record = { ...fields, noteId };
     
-    // Sanitize HTML content if needed
-    if (field === 'content') {
-      value = this.sanitizeHtml(value);
+    if (previousContent !== null && sinceKeyframe > 0 && sinceKeyframe < this.keyframeInterval) {
+      const delta = this.textDiff.createDelta(previousContent, content);
+      
+      // A delta that rewrites most of the note saves nothing over a keyframe
+      if (JSON.stringify(delta).length < content.length / 2) {
+        record.delta = delta;
+        return record;
+      }
     }
     
-    note[field] = value;
-    const now = new Date().toISOString();
-    note.date = now;
-    note.formattedDate = new Date(now).toLocaleString();
+    record.keyframe = true;
+    record.content = content;
+    return record;
+  }
+}
+
+// ---------------
+// Retention Policy - Thins out old versions into coarser time buckets
+// ---------------
+class RetentionPolicy {
+  constructor() {
+    const hour = 60 * 60 * 1000;
+    const day = 24 * hour;
     
-    // If content was updated, extract tags
-    if (field === 'content') {
-      try {
-        // Extract hashtags from content
-        const extractedTags = this.extractTags(value);
-        
+    // Each tier covers versions younger than maxAge and keeps the newest one per bucket
+    this.presets = {
+      all: {
+        label: 'Keep everything',
+        tiers: [{ maxAge: Infinity, keep: 'all' }]
+      },
+      standard: {
+        label: 'All for 24h, hourly for a week, daily for a year, then monthly',
+        tiers: [
+          { maxAge: day, keep: 'all' },
+          { maxAge: 7 * day, keep: 'hour' },
+          { maxAge: 365 * day, keep: 'day' },
+          { maxAge: Infinity, keep: 'month' }
+        ]
+      },
+      compact: {
+        label: 'All for 1h, hourly for a day, daily for a month, then weekly',
+        tiers: [
+          { maxAge: hour, keep: 'all' },
+          { maxAge: day, keep: 'hour' },
+          { maxAge: 30 * day, keep: 'day' },
+          { maxAge: Infinity, keep: 'week' }
+        ]
+      },
+      recent: {
+        label: 'All for 24h, daily for 30 days, nothing older',
+        tiers: [
+          { maxAge: day, keep: 'all' },
+          { maxAge: 30 * day, keep: 'day' }
+        ]
+      }
+    };
+    this.defaultPreset = 'standard';
+  }
+
+  /**
+   * Check whether a preset exists
+   * @param {string} name - Preset name
+   * @returns {boolean} - True if known
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.presets, name);
+  }
+
+  /**
+   * Whether a version is exempt from pruning
+   * @param {Object} version - Version
+   * @returns {boolean} - True for named or pinned versions
+   */
+  isProtected(version) {
+    return Boolean(version.pinned || version.label);
+  }
+
+  /**
+   * Pick the versions a preset keeps
+   * The newest version and protected versions are always kept.
+   * @param {Array<Object>} versions - Versions with timestamps, oldest first
+   * @param {string} name - Preset name
+   * @param {number} [now=Date.now()] - Reference time
+   * @returns {Array<Object>} - Kept versions, oldest first
+   */
+  apply(versions, name, now = Date.now()) {
+    const tiers = (this.presets[name] || this.presets[this.defaultPreset]).tiers;
+    const seenBuckets = new Set();
+    const kept = [];
+    
+    // Walk newest first so each bucket keeps its latest version
+    for (let i = versions.length - 1; i >= 0; i--) {
+      const version = versions[i];
+      const age = now - version.timestamp;
+      const tierIndex = tiers.findIndex(tier => age < tier.maxAge);
+      
+      let keep = i === versions.length - 1 || this.isProtected(version);
+      if (!keep && tierIndex !== -1) {
+        const tier = tiers[tierIndex];
+        if (tier.keep === 'all') {
+          keep = true;
+        } else {
+          const bucket = `${tierIndex}:${this.bucket(version.timestamp, tier.keep)}`;
+          keep = !seenBuckets.has(bucket);
+          seenBuckets.add(bucket);
+        }
+      }
+      
+      if (keep) {
+        kept.unshift(version);
+      }
+    }
+    
+    return kept;
+  }
+
+  /**
+   * Name the local-time bucket a timestamp falls into
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @param {string} unit - 'hour', 'day', 'week' or 'month'
+   * @returns {string} - Bucket key
+   */
+  bucket(timestamp, unit) {
+    const date = new Date(timestamp);
+    const day = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    
+    switch (unit) {
+      case 'hour':
+        return `${day}T${date.getHours()}`;
+      case 'day':
+        return day;
+      case 'week': {
+        // Weeks start on Monday
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        return `w${monday.getFullYear()}-${monday.getMonth()}-${monday.getDate()}`;
+      }
+      default:
+        return `${date.getFullYear()}-${date.getMonth()}`;
+    }
+  }
+}
+
+// ---------------
+// Crypto Service - Passphrase-derived AES-GCM encryption for stored records
+// ---------------
+class CryptoService {
+  constructor() {
+    this.key = null; // Data key; only ever held in memory
+    this.iterations = 310000;
+  }
+
+  /**
+   * Whether a data key is loaded
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Forget the data key
+   */
+  lock() {
+    this.key = null;
+  }
+
+  /**
+   * Derive a key-wrapping key from a passphrase with PBKDF2
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iteration count
+   * @returns {Promise<CryptoKey>} - AES-GCM wrapping key
+   */
+  async deriveWrappingKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Wrap the data key with a passphrase
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} - Key record for the meta store
+   */
+  async wrapKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.iterations);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', this.key, wrappingKey, { name: 'AES-GCM', iv });
+    
+    return {
+      id: 'encryption',
+      algorithm: 'AES-GCM-256',
+      kdf: 'PBKDF2-SHA-256',
+      iterations: this.iterations,
+      salt,
+      iv,
+      wrappedKey: new Uint8Array(wrappedKey),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Generate a new data key and wrap it with a passphrase
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} - Key record for the meta store
+   */
+  async createKey(passphrase) {
+    this.key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    return this.wrapKey(passphrase);
+  }
+
+  /**
+   * Unwrap the data key with a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Object} keyRecord - Key record from the meta store
+   * @returns {Promise<void>}
+   * @throws {Error} - If the passphrase is wrong
+   */
+  async unlock(passphrase, keyRecord) {
+    const wrappingKey = await this.deriveWrappingKey(passphrase, keyRecord.salt, keyRecord.iterations);
+    
+    try {
+      this.key = await crypto.subtle.unwrapKey(
+        'raw', keyRecord.wrappedKey, wrappingKey, { name: 'AES-GCM', iv: keyRecord.iv },
+        { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+  }
+
+  /**
+   * Hash a PIN or passphrase into a verifier that can be stored
+   * @param {string} secret - PIN or passphrase
+   * @returns {Promise<Object>} - {salt, hash, iterations} with base64 strings
+   */
+  async createVerifier(secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await this.hashSecret(secret, salt, this.iterations);
+    
+    return {
+      salt: this.toBase64(salt),
+      hash: this.toBase64(hash),
+      iterations: this.iterations
+    };
+  }
+
+  /**
+   * Check a PIN or passphrase against a stored verifier
+   * @param {string} secret - PIN or passphrase
+   * @param {Object} verifier - Verifier from createVerifier()
+   * @returns {Promise<boolean>} - Whether the secret matches
+   */
+  async checkVerifier(secret, verifier) {
+    const hash = await this.hashSecret(secret, this.fromBase64(verifier.salt), verifier.iterations);
+    const expected = this.fromBase64(verifier.hash);
+    
+    // Compare every byte so timing doesn't reveal the matching prefix
+    let difference = hash.length ^ expected.length;
+    for (let i = 0; i < Math.min(hash.length, expected.length); i++) {
+      difference |= hash[i] ^ expected[i];
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Derive a hash from a secret with PBKDF2
+   * @param {string} secret - PIN or passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iteration count
+   * @returns {Promise<Uint8Array>} - 256-bit hash
+   */
+  async hashSecret(secret, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} - Base64 string
+   */
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * Decode base64 into bytes
+   * @param {string} text - Base64 string
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Encrypt a JSON-serializable value
+   * @param {*} value - Value to encrypt
+   * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} - Ciphertext
+   */
+  async encrypt(value) {
+    if (!this.key) {
+      throw new Error('Notebook is locked');
+    }
+    
+    // Serialize before the first await so later changes to value can't leak in
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, plaintext);
+    
+    return { iv, data };
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {{iv: Uint8Array, data: ArrayBuffer}} payload - Ciphertext
+   * @returns {Promise<*>} - Decrypted value
+   */
+  async decrypt(payload) {
+    if (!this.key) {
+      throw new Error('Notebook is locked');
+    }
+    
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, this.key, payload.data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+}
+
+// ---------------
+// Backup Service - Versioned JSON export/restore of the whole notebook
+// ---------------
+class BackupService {
+  constructor(db, versionStore) {
+    this.db = db;
+    this.versionStore = versionStore;
+    this.format = 'va-notes-backup';
+    this.schemaVersion = 1;
+    this.settingKeys = [
+      'theme', 'author', 'versioningInterval', 'versionRetention', 'trashDays', 'inputRules',
+      'journalProject', 'journalTitleFormat', 'journalTemplate'
+    ];
+  }
+
+  /**
+   * Build a self-describing bundle of all projects, notes and settings
+   * @returns {Promise<Object>} - Backup bundle
+   */
+  async createBundle() {
+    const [storedNotes, projects, checkpoints, notebooks] = await Promise.all([
+      this.db.getAll('notes'),
+      this.db.getAll('projects'),
+      this.db.getAll('checkpoints'),
+      this.db.getAll('notebooks')
+    ]);
+    
+    // Bundles keep each note's history inline, as full copies; timestamps are kept for checkpoints
+    const notes = [];
+    for (const note of storedNotes) {
+      const { versionCount, lastVersionDate, versionLabels, ...fields } = note;
+      const versions = await this.versionStore.load(note.id);
+      notes.push({ ...fields, versions: versions.map(({ noteId, ...version }) => version) });
+    }
+    
+    const settings = {};
+    this.settingKeys.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value !== null) {
+        settings[key] = value;
+      }
+    });
+    
+    return {
+      format: this.format,
+      schemaVersion: this.schemaVersion,
+      exportedAt: new Date().toISOString(),
+      settings,
+      projects,
+      notes,
+      checkpoints,
+      notebooks
+    };
+  }
+
+  /**
+   * Parse and validate a backup file
+   * @param {string} text - Raw file contents
+   * @returns {Object} - Validated bundle
+   * @throws {Error} - If the file is not a usable backup
+   */
+  parse(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== this.format) {
+      throw new Error('File is not a notes backup');
+    }
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+      throw new Error('Backup has no valid schema version');
+    }
+    if (bundle.schemaVersion > this.schemaVersion) {
+      throw new Error(`Backup was made by a newer version of the app (schema ${bundle.schemaVersion})`);
+    }
+    if (!Array.isArray(bundle.notes) || !Array.isArray(bundle.projects)) {
+      throw new Error('Backup is missing its notes or projects');
+    }
+    
+    // Ids end up in attributes and option values, so only plain numbers and words are accepted
+    const isId = id => (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && /^[\w-]+$/.test(id));
+    
+    bundle.projects.forEach((project, index) => {
+      if (!project || !isId(project.id) || typeof project.name !== 'string') {
+        throw new Error(`Project #${index + 1} is malformed`);
+      }
+      // Colors end up in style attributes, so only plain hex colors are accepted
+      if (project.color !== undefined && !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(project.color)) {
+        throw new Error(`Project "${project.name}" has an invalid color`);
+      }
+    });
+    
+    bundle.notes.forEach((note, index) => {
+      if (!note || !isId(note.id) || typeof note.title !== 'string' || typeof note.content !== 'string') {
+        throw new Error(`Note #${index + 1} is malformed`);
+      }
+      if (note.projectId != null && !isId(note.projectId)) {
+        throw new Error(`Note "${note.title}" has an invalid project`);
+      }
+      if (isNaN(new Date(note.date).getTime())) {
+        throw new Error(`Note "${note.title}" has an invalid date`);
+      }
+      if (note.author != null && typeof note.author !== 'string') {
+        throw new Error(`Note "${note.title}" has an invalid author`);
+      }
+      if (note.versions !== undefined && (!Array.isArray(note.versions) ||
+          note.versions.some(version => !version || typeof version.content !== 'string'))) {
+        throw new Error(`Note "${note.title}" has malformed versions`);
+      }
+    });
+    
+    if (bundle.checkpoints !== undefined && (!Array.isArray(bundle.checkpoints) ||
+        bundle.checkpoints.some(checkpoint => !checkpoint || !isId(checkpoint.id) || !Array.isArray(checkpoint.notes)))) {
+      throw new Error('Backup checkpoints are malformed');
+    }
+    
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (bundle.notebooks !== undefined && (!Array.isArray(bundle.notebooks) ||
+        bundle.notebooks.some(notebook => !notebook || !isId(notebook.id) || typeof notebook.name !== 'string' ||
+          !notebook.view || typeof notebook.view !== 'object' ||
+          !notebook.view.tags || !isStringArray(notebook.view.tags.include) || !isStringArray(notebook.view.tags.exclude) ||
+          !['all', 'any'].includes(notebook.view.tags.mode) ||
+          typeof notebook.view.search !== 'string' ||
+          !['newest', 'oldest', 'title'].includes(notebook.view.sort)))) {
+      throw new Error('Backup smart notebooks are malformed');
+    }
+    
+    if (bundle.settings !== undefined && (typeof bundle.settings !== 'object' || bundle.settings === null)) {
+      throw new Error('Backup settings are malformed');
+    }
+    
+    return bundle;
+  }
+
+  /**
+   * Write a validated bundle into the database
+   * @param {Object} bundle - Bundle returned by parse()
+   * @param {string} mode - 'replace' wipes existing data, 'merge' keeps it and matches by id
+   * @returns {Promise<Object>} - Report of added, overwritten, skipped and removed notes
+   */
+  async restore(bundle, mode = 'merge') {
+    const report = { added: 0, overwritten: 0, skipped: 0, removed: 0, projects: 0 };
+    const [existingNotes, existingProjects] = await Promise.all([
+      this.db.getAll('notes'),
+      this.db.getAll('projects')
+    ]);
+    const notesById = new Map(existingNotes.map(note => [String(note.id), note]));
+    const projectIds = new Set(existingProjects.map(project => String(project.id)));
+    
+    if (mode === 'replace') {
+      const incomingIds = new Set(bundle.notes.map(note => String(note.id)));
+      report.removed = existingNotes.filter(note => !incomingIds.has(String(note.id))).length;
+      
+      // Everything is wiped and rewritten in one transaction, so a failed restore leaves the old data
+      // The search index is rebuilt from the restored notes when they are loaded
+      const put = storeName => item => ({ type: 'put', storeName, item });
+      const operations = ['notes', 'projects', 'checkpoints', 'notebooks', 'versions', 'searchIndex']
+        .map(storeName => ({ type: 'clear', storeName }));
+      operations.push(...bundle.projects.map(put('projects')));
+      bundle.notes.forEach(note => operations.push(...this.noteOperations(note)));
+      operations.push(...(bundle.checkpoints || []).map(put('checkpoints')));
+      operations.push(...(bundle.notebooks || []).map(put('notebooks')));
+      
+      await this.versionStore.commit(operations);
+      
+      report.projects = bundle.projects.length;
+      bundle.notes.forEach(note => {
+        if (notesById.has(String(note.id))) {
+          report.overwritten++;
+        } else {
+          report.added++;
+        }
+      });
+      
+      this.applySettings(bundle.settings, true);
+      return report;
+    }
+    
+    for (const project of bundle.projects) {
+      if (!projectIds.has(String(project.id))) {
+        await this.db.put('projects', project);
+        report.projects++;
+      }
+    }
+    
+    for (const note of bundle.notes) {
+      const existing = notesById.get(String(note.id));
+      if (!existing) {
+        await this.putNote(note);
+        report.added++;
+      } else if (new Date(note.date) > new Date(existing.date)) {
+        // Only newer copies replace what is already in the notebook
+        await this.putNote(note);
+        report.overwritten++;
+      } else {
+        report.skipped++;
+      }
+    }
+    
+    const checkpointIds = new Set((await this.db.getAll('checkpoints')).map(checkpoint => String(checkpoint.id)));
+    for (const checkpoint of bundle.checkpoints || []) {
+      if (!checkpointIds.has(String(checkpoint.id))) {
+        await this.db.put('checkpoints', checkpoint);
+      }
+    }
+    
+    // Merged notebooks go after the ones already here, keeping their own order
+    const existingNotebooks = await this.db.getAll('notebooks');
+    const notebookIds = new Set(existingNotebooks.map(notebook => String(notebook.id)));
+    let order = existingNotebooks.reduce((max, notebook) => Math.max(max, notebook.order || 0), 0);
+    for (const notebook of bundle.notebooks || []) {
+      if (!notebookIds.has(String(notebook.id))) {
+        await this.db.put('notebooks', { ...notebook, order: ++order });
+      }
+    }
+    
+    this.applySettings(bundle.settings, false);
+    return report;
+  }
+
+  /**
+   * Store a note from a bundle, moving its inline history into the versions store
+   * @param {Object} note - Note from the bundle
+   * @returns {Promise<void>}
+   */
+  putNote(note) {
+    return this.versionStore.commit(this.noteOperations(note));
+  }
+
+  /**
+   * Database operations that store a note from a bundle along with its history
+   * @param {Object} note - Note from the bundle
+   * @returns {Array<Object>} - Operations for DatabaseService.batch()
+   */
+  noteOperations(note) {
+    const { versions, ...fields } = note;
+    const history = Array.isArray(versions) ? versions : [{ content: note.content, date: note.date }];
+    
+    return [
+      {
+        type: 'put',
+        storeName: 'notes',
+        item: {
+          ...fields,
+          versionCount: history.length,
+          // A named or pinned newest version must not be overwritten by the next edit
+          lastVersionDate: history.length > 0 && !history[history.length - 1].label && !history[history.length - 1].pinned
+            ? history[history.length - 1].date
+            : null,
+          versionLabels: history.filter(version => version.label).map(version => version.label)
+        }
+      },
+      ...this.versionStore.operations(note.id, history)
+    ];
+  }
+
+  /**
+   * Copy backed-up settings into localStorage
+   * @param {Object} [settings] - Settings from the bundle
+   * @param {boolean} overwrite - Replace settings that are already set
+   */
+  applySettings(settings, overwrite) {
+    if (!settings) return;
+    
+    this.settingKeys.forEach(key => {
+      if (typeof settings[key] !== 'string') return;
+      if (overwrite || localStorage.getItem(key) === null) {
+        localStorage.setItem(key, settings[key]);
+      }
+    });
+  }
+}
+
+// ---------------
+// Markdown Converter - Converts between note HTML and Markdown
+// ---------------
+class MarkdownConverter {
+  /**
+   * Convert note HTML to Markdown
+   * @param {string} html - Note content as stored by the editor
+   * @param {Object} [options]
+   * @param {number} [options.headingOffset=0] - Levels to demote headings by
+   * @returns {string} - Markdown text
+   */
+  toMarkdown(html, options = {}) {
+    if (!html) return '';
+    
+    // A template parses markup without loading images or running handlers
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    
+    const markdown = this.convertBlocks(template.content.childNodes, {
+      headingOffset: options.headingOffset || 0
+    });
+    
+    return markdown
+      .replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Convert a list of nodes that may contain block elements
+   * @param {NodeList|Array} nodes - Nodes to convert
+   * @param {Object} context - Conversion options
+   * @returns {string} - Markdown text
+   */
+  convertBlocks(nodes, context) {
+    let output = '';
+    let inline = '';
+    
+    const flushInline = () => {
+      if (inline.trim()) {
+        output += inline.trim() + '\n\n';
+      }
+      inline = '';
+    };
+    
+    Array.from(nodes).forEach(node => {
+      if (this.isBlock(node)) {
+        flushInline();
+        output += this.convertBlock(node, context);
+      } else {
+        inline += this.convertInline(node);
+      }
+    });
+    
+    flushInline();
+    return output;
+  }
+
+  /**
+   * Convert a single block element
+   * @param {Element} element - Block element
+   * @param {Object} context - Conversion options
+   * @returns {string} - Markdown text ending in a blank line
+   */
+  convertBlock(element, context) {
+    const tag = element.tagName.toLowerCase();
+    
+    if (/^h[1-6]$/.test(tag)) {
+      const level = Math.min(6, parseInt(tag[1], 10) + context.headingOffset);
+      const text = this.convertInlineChildren(element).trim();
+      return text ? `${'#'.repeat(level)} ${text}\n\n` : '';
+    }
+    
+    switch (tag) {
+      case 'ul':
+      case 'ol':
+        return this.convertList(element, context, 0) + '\n';
+      case 'blockquote': {
+        const inner = this.convertBlocks(element.childNodes, context).trim();
+        return inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') + '\n\n';
+      }
+      case 'pre': {
+        const code = element.textContent.replace(/\n$/, '');
+        return '```\n' + code + '\n```\n\n';
+      }
+      case 'hr':
+        return '---\n\n';
+      default:
+        // p, div and friends: containers of either blocks or inline content
+        if (Array.from(element.childNodes).some(child => this.isBlock(child))) {
+          return this.convertBlocks(element.childNodes, context);
+        }
+        return this.convertInlineChildren(element).trim() + '\n\n';
+    }
+  }
+
+  /**
+   * Convert a list element, indenting nested lists
+   * @param {Element} list - ul or ol element
+   * @param {Object} context - Conversion options
+   * @param {number} depth - Nesting depth
+   * @returns {string} - Markdown list
+   */
+  convertList(list, context, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    const indent = '   '.repeat(depth);
+    let output = '';
+    let index = 1;
+    
+    Array.from(list.children).forEach(item => {
+      if (item.tagName.toLowerCase() !== 'li') return;
+      
+      const marker = ordered ? `${index++}.` : '-';
+      const nested = [];
+      let text = '';
+      
+      Array.from(item.childNodes).forEach(child => {
+        const childTag = child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : '';
+        if (childTag === 'ul' || childTag === 'ol') {
+          nested.push(child);
+        } else if (this.isBlock(child)) {
+          text += ' ' + this.convertInlineChildren(child);
+        } else {
+          text += this.convertInline(child);
+        }
+      });
+      
+      output += `${indent}${marker} ${text.trim()}\n`;
+      nested.forEach(child => {
+        output += this.convertList(child, context, depth + 1);
+      });
+    });
+    
+    return output;
+  }
+
+  /**
+   * Convert the children of an element as inline content
+   * @param {Element} element - Parent element
+   * @returns {string} - Markdown text
+   */
+  convertInlineChildren(element) {
+    return Array.from(element.childNodes).map(child => this.convertInline(child)).join('');
+  }
+
+  /**
+   * Convert an inline node
+   * @param {Node} node - Text or inline element
+   * @returns {string} - Markdown text
+   */
+  convertInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.escapeText(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const tag = node.tagName.toLowerCase();
+    const inner = () => this.convertInlineChildren(node);
+    
+    switch (tag) {
+      case 'br':
+        return '  \n';
+      case 'strong':
+      case 'b':
+        return this.wrap(inner(), '**');
+      case 'em':
+      case 'i':
+        return this.wrap(inner(), '*');
+      case 's':
+      case 'strike':
+      case 'del':
+        return this.wrap(inner(), '~~');
+      case 'u':
+        return this.wrap(inner(), '<u>', '</u>');
+      case 'code':
+        return '`' + node.textContent + '`';
+      case 'a': {
+        const href = node.getAttribute('href');
+        const text = inner().trim();
+        
+        // Links between notes keep their wiki syntax
+        if (node.classList.contains('note-link')) {
+          return `[[${text}]]`;
+        }
+        return href ? `[${text || href}](${href.replace(/\)/g, '%29')})` : text;
+      }
+      case 'img': {
+        const src = node.getAttribute('src');
+        return src ? `![${this.escapeText(node.getAttribute('alt') || '')}](${src})` : '';
+      }
+      default:
+        // Block elements nested inside inline content still need a break
+        return this.isBlock(node) ? '  \n' + inner() + '  \n' : inner();
+    }
+  }
+
+  /**
+   * Wrap text in emphasis markers, keeping surrounding spaces outside
+   * @param {string} text - Text to wrap
+   * @param {string} open - Opening marker
+   * @param {string} [close] - Closing marker, defaults to the opening one
+   * @returns {string} - Wrapped text
+   */
+  wrap(text, open, close = open) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${open}${match[2]}${close}${match[3]}`;
+  }
+
+  /**
+   * Escape characters that Markdown would treat as formatting
+   * @param {string} text - Plain text
+   * @returns {string} - Escaped text
+   */
+  escapeText(text) {
+    return text
+      .replace(/([\\`*[\]])/g, '\\$1')
+      .replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+  }
+
+  /**
+   * Whether a node is rendered as a block
+   * @param {Node} node - Node to check
+   * @returns {boolean}
+   */
+  isBlock(node) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      /^(p|div|h[1-6]|ul|ol|li|blockquote|pre|hr|section|article|header|footer|table)$/i.test(node.tagName);
+  }
+
+  /**
+   * Build a YAML front-matter block
+   * @param {Object} fields - Values to include; empty ones are skipped
+   * @returns {string} - Front-matter including the --- fences
+   */
+  frontMatter(fields) {
+    const lines = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '' &&
+        !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => {
+        if (Array.isArray(value)) {
+          return `${key}: [${value.map(item => JSON.stringify(String(item))).join(', ')}]`;
+        }
+        // JSON strings are valid double-quoted YAML scalars
+        return `${key}: ${JSON.stringify(String(value))}`;
+      });
+    
+    return `---\n${lines.join('\n')}\n---\n`;
+  }
+
+  /**
+   * Split a YAML front-matter block off a Markdown document
+   * Only the flat subset written by frontMatter() and common journal tools is understood.
+   * @param {string} text - Markdown document
+   * @returns {{data: Object, body: string}} - Parsed fields and the remaining Markdown
+   */
+  parseFrontMatter(text) {
+    const match = text.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+      return { data: {}, body: text };
+    }
+    
+    const data = {};
+    let listKey = null;
+    
+    match[1].split(/\r?\n/).forEach(line => {
+      const item = line.match(/^\s+-\s+(.*)$/);
+      if (item && listKey) {
+        data[listKey].push(this.parseYamlScalar(item[1]));
+        return;
+      }
+      
+      const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+      if (!pair) return;
+      
+      const key = pair[1].toLowerCase();
+      const value = pair[2].trim();
+      listKey = null;
+      
+      if (value === '') {
+        // A block list may follow on the next lines
+        data[key] = [];
+        listKey = key;
+      } else if (value.startsWith('[') && value.endsWith(']')) {
+        data[key] = value.slice(1, -1)
+          .split(',')
+          .map(part => this.parseYamlScalar(part.trim()))
+          .filter(part => part !== '');
+      } else {
+        data[key] = this.parseYamlScalar(value);
+      }
+    });
+    
+    return { data, body: text.slice(match[0].length) };
+  }
+
+  /**
+   * Parse a single YAML scalar, unquoting it if needed
+   * @param {string} value - Raw scalar
+   * @returns {string} - Scalar value
+   */
+  parseYamlScalar(value) {
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      try {
+        return String(JSON.parse(value));
+      } catch (error) {
+        return value.slice(1, -1);
+      }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    return value.replace(/\s+#.*$/, '');
+  }
+
+  /**
+   * Convert Markdown to HTML
+   * The result is not sanitized; pass it through the app's sanitizer before storing.
+   * @param {string} markdown - Markdown text
+   * @returns {string} - HTML
+   */
+  toHtml(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    return this.parseBlocks(lines);
+  }
+
+  /**
+   * Convert plain text to HTML, keeping its line breaks
+   * @param {string} text - Plain text
+   * @returns {string} - HTML paragraphs
+   */
+  textToHtml(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .filter(paragraph => paragraph.trim())
+      .map(paragraph => `<p>${paragraph.split('\n').map(line => this.escapeHtml(line)).join('<br>')}</p>`)
+      .join('');
+  }
+
+  /**
+   * Convert Markdown lines to block HTML
+   * @param {Array<string>} lines - Markdown lines
+   * @returns {string} - HTML
+   */
+  parseBlocks(lines) {
+    let html = '';
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+      
+      // Fenced code block
+      const fence = line.match(/^\s*(```|~~~)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Skip the closing fence
+        html += `<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`;
+        continue;
+      }
+      
+      // ATX heading
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const level = heading[1].length;
+        html += `<h${level}>${this.parseInline(heading[2])}</h${level}>`;
+        i++;
+        continue;
+      }
+      
+      // Horizontal rule
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        html += '<hr>';
+        i++;
+        continue;
+      }
+      
+      // Blockquote
+      if (/^\s{0,3}>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+          i++;
+        }
+        html += `<blockquote>${this.parseBlocks(quoted)}</blockquote>`;
+        continue;
+      }
+      
+      // List
+      if (this.listMarker(line)) {
+        const items = [];
+        while (i < lines.length && (this.listMarker(lines[i]) ||
+            (lines[i].trim() && /^\s+/.test(lines[i]) && items.length))) {
+          items.push(lines[i]);
+          i++;
+        }
+        html += this.parseList(items);
+        continue;
+      }
+      
+      // Paragraph: runs until a blank line or another block starts
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      html += `<p>${paragraph.map((text, index) => {
+        const inline = this.parseInline(text.replace(/(\s{2,}|\\)$/, '').trim());
+        return index < paragraph.length - 1 ? inline + '<br>' : inline;
+      }).join('')}</p>`;
+    }
+    
+    return html;
+  }
+
+  /**
+   * Whether a line starts a non-paragraph block
+   * @param {string} line - Markdown line
+   * @returns {boolean}
+   */
+  startsBlock(line) {
+    return /^\s*(```|~~~)/.test(line) ||
+      /^\s{0,3}#{1,6}\s/.test(line) ||
+      /^\s{0,3}>/.test(line) ||
+      /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+      Boolean(this.listMarker(line));
+  }
+
+  /**
+   * Match a list item marker
+   * @param {string} line - Markdown line
+   * @returns {Object|null} - Indent, list type and item text, or null
+   */
+  listMarker(line) {
+    const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+    if (!match) return null;
+    return {
+      indent: match[1].replace(/\t/g, '    ').length,
+      ordered: /\d/.test(match[2]),
+      text: match[3]
+    };
+  }
+
+  /**
+   * Convert list lines, nesting items by indentation
+   * @param {Array<string>} lines - Lines belonging to one list
+   * @returns {string} - HTML list
+   */
+  parseList(lines) {
+    const root = { children: [] };
+    const stack = [{ indent: -1, node: root }];
+    
+    lines.forEach(line => {
+      const marker = this.listMarker(line);
+      if (!marker) {
+        // Continuation line of the previous item
+        const last = stack[stack.length - 1].node;
+        if (last.text !== undefined) {
+          last.text += ' ' + line.trim();
+        }
+        return;
+      }
+      
+      while (stack.length > 1 && marker.indent <= stack[stack.length - 1].indent) {
+        stack.pop();
+      }
+      
+      const item = { text: marker.text, ordered: marker.ordered, children: [] };
+      stack[stack.length - 1].node.children.push(item);
+      stack.push({ indent: marker.indent, node: item });
+    });
+    
+    const render = (items) => {
+      if (items.length === 0) return '';
+      const tag = items[0].ordered ? 'ol' : 'ul';
+      return `<${tag}>${items.map(item =>
+        `<li>${this.parseInline(item.text)}${render(item.children)}</li>`
+      ).join('')}</${tag}>`;
+    };
+    
+    return render(root.children);
+  }
+
+  /**
+   * Convert inline Markdown to HTML
+   * @param {string} text - Markdown text of a single line
+   * @returns {string} - HTML
+   */
+  parseInline(text) {
+    const tokens = [];
+    const protect = (html) => {
+      tokens.push(html);
+      return `\u0000${tokens.length - 1}\u0000`;
+    };
+    
+    let html = text
+      // Backslash escapes and code spans are never formatted further
+      .replace(/\\([\\`*_{}[\]()#+\-.!~>|])/g, (match, char) => protect(this.escapeHtml(char)))
+      .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${this.escapeHtml(code)}</code>`));
+    
+    html = this.escapeHtml(html)
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, alt, src) =>
+        protect(`<img src="${src}" alt="${alt}">`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, label, href) =>
+        protect(`<a href="${href}">${label}</a>`))
+      .replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/g, (match, url) =>
+        protect(`<a href="${url}">${url}</a>`))
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+      .replace(/&lt;(\/?)u&gt;/g, '<$1u>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Plain text
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// ---------------
+// HTML Sanitizer - Allow-list filter for note content and pasted markup
+// ---------------
+class HtmlSanitizer {
+  constructor() {
+    // Tag -> permitted attributes; '*' applies to every permitted tag
+    this.allowedTags = {
+      '*': ['title', 'dir', 'lang', 'style'],
+      a: ['href', 'target', 'class', 'data-note-id'],
+      img: ['src', 'alt', 'width', 'height'],
+      ol: ['start', 'type'],
+      ul: ['class'],
+      li: ['value', 'data-checked'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan', 'scope'],
+      p: [], div: [], span: [], br: [], hr: [],
+      b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], del: [], ins: [],
+      mark: [], small: [], sub: [], sup: [], code: [], pre: [], kbd: [], blockquote: [],
+      h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+      dl: [], dt: [], dd: [],
+      table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+      font: ['color']
+    };
+    
+    // Elements dropped together with their contents rather than unwrapped
+    this.droppedTags = new Set([
+      'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+      'applet', 'noscript', 'noembed', 'svg', 'math', 'head', 'title', 'meta', 'link',
+      'base', 'form', 'input', 'textarea', 'select', 'button', 'audio', 'video', 'canvas'
+    ]);
+    
+    this.urlAttributes = {
+      href: ['http:', 'https:', 'mailto:', 'tel:'],
+      src: ['http:', 'https:', 'data:']
+    };
+    
+    // Classes the app's own markup uses, e.g. checklists; anything else could restyle the UI
+    this.allowedClasses = new Set(['checklist', 'note-link']);
+    
+    this.allowedStyles = new Set([
+      'color', 'background-color', 'font-weight', 'font-style', 'text-decoration',
+      'text-decoration-line', 'text-align', 'vertical-align'
+    ]);
+  }
+
+  /**
+   * Filter HTML down to the permitted tags and attributes
+   * Unknown elements are replaced by their children so their text survives.
+   * @param {string} html - Untrusted HTML
+   * @returns {string} - Sanitized HTML
+   */
+  sanitize(html) {
+    if (!html) return '';
+    
+    // A template parses markup without loading images or running handlers
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.cleanChildren(template.content);
+    
+    return template.innerHTML;
+  }
+
+  /**
+   * Sanitize the children of a node in place
+   * @param {Node} parent - Node whose children to clean
+   */
+  cleanChildren(parent) {
+    // Copy first, since unwrapping changes the live child list
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+      
+      const tag = node.localName;
+      
+      if (this.droppedTags.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        node.remove();
+        return;
+      }
+      
+      this.cleanChildren(node);
+      
+      if (!Object.prototype.hasOwnProperty.call(this.allowedTags, tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+      
+      this.cleanAttributes(node, tag);
+    });
+  }
+
+  /**
+   * Remove attributes that aren't allowed for an element
+   * @param {Element} element - Element to clean
+   * @param {string} tag - Lowercase tag name
+   */
+  cleanAttributes(element, tag) {
+    const allowed = [...this.allowedTags['*'], ...this.allowedTags[tag]];
+    
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      let value = attribute.value;
+      
+      if (!allowed.includes(name)) {
+        element.removeAttribute(attribute.name);
+        return;
+      }
+      
+      if (this.urlAttributes[name]) {
+        value = this.cleanUrl(value, this.urlAttributes[name], tag);
+      } else if (name === 'style') {
+        value = this.cleanStyle(value);
+      } else if (name === 'target') {
+        value = value === '_blank' ? value : null;
+      } else if (name === 'class') {
+        value = value.split(/\s+/).filter(className => this.allowedClasses.has(className)).join(' ');
+      } else if (name === 'data-checked') {
+        value = value === 'true' || value === 'false' ? value : null;
+      } else if (name === 'data-note-id') {
+        value = /^[\w-]+$/.test(value) ? value : null;
+      }
+      
+      if (value === null || value === '') {
+        element.removeAttribute(attribute.name);
+      } else if (value !== attribute.value) {
+        element.setAttribute(attribute.name, value);
+      }
+    });
+    
+    // Links opened in a new tab shouldn't get a handle on this window
+    if (tag === 'a' && element.getAttribute('target') === '_blank') {
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+
+  /**
+   * Check a URL against the permitted schemes
+   * @param {string} value - Attribute value
+   * @param {Array<string>} schemes - Permitted schemes, with the colon
+   * @param {string} tag - Tag the URL belongs to
+   * @returns {string|null} - The URL, or null if it isn't allowed
+   */
+  cleanUrl(value, schemes, tag) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = value.replace(/[\u0000- \u007F-\u009F]/g, '');
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*:)/i);
+    
+    // Relative URLs and fragments can't change the scheme
+    if (!scheme) {
+      return url ? value.trim() : null;
+    }
+    
+    const name = scheme[1].toLowerCase();
+    if (!schemes.includes(name)) return null;
+    
+    // Only raster images may be inlined; SVG can carry script
+    if (name === 'data:' && !(tag === 'img' && /^data:image\/(png|gif|jpe?g|webp|avif);/i.test(url))) {
+      return null;
+    }
+    
+    return value.trim();
+  }
+
+  /**
+   * Keep only simple presentational declarations from an inline style
+   * @param {string} value - Style attribute value
+   * @returns {string} - Filtered declarations
+   */
+  cleanStyle(value) {
+    return value
+      .split(';')
+      .map(declaration => {
+        const separator = declaration.indexOf(':');
+        if (separator === -1) return null;
+        
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const propertyValue = declaration.slice(separator + 1).trim();
+        
+        // Anything that can fetch or escape (url(), image-set(), escapes, comments) is rejected outright
+        if (!this.allowedStyles.has(property) || !propertyValue ||
+            /[\\<>]|\/\*|url\s*\(|image-set|expression|@import/i.test(propertyValue)) {
+          return null;
+        }
+        return `${property}: ${propertyValue}`;
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+}
+
+// ---------------
+// Rich Text Formatter - Selection/Range based formatting for note editors
+// ---------------
+class RichTextFormatter {
+  constructor() {
+    // Inline formats and the tags that count as them; the first tag is the one created
+    this.inlineFormats = {
+      bold: ['strong', 'b'],
+      italic: ['em', 'i'],
+      underline: ['u', 'ins'],
+      strikethrough: ['s', 'strike', 'del']
+    };
+    
+    this.blockFormats = { h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', paragraph: 'p' };
+    this.listFormats = { 'unordered-list': 'ul', 'ordered-list': 'ol' };
+    
+    // Elements that hold one line or paragraph of text
+    this.blockSelector = 'p, h1, h2, h3, h4, h5, h6, div, li, blockquote, pre';
+    
+    // Inline markup removed by clear formatting; links are kept
+    this.clearableTags = [
+      'strong', 'b', 'em', 'i', 'u', 'ins', 's', 'strike', 'del',
+      'mark', 'small', 'sub', 'sup', 'code', 'kbd', 'font', 'span'
+    ];
+  }
+
+  /**
+   * Get the current selection if it lies inside an editor
+   * @param {Element} root - Editor element
+   * @returns {Range|null} - Copy of the selected range
+   */
+  getRange(root) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+    
+    const range = selection.getRangeAt(0);
+    return root.contains(range.commonAncestorContainer) ? range.cloneRange() : null;
+  }
+
+  /**
+   * Make a range the current selection
+   * @param {Range} range - Range to select
+   */
+  select(range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Apply a format to a range inside an editor
+   * Inline formats toggle; with nothing selected they apply to the word at the caret.
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to format
+   * @param {string} format - Format name, e.g. 'bold', 'h2', 'ordered-list', 'link' or 'clear'
+   * @param {string} [value] - Link URL; an empty value removes links
+   * @returns {Range|null} - Range to select afterwards, or null if nothing changed
+   */
+  apply(root, range, format, value) {
+    if (this.inlineFormats[format]) {
+      return this.toggleInline(root, range, this.inlineFormats[format]);
+    }
+    if (format === 'link') {
+      return value ? this.setLink(root, range, value) : this.removeLink(root, range);
+    }
+    if (format === 'clear') {
+      return this.clearFormatting(root, range);
+    }
+    
+    const tag = this.blockFormats[format] || this.listFormats[format];
+    if (!tag) return null;
+    
+    // Moving text between elements resets live ranges, so keep the boundaries as they were
+    const bounds = {
+      startContainer: range.startContainer,
+      startOffset: range.startOffset,
+      endContainer: range.endContainer,
+      endOffset: range.endOffset
+    };
+    const replacements = new Map();
+    
+    const blocks = this.selectedBlocks(root, bounds, replacements);
+    if (blocks.length === 0) {
+      return this.startEmptyEditor(root, tag);
+    }
+    
+    if (this.listFormats[format]) {
+      this.toggleList(blocks, tag, replacements);
+    } else {
+      this.setBlock(blocks, tag, replacements);
+    }
+    return this.restoreRange(root, bounds, replacements);
+  }
+
+  /**
+   * Find which formats apply at a range, for toolbar indicators
+   * @param {Element} root - Editor element
+   * @param {Range} range - Selected range
+   * @returns {Set<string>} - Active format names
+   */
+  activeFormats(root, range) {
+    const active = new Set();
+    
+    // Measure on a copy, since selectedTextNodes() splits text at the boundaries
+    const nodes = this.textNodesIn(root, range);
+    Object.entries(this.inlineFormats).forEach(([format, tags]) => {
+      const inside = nodes.length > 0
+        ? nodes.every(node => this.closestTag(root, node, tags))
+        : this.closestTag(root, range.startContainer, tags);
+      if (inside) {
+        active.add(format);
+      }
+    });
+    
+    const block = this.closestBlock(root, range.startContainer);
+    if (block && block.localName === 'li') {
+      active.add(block.parentElement && block.parentElement.localName === 'ol' ? 'ordered-list' : 'unordered-list');
+    } else if (block) {
+      const format = Object.keys(this.blockFormats).find(name => this.blockFormats[name] === block.localName);
+      if (format) {
+        active.add(format);
+      }
+    }
+    
+    if (this.closestTag(root, range.startContainer, ['a'])) {
+      active.add('link');
+    }
+    return active;
+  }
+
+  /**
+   * Turn a typed link target into a URL
+   * @param {string} value - URL, domain or email address
+   * @returns {string} - URL with a scheme, or '' if empty
+   */
+  normalizeUrl(value) {
+    const url = (value || '').trim();
+    if (!url) return '';
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+    if (/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(url)) return `mailto:${url}`;
+    return `https://${url}`;
+  }
+
+  /**
+   * Toggle an inline format; it is removed only if all of the selected text has it
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to format
+   * @param {Array<string>} tags - Tags that count as the format
+   * @returns {Range|null} - Range over the formatted text
+   */
+  toggleInline(root, range, tags) {
+    const nodes = this.selectedTextNodes(root, this.expandToWord(range));
+    if (nodes.length === 0) return null;
+    
+    if (nodes.every(node => this.closestTag(root, node, tags))) {
+      nodes.forEach(node => this.unwrapFrom(root, node, tags));
+    } else {
+      nodes
+        .filter(node => !this.closestTag(root, node, tags))
+        .forEach(node => this.wrap(node, tags[0]));
+      this.mergeSiblings(root, tags[0]);
+    }
+    
+    return this.rangeAround(nodes);
+  }
+
+  /**
+   * Turn blocks into headings or paragraphs
+   * @param {Array<Element>} blocks - Selected blocks
+   * @param {string} tag - Block tag to use
+   * @param {Map<Node, Node>} replacements - Filled with replaced elements
+   */
+  setBlock(blocks, tag, replacements) {
+    blocks.forEach(block => {
+      if (block.localName === tag) return;
+      
+      if (block.localName === 'li') {
+        this.liftListItem(block, tag, replacements);
+      } else {
+        this.renameElement(block, tag, replacements);
+      }
+    });
+  }
+
+  /**
+   * Put blocks in a list, or take them out if they are all in one of this type
+   * @param {Array<Element>} blocks - Selected blocks
+   * @param {string} tag - 'ul' or 'ol'
+   * @param {Map<Node, Node>} replacements - Filled with replaced elements
+   */
+  toggleList(blocks, tag, replacements) {
+    if (blocks.every(block => block.localName === 'li' && block.parentElement.localName === tag)) {
+      blocks.forEach(block => this.liftListItem(block, 'p', replacements));
+      return;
+    }
+    
+    let list = null;
+    blocks.forEach(block => {
+      // Items of a list of the other type switch along with their whole list
+      if (block.localName === 'li') {
+        if (block.parentElement.localName !== tag) {
+          this.renameElement(block.parentElement, tag, replacements);
+        }
+        list = null;
+        return;
+      }
+      
+      const item = document.createElement('li');
+      item.append(...block.childNodes);
+      replacements.set(block, item);
+      
+      // Consecutive blocks share a list, which also joins a list right before them
+      if (!list) {
+        const previous = block.previousElementSibling;
+        if (previous && previous.localName === tag && !previous.classList.contains('checklist')) {
+          list = previous;
+        } else {
+          list = document.createElement(tag);
+          block.before(list);
+        }
+      }
+      list.appendChild(item);
+      block.remove();
+    });
+  }
+
+  /**
+   * Link the selected text, or insert the URL as a link if nothing is selected
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to link
+   * @param {string} href - Link URL
+   * @returns {Range} - Range over the linked text
+   */
+  setLink(root, range, href) {
+    const nodes = this.selectedTextNodes(root, this.expandToWord(range));
+    
+    if (nodes.length === 0) {
+      const link = document.createElement('a');
+      link.setAttribute('href', href);
+      link.textContent = href;
+      range.insertNode(link);
+      
+      const after = document.createRange();
+      after.setStartAfter(link);
+      return after;
+    }
+    
+    nodes.forEach(node => this.unwrapFrom(root, node, ['a']));
+    nodes.forEach(node => {
+      const link = this.wrap(node, 'a');
+      link.setAttribute('href', href);
+      this.hoist(root, link);
+    });
+    this.mergeSiblings(root, 'a');
+    return this.rangeAround(nodes);
+  }
+
+  /**
+   * Remove every link touching a range
+   * @param {Element} root - Editor element
+   * @param {Range} range - Selected range
+   * @returns {Range|null} - The same range, or null if there were no links
+   */
+  removeLink(root, range) {
+    const links = new Set(Array.from(root.querySelectorAll('a')).filter(link => range.intersectsNode(link)));
+    const around = this.closestTag(root, range.startContainer, ['a']);
+    if (around) {
+      links.add(around);
+    }
+    if (links.size === 0) return null;
+    
+    links.forEach(link => link.replaceWith(...link.childNodes));
+    return range;
+  }
+
+  /**
+   * Strip inline markup and styles from the selected text
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to clear
+   * @returns {Range|null} - Range over the cleared text
+   */
+  clearFormatting(root, range) {
+    const nodes = this.selectedTextNodes(root, this.expandToWord(range));
+    if (nodes.length === 0) return null;
+    
+    nodes.forEach(node => {
+      this.unwrapFrom(root, node, this.clearableTags);
+      
+      const block = this.closestBlock(root, node);
+      if (block) {
+        block.removeAttribute('style');
+      }
+    });
+    return this.rangeAround(nodes);
+  }
+
+  /**
+   * Give an empty editor its first block
+   * @param {Element} root - Editor element
+   * @param {string} tag - Block or list tag
+   * @returns {Range|null} - Caret inside the new block, or null if the editor wasn't empty
+   */
+  startEmptyEditor(root, tag) {
+    if (root.textContent.trim() !== '' || root.querySelector('img, hr, table')) return null;
+    
+    const block = document.createElement(tag);
+    const line = tag === 'ul' || tag === 'ol' ? block.appendChild(document.createElement('li')) : block;
+    line.appendChild(document.createElement('br'));
+    root.replaceChildren(block);
+    
+    const caret = document.createRange();
+    caret.setStart(line, 0);
+    return caret;
+  }
+
+  /**
+   * Move a list item out of its list as a block, splitting the list around it
+   * @param {Element} item - List item
+   * @param {string} tag - Block tag to use
+   * @param {Map<Node, Node>} replacements - Filled with replaced elements
+   */
+  liftListItem(item, tag, replacements) {
+    const list = item.parentElement;
+    const block = document.createElement(tag);
+    block.append(...item.childNodes);
+    replacements.set(item, block);
+    
+    const tail = list.cloneNode(false);
+    while (item.nextSibling) {
+      tail.appendChild(item.nextSibling);
+    }
+    item.remove();
+    
+    list.after(block);
+    if (tail.querySelector('li')) {
+      block.after(tail);
+    }
+    if (!list.querySelector('li')) {
+      list.remove();
+    }
+  }
+
+  /**
+   * Replace an element with one of another tag, keeping its attributes and children
+   * @param {Element} element - Element to replace
+   * @param {string} tag - New tag
+   * @param {Map<Node, Node>} replacements - Filled with the replaced element
+   * @returns {Element} - The new element
+   */
+  renameElement(element, tag, replacements) {
+    const renamed = document.createElement(tag);
+    Array.from(element.attributes).forEach(attribute => {
+      renamed.setAttribute(attribute.name, attribute.value);
+    });
+    renamed.append(...element.childNodes);
+    element.replaceWith(renamed);
+    replacements.set(element, renamed);
+    return renamed;
+  }
+
+  /**
+   * Find the innermost blocks touched by a range
+   * Loose lines directly in the editor are wrapped in paragraphs first.
+   * @param {Element} root - Editor element
+   * @param {Object} bounds - Range boundaries, as for restoreRange()
+   * @param {Map<Node, Node>} replacements - Filled with replaced elements
+   * @returns {Array<Element>} - Blocks in document order
+   */
+  selectedBlocks(root, bounds, replacements) {
+    this.wrapLooseLines(root, this.restoreRange(root, bounds, replacements), replacements);
+    
+    const range = this.restoreRange(root, bounds, replacements);
+    return Array.from(root.querySelectorAll(this.blockSelector)).filter(block =>
+      !block.querySelector(this.blockSelector) &&
+      (range.intersectsNode(block) || block.contains(range.startContainer))
+    );
+  }
+
+  /**
+   * Wrap runs of text and inline elements sitting directly in the editor in paragraphs
+   * Only runs the range touches are wrapped; <br> between runs is dropped.
+   * @param {Element} root - Editor element
+   * @param {Range} range - Selected range
+   * @param {Map<Node, Node>} replacements - Filled with dropped line breaks
+   */
+  wrapLooseLines(root, range, replacements) {
+    const runs = [];
+    let run = [];
+    
+    Array.from(root.childNodes).forEach(child => {
+      const isBreak = child.nodeName === 'BR';
+      const isBlock = child.nodeType === Node.ELEMENT_NODE &&
+        (child.matches(this.blockSelector) || child.matches('ul, ol, table, hr'));
+      
+      if (isBreak || isBlock) {
+        runs.push({ nodes: run, lineBreak: isBreak ? child : null });
+        run = [];
+      } else {
+        run.push(child);
+      }
+    });
+    runs.push({ nodes: run, lineBreak: null });
+    
+    // Decide before wrapping anything, since wrapping moves the range
+    const touchedRuns = runs.filter(({ nodes }) =>
+      nodes.some(node => range.intersectsNode(node) || node.contains(range.startContainer)) &&
+      !nodes.every(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim() === '')
+    );
+    
+    touchedRuns.forEach(({ nodes, lineBreak }) => {
+      const paragraph = document.createElement('p');
+      nodes[0].before(paragraph);
+      paragraph.append(...nodes);
+      if (lineBreak) {
+        replacements.set(lineBreak, paragraph);
+        lineBreak.remove();
+      }
+    });
+  }
+
+  /**
+   * Get the text nodes inside a range, without changing the document
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to look in
+   * @returns {Array<Text>} - Text nodes with at least one selected character
+   */
+  textNodesIn(root, range) {
+    if (range.collapsed) return [];
+    
+    const nodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.length === 0 || !range.intersectsNode(node)) continue;
+      if (node === range.startContainer && range.startOffset >= node.length) continue;
+      if (node === range.endContainer && range.endOffset === 0) continue;
+      if (this.isFormattable(root, node)) {
+        nodes.push(node);
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Get the text nodes inside a range, splitting partly selected ones at the boundaries
+   * @param {Element} root - Editor element
+   * @param {Range} range - Range to look in
+   * @returns {Array<Text>} - Fully selected text nodes
+   */
+  selectedTextNodes(root, range) {
+    if (range.collapsed) return [];
+    
+    let { startContainer, startOffset, endContainer, endOffset } = range;
+    
+    // Split the end first, so an offset into the same node stays valid
+    if (endContainer.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < endContainer.length) {
+      endContainer.splitText(endOffset);
+    }
+    if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < startContainer.length) {
+      const rest = startContainer.splitText(startOffset);
+      if (endContainer === startContainer) {
+        endContainer = rest;
+        endOffset -= startOffset;
+      }
+      startContainer = rest;
+      startOffset = 0;
+    }
+    
+    const adjusted = document.createRange();
+    adjusted.setStart(startContainer, startOffset);
+    adjusted.setEnd(endContainer, endOffset);
+    return this.textNodesIn(root, adjusted);
+  }
+
+  /**
+   * Check whether formatting a text node makes sense
+   * Whitespace between blocks or list items is left alone.
+   * @param {Element} root - Editor element
+   * @param {Text} node - Text node
+   * @returns {boolean}
+   */
+  isFormattable(root, node) {
+    if (node.data.trim() !== '') return true;
+    
+    const parent = node.parentNode;
+    return parent !== root && !parent.matches('ul, ol, table, thead, tbody, tfoot, tr');
+  }
+
+  /**
+   * Expand a caret to the word around it
+   * @param {Range} range - Selected range
+   * @returns {Range} - The word's range, or the original range
+   */
+  expandToWord(range) {
+    const node = range.startContainer;
+    if (!range.collapsed || node.nodeType !== Node.TEXT_NODE) return range;
+    
+    const isWordCharacter = (character) => /[\p{L}\p{N}_'-]/u.test(character);
+    let start = range.startOffset;
+    let end = range.startOffset;
+    while (start > 0 && isWordCharacter(node.data[start - 1])) start--;
+    while (end < node.length && isWordCharacter(node.data[end])) end++;
+    if (start === end) return range;
+    
+    const word = document.createRange();
+    word.setStart(node, start);
+    word.setEnd(node, end);
+    return word;
+  }
+
+  /**
+   * Take a text node out of every enclosing element with one of the given tags
+   * @param {Element} root - Editor element
+   * @param {Text} node - Text node
+   * @param {Array<string>} tags - Tags to remove
+   */
+  unwrapFrom(root, node, tags) {
+    let ancestor = this.closestTag(root, node, tags);
+    while (ancestor) {
+      this.splitAround(ancestor, node);
+      ancestor = this.closestTag(root, node, tags);
+    }
+  }
+
+  /**
+   * Unwrap an element around one descendant, keeping it on the content before and after
+   * @param {Element} ancestor - Element to remove around the node
+   * @param {Node} node - Descendant to free
+   */
+  splitAround(ancestor, node) {
+    const before = document.createRange();
+    before.setStart(ancestor, 0);
+    before.setEndBefore(node);
+    const beforeContent = before.extractContents();
+    
+    const after = document.createRange();
+    after.setStartAfter(node);
+    after.setEnd(ancestor, ancestor.childNodes.length);
+    const afterContent = after.extractContents();
+    
+    if (this.hasContent(beforeContent)) {
+      const copy = ancestor.cloneNode(false);
+      copy.appendChild(beforeContent);
+      ancestor.before(copy);
+    }
+    if (this.hasContent(afterContent)) {
+      const copy = ancestor.cloneNode(false);
+      copy.appendChild(afterContent);
+      ancestor.after(copy);
+    }
+    ancestor.replaceWith(...ancestor.childNodes);
+  }
+
+  /**
+   * Check whether extracted content is more than empty element shells
+   * @param {DocumentFragment} fragment - Extracted content
+   * @returns {boolean}
+   */
+  hasContent(fragment) {
+    return fragment.textContent !== '' || Boolean(fragment.querySelector('img, br, hr'));
+  }
+
+  /**
+   * Wrap a node in a new element
+   * @param {Node} node - Node to wrap
+   * @param {string} tag - Wrapper tag
+   * @returns {Element} - The wrapper
+   */
+  wrap(node, tag) {
+    const wrapper = document.createElement(tag);
+    node.before(wrapper);
+    wrapper.appendChild(node);
+    return wrapper;
+  }
+
+  /**
+   * Move an element outside inline parents it is the only child of
+   * This way a link across <em>here</em> becomes one link instead of several.
+   * @param {Element} root - Editor element
+   * @param {Element} element - Element to move up
+   */
+  hoist(root, element) {
+    let parent = element.parentNode;
+    while (parent !== root && parent.childNodes.length === 1 &&
+           !parent.matches(this.blockSelector) && !parent.matches('ul, ol, table, thead, tbody, tfoot, tr, td, th')) {
+      parent.replaceWith(element);
+      parent.append(...element.childNodes);
+      element.appendChild(parent);
+      parent = element.parentNode;
+    }
+  }
+
+  /**
+   * Join adjacent elements of a tag that have the same attributes
+   * @param {Element} root - Editor element
+   * @param {string} tag - Tag to merge
+   */
+  mergeSiblings(root, tag) {
+    root.querySelectorAll(tag).forEach(element => {
+      const previous = element.previousSibling;
+      if (previous && previous.nodeType === Node.ELEMENT_NODE && previous.localName === tag &&
+          this.sameAttributes(previous, element)) {
+        previous.append(...element.childNodes);
+        element.remove();
+      }
+    });
+  }
+
+  /**
+   * Compare the attributes of two elements
+   * @param {Element} a - First element
+   * @param {Element} b - Second element
+   * @returns {boolean}
+   */
+  sameAttributes(a, b) {
+    return a.attributes.length === b.attributes.length &&
+      Array.from(a.attributes).every(attribute => b.getAttribute(attribute.name) === attribute.value);
+  }
+
+  /**
+   * Find the nearest enclosing element with one of the given tags
+   * @param {Element} root - Editor element, where the search stops
+   * @param {Node} node - Starting node
+   * @param {Array<string>} tags - Tags to look for
+   * @returns {Element|null}
+   */
+  closestTag(root, node, tags) {
+    for (let current = node; current && current !== root; current = current.parentNode) {
+      if (current.nodeType === Node.ELEMENT_NODE && tags.includes(current.localName)) {
+        return current;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the nearest enclosing block
+   * @param {Element} root - Editor element, where the search stops
+   * @param {Node} node - Starting node
+   * @returns {Element|null}
+   */
+  closestBlock(root, node) {
+    for (let current = node; current && current !== root; current = current.parentNode) {
+      if (current.nodeType === Node.ELEMENT_NODE && current.matches(this.blockSelector)) {
+        return current;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build a range from the start of the first node to the end of the last
+   * @param {Array<Text>} nodes - Text nodes in document order
+   * @returns {Range}
+   */
+  rangeAround(nodes) {
+    const range = document.createRange();
+    range.setStart(nodes[0], 0);
+    range.setEnd(nodes[nodes.length - 1], nodes[nodes.length - 1].length);
+    return range;
+  }
+
+  /**
+   * Rebuild a range after the elements it pointed into were replaced
+   * @param {Element} root - Editor element
+   * @param {{startContainer: Node, startOffset: number, endContainer: Node, endOffset: number}} range - Boundaries from before the change
+   * @param {Map<Node, Node>} replacements - Old element -> element that took its place
+   * @returns {Range}
+   */
+  restoreRange(root, range, replacements) {
+    const resolve = (container, offset) => {
+      let node = container;
+      while (replacements.has(node)) {
+        node = replacements.get(node);
+      }
+      if (!root.contains(node)) {
+        return [root, root.childNodes.length];
+      }
+      const length = node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length;
+      return [node, Math.min(offset, length)];
+    };
+    
+    const restored = document.createRange();
+    restored.setStart(...resolve(range.startContainer, range.startOffset));
+    restored.setEnd(...resolve(range.endContainer, range.endOffset));
+    return restored;
+  }
+}
+
+// ---------------
+// Input Rules - Markdown-style shortcuts applied while typing
+// ---------------
+class InputRules {
+  constructor(formatter) {
+    this.formatter = formatter;
+    
+    // Typed at the start of a line and followed by a space
+    this.headingMarker = /^#{1,4}$/;
+    this.bulletMarker = /^[-*]$/;
+    this.orderedMarker = /^(\d{1,9})\.$/;
+    this.quoteMarker = /^>$/;
+    this.checkboxMarker = /^\[( |x|X)?\]$/;
+    
+    // Closed by the last asterisk typed
+    this.boldPattern = /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/;
+  }
+
+  /**
+   * Apply a rule after text was typed into an editor
+   * @param {Element} root - Editor element
+   * @param {InputEvent} e - Input event
+   * @returns {{html: string, offset: number}|null} - Editor state from before the conversion, for undoing it
+   */
+  handleInput(root, e) {
+    if (e.inputType === 'insertParagraph') {
+      this.resetNewChecklistItem(root);
+      return null;
+    }
+    if (e.inputType !== 'insertText' || !e.data) return null;
+    
+    const range = this.formatter.getRange(root);
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return null;
+    
+    // Code is typed literally
+    if (this.formatter.closestTag(root, range.startContainer, ['pre', 'code'])) return null;
+    
+    const snapshot = {
+      html: root.innerHTML,
+      offset: this.textOffset(root, range.startContainer, range.startOffset)
+    };
+    
+    let caret = null;
+    if (/^\s$/.test(e.data)) {
+      caret = this.applyLineRule(root, range);
+    } else if (e.data === '*') {
+      caret = this.applyBoldRule(range);
+    } else if (e.data === '`') {
+      caret = this.applyCodeBlockRule(root, range);
+    }
+    
+    if (!caret) return null;
+    this.formatter.select(caret);
+    return snapshot;
+  }
+
+  /**
+   * Put an editor back the way it was before a conversion, with the caret where it was
+   * @param {Element} root - Editor element
+   * @param {{html: string, offset: number}} snapshot - State returned by handleInput()
+   */
+  revert(root, snapshot) {
+    root.innerHTML = snapshot.html;
+    this.formatter.select(this.caretAt(root, snapshot.offset));
+  }
+
+  /**
+   * Turn a line marker such as "# " or "- " into a heading, list, quote or checkbox
+   * @param {Element} root - Editor element
+   * @param {Range} range - Caret, right after the space
+   * @returns {Range|null} - New caret, or null if no rule matched
+   */
+  applyLineRule(root, range) {
+    // Wrapping loose lines moves the text node, which resets the live range
+    const node = range.startContainer;
+    const offset = range.startOffset;
+    const replacements = new Map();
+    
+    let block = this.formatter.closestBlock(root, node);
+    if (!block) {
+      this.formatter.wrapLooseLines(root, range, replacements);
+      block = this.formatter.closestBlock(root, node);
+    }
+    if (!block) return null;
+    
+    const line = document.createRange();
+    line.setStart(block, 0);
+    line.setEnd(node, offset);
+    const marker = line.toString().slice(0, -1);
+    
+    // Headings and quotes only apply to plain lines; list markers inside lists are left as typed
+    const isPlain = !['li', 'pre', 'blockquote'].includes(block.localName);
+    let target = null;
+    
+    if (this.headingMarker.test(marker) && isPlain) {
+      line.deleteContents();
+      target = this.formatter.renameElement(block, `h${marker.length}`, replacements);
+    } else if (this.quoteMarker.test(marker) && isPlain) {
+      line.deleteContents();
+      target = this.formatter.renameElement(block, 'blockquote', replacements);
+    } else if (this.bulletMarker.test(marker) && block.localName !== 'li') {
+      line.deleteContents();
+      this.formatter.toggleList([block], 'ul', replacements);
+      target = replacements.get(block);
+    } else if (this.orderedMarker.test(marker) && block.localName !== 'li') {
+      line.deleteContents();
+      this.formatter.toggleList([block], 'ol', replacements);
+      target = replacements.get(block);
+      
+      const start = parseInt(marker, 10);
+      const list = target.parentElement;
+      if (start !== 1 && list.children.length === 1) {
+        list.setAttribute('start', start);
+      }
+    } else if (this.checkboxMarker.test(marker) && block.localName !== 'li') {
+      line.deleteContents();
+      target = this.createChecklistItem(block, /x/i.test(marker), replacements);
+    }
+    
+    if (!target) return null;
+    return this.caretAtStart(target, node);
+  }
+
+  /**
+   * Replace a block with an item of a checklist, joining a checklist right before it
+   * @param {Element} block - Block to replace
+   * @param {boolean} checked - Whether the item starts checked
+   * @param {Map<Node, Node>} replacements - Filled with the replaced block
+   * @returns {Element} - The new list item
+   */
+  createChecklistItem(block, checked, replacements) {
+    const item = document.createElement('li');
+    item.setAttribute('data-checked', String(checked));
+    item.append(...block.childNodes);
+    replacements.set(block, item);
+    
+    let list = block.previousElementSibling;
+    if (!list || !list.matches('ul.checklist')) {
+      list = document.createElement('ul');
+      list.className = 'checklist';
+      block.before(list);
+    }
+    list.appendChild(item);
+    block.remove();
+    return item;
+  }
+
+  /**
+   * Turn **text** into bold when the closing asterisk is typed
+   * @param {Range} range - Caret, right after the asterisk
+   * @returns {Range|null} - New caret after the bold text, or null if nothing matched
+   */
+  applyBoldRule(range) {
+    const node = range.startContainer;
+    const match = node.data.slice(0, range.startOffset).match(this.boldPattern);
+    if (!match) return null;
+    
+    const start = range.startOffset - match[0].length;
+    const rest = node.splitText(start);
+    rest.deleteData(0, match[0].length);
+    
+    const bold = document.createElement('strong');
+    bold.textContent = match[1];
+    node.after(bold);
+    
+    // Text typed next continues outside the bold
+    const caret = document.createRange();
+    caret.setStart(rest, 0);
+    return caret;
+  }
+
+  /**
+   * Turn a line of three backticks into an empty code block
+   * @param {Element} root - Editor element
+   * @param {Range} range - Caret, right after the third backtick
+   * @returns {Range|null} - Caret inside the code block, or null if the line is something else
+   */
+  applyCodeBlockRule(root, range) {
+    const node = range.startContainer;
+    const replacements = new Map();
+    
+    let block = this.formatter.closestBlock(root, node);
+    if (!block) {
+      this.formatter.wrapLooseLines(root, range, replacements);
+      block = this.formatter.closestBlock(root, node);
+    }
+    if (!block || block.localName === 'li' || block.textContent !== '```') return null;
+    
+    const code = document.createElement('pre');
+    code.appendChild(document.createElement('br'));
+    block.replaceWith(code);
+    
+    const caret = document.createRange();
+    caret.setStart(code, 0);
+    return caret;
+  }
+
+  /**
+   * Uncheck a checklist item just created with Enter, which copies the previous item's state
+   * @param {Element} root - Editor element
+   */
+  resetNewChecklistItem(root) {
+    const range = this.formatter.getRange(root);
+    if (!range) return;
+    
+    const item = this.formatter.closestTag(root, range.startContainer, ['li']);
+    if (item && item.parentElement.matches('ul.checklist') && item.textContent === '') {
+      item.setAttribute('data-checked', 'false');
+    }
+  }
+
+  /**
+   * Place the caret at the start of a converted line
+   * @param {Element} target - The new block or list item
+   * @param {Text} node - Text node the caret was in
+   * @returns {Range}
+   */
+  caretAtStart(target, node) {
+    const caret = document.createRange();
+    
+    if (target.textContent === '') {
+      // An empty line needs a <br> to hold the caret
+      target.replaceChildren(document.createElement('br'));
+      caret.setStart(target, 0);
+    } else if (target.contains(node)) {
+      caret.setStart(node, 0);
+    } else {
+      caret.setStart(target, 0);
+    }
+    return caret;
+  }
+
+  /**
+   * Count the characters of an editor before a position
+   * @param {Element} root - Editor element
+   * @param {Node} container - Position container
+   * @param {number} offset - Position offset
+   * @returns {number}
+   */
+  textOffset(root, container, offset) {
+    const before = document.createRange();
+    before.setStart(root, 0);
+    before.setEnd(container, offset);
+    return before.toString().length;
+  }
+
+  /**
+   * Find the position after a number of characters of an editor
+   * @param {Element} root - Editor element
+   * @param {number} offset - Character count
+   * @returns {Range} - Collapsed range at that position, or at the end
+   */
+  caretAt(root, offset) {
+    const caret = document.createRange();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let remaining = offset;
+    
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (remaining <= node.length) {
+        caret.setStart(node, remaining);
+        return caret;
+      }
+      remaining -= node.length;
+    }
+    
+    caret.selectNodeContents(root);
+    caret.collapse(false);
+    return caret;
+  }
+}
+
+// ---------------
+// Text Diff - Word-level diff between versions of note HTML
+// ---------------
+class TextDiff {
+  constructor() {
+    this.maxEditDistance = 2000; // Beyond this, show the versions as one replacement
+    this.blockBoundary = /^<(\/(p|div|li|h[1-6]|blockquote|pre|tr|table|ul|ol)|br|hr)\b/i;
+  }
+
+  /**
+   * Split note HTML into tags, words, whitespace and single symbols
+   * @param {string} html - Note HTML
+   * @returns {Array<string>} - Tokens that join back into the input
+   */
+  tokenize(html) {
+    return (html || '').match(/<[^>]*>|&[#\w]+;|[\p{L}\p{N}_]+|\s+|[^]/gu) || [];
+  }
+
+  /**
+   * Check whether a token counts as a word in summaries
+   * @param {string} token - Token
+   * @returns {boolean} - True for word tokens
+   */
+  isWord(token) {
+    return /^[\p{L}\p{N}_]/u.test(token);
+  }
+
+  /**
+   * Diff two HTML strings word by word
+   * @param {string} oldHtml - Earlier content
+   * @param {string} newHtml - Later content
+   * @returns {Array<Object>} - Segments: {type: 'equal', tokens} or {type: 'change', removed, added}
+   */
+  diff(oldHtml, newHtml) {
+    const a = this.tokenize(oldHtml);
+    const b = this.tokenize(newHtml);
+    
+    // Trim the common prefix and suffix; most edits touch a small part of a note
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+    
+    const middle = this.myers(a.slice(start, endA), b.slice(start, endB)) || [
+      ...a.slice(start, endA).map(token => ({ type: 'delete', token })),
+      ...b.slice(start, endB).map(token => ({ type: 'insert', token }))
+    ];
+    
+    const operations = [
+      ...a.slice(0, start).map(token => ({ type: 'equal', token })),
+      ...middle,
+      ...a.slice(endA).map(token => ({ type: 'equal', token }))
+    ];
+    
+    return this.group(operations);
+  }
+
+  /**
+   * Shortest edit script between two token lists (Myers' O(ND) algorithm)
+   * @param {Array<string>} a - Old tokens
+   * @param {Array<string>} b - New tokens
+   * @returns {Array<Object>|null} - Operations, or null if the lists differ too much
+   */
+  myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, this.maxEditDistance);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    
+    for (let d = 0; d <= max; d++) {
+      // Only diagonals -d..d are reachable, so only those are kept for backtracking
+      trace.push(v.slice(offset - d, offset + d + 1));
+      
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        
+        if (x >= n && y >= m) {
+          return this.backtrack(a, b, trace);
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Walk the saved Myers frontiers back from the end to recover the edits
+   * @param {Array<string>} a - Old tokens
+   * @param {Array<string>} b - New tokens
+   * @param {Array<Int32Array>} trace - Frontier before each edit distance
+   * @returns {Array<Object>} - Operations in order
+   */
+  backtrack(a, b, trace) {
+    const operations = [];
+    let x = a.length;
+    let y = b.length;
+    
+    for (let d = trace.length - 1; d > 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+      const prevX = v[prevK + d];
+      const prevY = prevX - prevK;
+      
+      while (x > prevX && y > prevY) {
+        operations.push({ type: 'equal', token: a[--x] });
+        y--;
+      }
+      
+      if (x === prevX) {
+        operations.push({ type: 'insert', token: b[--y] });
+      } else {
+        operations.push({ type: 'delete', token: a[--x] });
+      }
+    }
+    
+    while (x > 0) {
+      operations.push({ type: 'equal', token: a[--x] });
+    }
+    
+    return operations.reverse();
+  }
+
+  /**
+   * Group operations into equal runs and change hunks
+   * Changes separated only by whitespace are merged into one hunk.
+   * @param {Array<Object>} operations - Token operations
+   * @returns {Array<Object>} - Segments
+   */
+  group(operations) {
+    const segments = [];
+    
+    operations.forEach(({ type, token }) => {
+      let last = segments[segments.length - 1];
+      
+      if (type === 'equal') {
+        if (!last || last.type !== 'equal') {
+          last = { type: 'equal', tokens: [] };
+          segments.push(last);
+        }
+        last.tokens.push(token);
+        return;
+      }
+      
+      if (!last || last.type !== 'change') {
+        const previous = segments[segments.length - 2];
+        if (last && previous && last.tokens.every(t => /^\s+$/.test(t))) {
+          // Fold the whitespace back into the hunk before it
+          segments.pop();
+          previous.removed.push(...last.tokens);
+          previous.added.push(...last.tokens);
+          last = previous;
+        } else {
+          last = { type: 'change', removed: [], added: [] };
+          segments.push(last);
+        }
+      }
+      (type === 'delete' ? last.removed : last.added).push(token);
+    });
+    
+    return segments;
+  }
+
+  /**
+   * Count words added and removed
+   * @param {Array<Object>} segments - Diff segments
+   * @returns {{added: number, removed: number}} - Word counts
+   */
+  summarize(segments) {
+    const summary = { added: 0, removed: 0 };
+    
+    segments.forEach(segment => {
+      if (segment.type !== 'change') return;
+      summary.added += segment.added.filter(token => this.isWord(token)).length;
+      summary.removed += segment.removed.filter(token => this.isWord(token)).length;
+    });
+    
+    return summary;
+  }
+
+  /**
+   * Rebuild the new side with one hunk reverted to the old side
+   * @param {Array<Object>} segments - Diff segments
+   * @param {number} hunk - Index of the hunk among the change segments
+   * @returns {string} - HTML
+   */
+  revertHunk(segments, hunk) {
+    let index = -1;
+    
+    return segments.map(segment => {
+      if (segment.type === 'equal') return segment.tokens.join('');
+      index++;
+      return (index === hunk ? segment.removed : segment.added).join('');
+    }).join('');
+  }
+
+  /**
+   * Encode the changes from one string to another as a compact delta
+   * @param {string} oldHtml - Base content
+   * @param {string} newHtml - Target content
+   * @returns {Array} - Flat list of [retained chars, deleted chars, inserted text] triples
+   */
+  createDelta(oldHtml, newHtml) {
+    const delta = [];
+    let retain = 0;
+    
+    this.diff(oldHtml, newHtml).forEach(segment => {
+      if (segment.type === 'equal') {
+        retain += segment.tokens.join('').length;
+        return;
+      }
+      delta.push(retain, segment.removed.join('').length, segment.added.join(''));
+      retain = 0;
+    });
+    
+    return delta;
+  }
+
+  /**
+   * Rebuild content from its base and a delta made by createDelta()
+   * @param {string} base - Content the delta was made against
+   * @param {Array} delta - Delta triples
+   * @returns {string} - Target content
+   */
+  applyDelta(base, delta) {
+    let result = '';
+    let position = 0;
+    
+    for (let i = 0; i < delta.length; i += 3) {
+      result += base.slice(position, position + delta[i]) + delta[i + 2];
+      position += delta[i] + delta[i + 1];
+    }
+    
+    return result + base.slice(position);
+  }
+
+  /**
+   * Render a diff as readable text with highlighted changes
+   * @param {Array<Object>} segments - Diff segments
+   * @param {Object} [options]
+   * @param {string} [options.side] - 'old' or 'new' for one column of a side-by-side view
+   * @param {boolean} [options.restorable=false] - Add a restore button to each hunk
+   * @returns {string} - HTML
+   */
+  render(segments, options = {}) {
+    let index = -1;
+    
+    return segments.map(segment => {
+      if (segment.type === 'equal') return this.toText(segment.tokens);
+      index++;
+      
+      const removed = options.side === 'new' ? '' : this.toText(segment.removed);
+      const added = options.side === 'old' ? '' : this.toText(segment.added);
+      const formattingOnly = !removed.trim() && !added.trim();
+      const restore = options.restorable
+        ? `<button class="diff-restore" data-hunk="${index}" title="Restore this change">↺</button>`
+        : '';
+      
+      if (formattingOnly) {
+        return (options.side ? '' : '<span class="diff-format">formatting</span>') + restore;
+      }
+      
+      return (removed ? `<del>${removed}</del>` : '') + (added ? `<ins>${added}</ins>` : '') + restore;
+    }).join('');
+  }
+
+  /**
+   * Turn tokens into escaped display text, ending lines at block boundaries
+   * @param {Array<string>} tokens - Tokens
+   * @returns {string} - HTML-safe text
+   */
+  toText(tokens) {
+    return tokens.map(token => {
+      if (token.startsWith('<') && token.length > 1) {
+        return this.blockBoundary.test(token) ? '\n' : '';
+      }
+      return token
+        .replace(/&(?![#\w]+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    }).join('');
+  }
+}
+
+// ---------------
+// Search Index - Inverted index over note titles and stripped text
+// ---------------
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // Note ID -> indexed document
+    this.postings = new Map(); // Term -> Set of note IDs
+    this.sortedTerms = null; // Lazily rebuilt for prefix lookups
+  }
+
+  /**
+   * Split text into lowercase search terms
+   * @param {string} text - Plain text
+   * @returns {Array<string>} - Terms in order of appearance
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  }
+
+  /**
+   * Cheap fingerprint of a note, used to tell whether a stored document is stale
+   * @param {Object} note - Note object
+   * @returns {string} - Signature
+   */
+  signature(note) {
+    const source = `${note.title}\u0000${note.content || ''}`;
+    let hash = 5381;
+    for (let i = 0; i < source.length; i++) {
+      hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+    }
+    return `${note.date}:${source.length}:${hash >>> 0}`;
+  }
+
+  /**
+   * Build an indexed document for a note
+   * @param {Object} note - Note object
+   * @param {string} text - Note content with markup stripped
+   * @returns {Object} - Document that can be persisted and passed to add()
+   */
+  createDocument(note, text) {
+    const terms = {};
+    
+    this.tokenize(note.title).forEach(term => {
+      terms[term] = terms[term] || [0, 0];
+      terms[term][0]++;
+    });
+    this.tokenize(text).forEach(term => {
+      terms[term] = terms[term] || [0, 0];
+      terms[term][1]++;
+    });
+    
+    return {
+      id: note.id,
+      signature: this.signature(note),
+      date: note.date,
+      text,
+      terms
+    };
+  }
+
+  /**
+   * Add or replace a document
+   * @param {Object} doc - Document from createDocument()
+   */
+  add(doc) {
+    this.remove(doc.id);
+    this.documents.set(String(doc.id), doc);
+    
+    Object.keys(doc.terms).forEach(term => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).add(String(doc.id));
+    });
+  }
+
+  /**
+   * Remove a document
+   * @param {string|number} id - Note ID
+   */
+  remove(id) {
+    const key = String(id);
+    const doc = this.documents.get(key);
+    if (!doc) return;
+    
+    Object.keys(doc.terms).forEach(term => {
+      const ids = this.postings.get(term);
+      if (!ids) return;
+      ids.delete(key);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+    
+    this.documents.delete(key);
+  }
+
+  /**
+   * Get the stored document for a note
+   * @param {string|number} id - Note ID
+   * @returns {Object|undefined} - Indexed document
+   */
+  get(id) {
+    return this.documents.get(String(id));
+  }
+
+  /**
+   * Find all indexed terms starting with a prefix
+   * @param {string} prefix - Lowercase prefix
+   * @returns {Array<string>} - Matching terms
+   */
+  expand(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+    
+    // Binary search for the first candidate, then scan while the prefix holds
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTerms[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const matches = [];
+    for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+      matches.push(this.sortedTerms[i]);
+    }
+    return matches;
+  }
+
+  /**
+   * Search for documents containing every query term, each of which may be the start of a word
+   * @param {string} query - Free-text query
+   * @returns {Map<string, Object>|null} - Note ID -> {titleHits, bodyHits}, or null if the query has no terms
+   */
+  search(query) {
+    const queryTerms = this.tokenize(query);
+    if (queryTerms.length === 0) return null;
+    
+    let results = null;
+    
+    queryTerms.forEach(queryTerm => {
+      const matches = new Map();
+      
+      this.expand(queryTerm).forEach(term => {
+        // Exact words count double so "note" ranks "note" above "notebook"
+        const weight = term === queryTerm ? 2 : 1;
+        
+        this.postings.get(term).forEach(id => {
+          if (results && !results.has(id)) return;
+          
+          const [titleCount, bodyCount] = this.documents.get(id).terms[term];
+          const match = matches.get(id) || { titleHits: 0, bodyHits: 0 };
+          match.titleHits += titleCount > 0 ? weight : 0;
+          match.bodyHits += bodyCount * weight;
+          matches.set(id, match);
+        });
+      });
+      
+      if (results) {
+        matches.forEach((match, id) => {
+          const previous = results.get(id);
+          match.titleHits += previous.titleHits;
+          match.bodyHits += previous.bodyHits;
+        });
+      }
+      results = matches;
+    });
+    
+    return results;
+  }
+
+  /**
+   * Build a highlighted snippet around the first matching passage
+   * @param {string|number} id - Note ID
+   * @param {string} query - Free-text query
+   * @param {number} [length=160] - Approximate snippet length
+   * @returns {string} - Escaped HTML with <mark> around matches
+   */
+  snippet(id, query, length = 160) {
+    const doc = this.get(id);
+    if (!doc || !doc.text) return '';
+    
+    const queryTerms = this.tokenize(query);
+    const text = doc.text.replace(/\s+/g, ' ').trim();
+    const isMatch = word => queryTerms.some(term => word.toLowerCase().startsWith(term));
+    
+    const wordPattern = /[\p{L}\p{N}_]+/gu;
+    let start = 0;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      if (isMatch(match[0])) {
+        start = Math.max(0, match.index - Math.floor(length / 4));
+        break;
+      }
+    }
+    
+    let end = Math.min(text.length, start + length);
+    // Avoid cutting words in half at either end
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < end ? space + 1 : start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > start ? space : end;
+    }
+    
+    const passage = text.slice(start, end);
+    const highlighted = passage.replace(/[\p{L}\p{N}_]+|[^\p{L}\p{N}_]+/gu, part => {
+      const escaped = this.escapeHtml(part);
+      return isMatch(part) ? `<mark>${escaped}</mark>` : escaped;
+    });
+    
+    return `${start > 0 ? '… ' : ''}${highlighted}${end < text.length ? ' …' : ''}`;
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Plain text
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// ---------------
+// Link Index - Which notes link to which through [[note links]]
+// ---------------
+class LinkIndex {
+  constructor() {
+    this.outgoing = new Map(); // Source note ID -> Set of target note IDs
+    this.incoming = new Map(); // Target note ID -> Set of source note IDs
+  }
+
+  /**
+   * Find the notes an HTML fragment links to
+   * @param {string} html - Note content
+   * @returns {Set<string>} - Target note IDs
+   */
+  extract(html) {
+    if (!html || !html.includes('note-link')) return new Set();
+    
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return new Set(Array.from(template.content.querySelectorAll('a.note-link[data-note-id]'), link => link.getAttribute('data-note-id')));
+  }
+
+  /**
+   * Add or refresh the links of a note
+   * @param {string|number} noteId - Source note ID
+   * @param {string} html - Note content
+   * @returns {Set<string>} - Notes linked before or after, whose backlinks may have changed
+   */
+  update(noteId, html) {
+    const targets = this.extract(html);
+    const affected = this.remove(noteId);
+    
+    targets.forEach(target => {
+      affected.add(target);
+      if (!this.incoming.has(target)) {
+        this.incoming.set(target, new Set());
+      }
+      this.incoming.get(target).add(String(noteId));
+    });
+    
+    if (targets.size > 0) {
+      this.outgoing.set(String(noteId), targets);
+    }
+    return affected;
+  }
+
+  /**
+   * Drop the links of a note
+   * @param {string|number} noteId - Source note ID
+   * @returns {Set<string>} - Notes it linked to
+   */
+  remove(noteId) {
+    const id = String(noteId);
+    const targets = this.outgoing.get(id) || new Set();
+    
+    targets.forEach(target => {
+      const sources = this.incoming.get(target);
+      sources.delete(id);
+      if (sources.size === 0) {
+        this.incoming.delete(target);
+      }
+    });
+    
+    this.outgoing.delete(id);
+    return new Set(targets);
+  }
+
+  /**
+   * Notes a note links to
+   * @param {string|number} noteId - Source note ID
+   * @returns {Array<string>} - Target note IDs
+   */
+  links(noteId) {
+    return Array.from(this.outgoing.get(String(noteId)) || []);
+  }
+
+  /**
+   * Notes that link to a note
+   * @param {string|number} noteId - Target note ID
+   * @returns {Array<string>} - Source note IDs
+   */
+  backlinks(noteId) {
+    return Array.from(this.incoming.get(String(noteId)) || []);
+  }
+
+  /**
+   * Forget every link
+   */
+  clear() {
+    this.outgoing.clear();
+    this.incoming.clear();
+  }
+}
+
+// ---------------
+// Search Query Parser - Parses the header search box query language
+// ---------------
+class SearchQueryParser {
+  constructor() {
+    this.keys = ['tag', 'project', 'author', 'label', 'before', 'after', 'has'];
+    this.hasValues = ['versions', 'labels', 'tags', 'project'];
+  }
+
+  /**
+   * Parse a query such as: tag:work project:"Client A" -draft "exact phrase" a OR b
+   * Terms are ANDed together; OR joins the terms on either side of it.
+   * @param {string} input - Raw query
+   * @returns {{clauses: Array<Array<Object>>, highlight: string}|null} - Clauses of alternative terms, or null for an empty query
+   * @throws {Error} - With a user-facing message when the query is invalid
+   */
+  parse(input) {
+    const tokens = this.tokenize(input || '');
+    if (tokens.length === 0) return null;
+    
+    const clauses = [];
+    let joinNext = false;
+    
+    tokens.forEach(token => {
+      if (token.type === 'or') {
+        if (clauses.length === 0 || joinNext) {
+          throw new Error('OR needs a term on both sides');
+        }
+        joinNext = true;
+        return;
+      }
+      
+      if (joinNext) {
+        clauses[clauses.length - 1].push(token);
+        joinNext = false;
+      } else {
+        clauses.push([token]);
+      }
+    });
+    
+    if (joinNext) {
+      throw new Error('OR needs a term on both sides');
+    }
+    
+    const highlight = tokens
+      .filter(token => !token.negated && (token.field === 'text' || token.field === 'phrase'))
+      .map(token => token.value)
+      .join(' ');
+    
+    return { clauses, highlight };
+  }
+
+  /**
+   * Split a query into terms and operators
+   * @param {string} input - Raw query
+   * @returns {Array<Object>} - Tokens
+   */
+  tokenize(input) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < input.length) {
+      if (/\s/.test(input[i])) {
+        i++;
+        continue;
+      }
+      
+      let negated = false;
+      if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+      
+      // Quoted phrase
+      if (input[i] === '"') {
+        const { value, end } = this.readQuoted(input, i);
+        if (!value.trim()) {
+          throw new Error('Empty quotes');
+        }
+        tokens.push({ field: 'phrase', value, negated });
+        i = end;
+        continue;
+      }
+      
+      // Bare word, possibly a key:value filter
+      const start = i;
+      while (i < input.length && !/\s/.test(input[i]) && input[i] !== '"') {
+        i++;
+      }
+      const word = input.slice(start, i);
+      
+      if (word === 'OR' && !negated) {
+        tokens.push({ type: 'or' });
+        continue;
+      }
+      
+      // Anything that isn't a known filter, like a pasted URL or todo:, is searched as text
+      const filter = word.match(/^([a-zA-Z]+):(.*)$/);
+      const key = filter && filter[1].toLowerCase();
+      if (!filter || !this.keys.includes(key)) {
+        tokens.push({ field: 'text', value: word, negated });
+        continue;
+      }
+      
+      let value = filter[2];
+      if (!value && input[i] === '"') {
+        const quoted = this.readQuoted(input, i);
+        value = quoted.value;
+        i = quoted.end;
+      }
+      
+      tokens.push({ field: key, value: this.validateValue(key, value.trim()), negated });
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Read a double-quoted string
+   * @param {string} input - Raw query
+   * @param {number} start - Index of the opening quote
+   * @returns {{value: string, end: number}} - Quoted text and the index after the closing quote
+   */
+  readQuoted(input, start) {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new Error('Missing closing quote');
+    }
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  }
+
+  /**
+   * Check and normalise the value of a key:value filter
+   * @param {string} key - Filter key
+   * @param {string} value - Raw value
+   * @returns {string|Date} - Normalised value
+   */
+  validateValue(key, value) {
+    if (!value) {
+      throw new Error(`${key}: needs a value`);
+    }
+    
+    switch (key) {
+      case 'before':
+      case 'after': {
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+        if (!date || date.getMonth() !== +match[2] - 1 || date.getDate() !== +match[3]) {
+          throw new Error(`${key}: expects a date like 2025-01-31`);
+        }
+        return date;
+      }
+      case 'has':
+        if (!this.hasValues.includes(value.toLowerCase())) {
+          throw new Error(`has: expects ${this.hasValues.join(', ')}`);
+        }
+        return value.toLowerCase();
+      case 'tag':
+        return value.replace(/^#/, '').toLowerCase();
+      default:
+        return value.toLowerCase();
+    }
+  }
+}
+
+// ---------------
+// Command History - undo and redo for app-level actions
+// ---------------
+class CommandHistory {
+  constructor(db, { limit = 50, maxAge = 15 * 60 * 1000 } = {}) {
+    this.db = db;
+    this.limit = limit;
+    this.maxAge = maxAge; // Entries older than this are dropped on load
+    this.handlers = new Map(); // Command type -> { undo(data), redo(data) }
+    this.undoStack = [];
+    this.redoStack = [];
+    this.seq = 0;
+  }
+
+  /**
+   * Register how a command type is undone and redone
+   * Commands are stored as plain data, so they can be replayed after a reload.
+   * Handlers perform the action with { replay: true }, so it isn't recorded again.
+   * @param {string} type - Command type
+   * @param {{undo: Function, redo: Function}} handler - Functions taking the command data
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load entries saved before a reload, dropping expired ones
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const cutoff = Date.now() - this.maxAge;
+    const entries = [];
+    
+    (await this.db.getAll('commands')).forEach(entry => {
+      if (new Date(entry.date).getTime() < cutoff || !this.handlers.has(entry.type)) {
+        this.remove(entry);
+      } else {
+        entries.push(entry);
+      }
+    });
+    
+    entries.sort((a, b) => a.seq - b.seq);
+    this.undoStack = entries.filter(entry => !entry.undone);
+    this.redoStack = entries.filter(entry => entry.undone);
+    this.seq = entries.reduce((max, entry) => Math.max(max, entry.seq), 0);
+  }
+
+  /**
+   * Record an action that was just performed
+   * @param {string} type - Registered command type
+   * @param {string} label - Short description, e.g. "Delete note"
+   * @param {Object} data - What the handler needs to undo and redo it
+   * @returns {Object} - The entry
+   */
+  record(type, label, data) {
+    this.seq++;
+    const entry = {
+      id: `${Date.now().toString(36)}-${this.seq}`,
+      seq: this.seq,
+      type,
+      label,
+      data,
+      date: new Date().toISOString(),
+      undone: false
+    };
+    this.undoStack.push(entry);
+    this.persist(entry);
+    
+    // A new action replaces whatever had been undone
+    this.redoStack.splice(0).forEach(undone => this.remove(undone));
+    
+    while (this.undoStack.length > this.limit) {
+      this.remove(this.undoStack.shift());
+    }
+    return entry;
+  }
+
+  /**
+   * Undo the most recent action
+   * @param {string} [id] - Only undo if this entry is the most recent one
+   * @returns {Promise<Object|null>} - The undone entry, or null if there was nothing to undo
+   */
+  async undo(id) {
+    return this.move(this.undoStack, this.redoStack, 'undo', id);
+  }
+
+  /**
+   * Redo the most recently undone action
+   * @param {string} [id] - Only redo if this entry is the most recently undone one
+   * @returns {Promise<Object|null>} - The redone entry, or null if there was nothing to redo
+   */
+  async redo(id) {
+    return this.move(this.redoStack, this.undoStack, 'redo', id);
+  }
+
+  /**
+   * Replay the top entry of one stack and move it onto the other
+   * @param {Array<Object>} from - Stack to take the entry from
+   * @param {Array<Object>} to - Stack to put it on
+   * @param {string} direction - 'undo' or 'redo'
+   * @param {string} [id] - Expected entry ID
+   * @returns {Promise<Object|null>} - The replayed entry
+   */
+  async move(from, to, direction, id) {
+    const entry = from[from.length - 1];
+    if (!entry) return null;
+    if (id && entry.id !== id) {
+      throw new Error(`Other changes were made since; ${direction} those first`);
+    }
+    
+    from.pop();
+    try {
+      await this.handlers.get(entry.type)[direction](entry.data);
+    } catch (error) {
+      // An entry that can't be replayed (e.g. its note is gone for good) is dropped
+      this.remove(entry);
+      throw error;
+    }
+    
+    this.seq++;
+    entry.seq = this.seq;
+    entry.date = new Date().toISOString();
+    entry.undone = direction === 'undo';
+    to.push(entry);
+    this.persist(entry);
+    return entry;
+  }
+
+  /**
+   * Forget every entry, e.g. after the data they refer to was replaced
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    await this.db.clear('commands');
+  }
+
+  /**
+   * Save an entry in the background
+   * @param {Object} entry - History entry
+   */
+  persist(entry) {
+    this.db.put('commands', entry).catch(error => {
+      console.error('Error saving undo history:', error);
+    });
+  }
+
+  /**
+   * Delete an entry in the background
+   * @param {Object} entry - History entry
+   */
+  remove(entry) {
+    this.db.delete('commands', entry.id).catch(error => {
+      console.error('Error removing undo history:', error);
+    });
+  }
+}
+
+// ---------------
+// Graph View - Force-directed canvas graph with zoom, pan and node picking
+// ---------------
+class GraphView {
+  constructor(canvas, { onSelect = () => {} } = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.onSelect = onSelect;
+    
+    this.nodes = [];
+    this.edges = [];
+    this.nodeById = new Map();
+    this.view = { x: 0, y: 0, scale: 1 }; // Screen position of the origin, and zoom
+    this.width = 0;
+    this.height = 0;
+    this.hovered = null;
+    this.frame = null;
+    
+    // Layout temperature; the simulation stops once it has cooled down
+    this.alpha = 0;
+    this.minAlpha = 0.005;
+    this.cooling = 0.985;
+    
+    this.repulsion = 1800;
+    this.springLength = 70;
+    this.springStrength = 0.04;
+    this.gravity = 0.01;
+    this.damping = 0.6;
+    
+    this.radius = { project: 12, tag: 8, note: 6 };
+    
+    this.pointer = null; // Pan or node drag in progress
+    this.attachEvents();
+  }
+
+  /**
+   * Replace the graph, keeping the positions of nodes that were already shown
+   * @param {Array<Object>} nodes - {id, type: 'note'|'tag'|'project', label, color?, orphan?}
+   * @param {Array<Object>} edges - {source, target, type: 'tag'|'project'|'link', color?}
+   */
+  setData(nodes, edges) {
+    const previous = this.nodeById;
+    
+    this.nodes = nodes.map((node, index) => {
+      const old = previous.get(node.id);
+      
+      // New nodes start on a spiral, so the layout is the same every time it is opened
+      const angle = index * 2.4;
+      const distance = 20 * Math.sqrt(index + 1);
+      return {
+        ...node,
+        x: old ? old.x : Math.cos(angle) * distance,
+        y: old ? old.y : Math.sin(angle) * distance,
+        vx: 0,
+        vy: 0,
+        degree: 0,
+        fixed: false
+      };
+    });
+    
+    this.nodeById = new Map(this.nodes.map(node => [node.id, node]));
+    this.edges = edges
+      .map(edge => ({ ...edge, source: this.nodeById.get(edge.source), target: this.nodeById.get(edge.target) }))
+      .filter(edge => edge.source && edge.target);
+    this.edges.forEach(edge => {
+      edge.source.degree++;
+      edge.target.degree++;
+    });
+    
+    this.hovered = null;
+    this.reheat(1);
+  }
+
+  /**
+   * Drop the graph and clear the canvas
+   */
+  clear() {
+    this.stop();
+    this.nodes = [];
+    this.edges = [];
+    this.nodeById = new Map();
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Match the canvas to its displayed size
+   */
+  resize() {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    
+    // Keep the same point in the middle
+    this.view.x += (rect.width - this.width) / 2;
+    this.view.y += (rect.height - this.height) / 2;
+    
+    this.width = rect.width;
+    this.height = rect.height;
+    this.canvas.width = Math.round(rect.width * ratio);
+    this.canvas.height = Math.round(rect.height * ratio);
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.draw();
+  }
+
+  /**
+   * Center the graph and reset the zoom
+   */
+  resetView() {
+    this.view = { x: this.width / 2, y: this.height / 2, scale: 1 };
+    this.draw();
+  }
+
+  /**
+   * Restart the layout, e.g. after the data or a node position changed
+   * @param {number} [alpha=0.3] - Temperature to heat up to
+   */
+  reheat(alpha = 0.3) {
+    this.alpha = Math.max(this.alpha, alpha);
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(() => this.tick());
+    }
+  }
+
+  /**
+   * Stop the animation
+   */
+  stop() {
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Advance the layout one step and draw it, until it has settled
+   */
+  tick() {
+    this.frame = null;
+    this.step();
+    this.draw();
+    
+    this.alpha *= this.cooling;
+    if (this.alpha >= this.minAlpha || this.pointer) {
+      this.frame = requestAnimationFrame(() => this.tick());
+    }
+  }
+
+  /**
+   * One step of the force simulation: nodes repel, edges pull, and everything drifts to the middle
+   */
+  step() {
+    const nodes = this.nodes;
+    const alpha = this.alpha;
+    
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distanceSquared = dx * dx + dy * dy;
+        
+        // Far-away nodes hardly affect each other
+        if (distanceSquared > 250000) continue;
+        if (distanceSquared < 0.01) {
+          dx = (i - j) * 0.1;
+          dy = 0.1;
+          distanceSquared = dx * dx + dy * dy;
+        }
+        
+        const force = this.repulsion * alpha / distanceSquared;
+        const distance = Math.sqrt(distanceSquared);
+        const fx = dx / distance * force;
+        const fy = dy / distance * force;
+        a.vx -= fx;
+        a.vy -= fy;
+        b.vx += fx;
+        b.vy += fy;
+      }
+    }
+    
+    this.edges.forEach(({ source, target }) => {
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      const force = (distance - this.springLength) * this.springStrength * alpha;
+      const fx = dx / distance * force;
+      const fy = dy / distance * force;
+      source.vx += fx;
+      source.vy += fy;
+      target.vx -= fx;
+      target.vy -= fy;
+    });
+    
+    nodes.forEach(node => {
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        return;
+      }
+      node.vx = (node.vx - node.x * this.gravity * alpha) * this.damping;
+      node.vy = (node.vy - node.y * this.gravity * alpha) * this.damping;
+      node.x += node.vx;
+      node.y += node.vy;
+    });
+  }
+
+  /**
+   * Radius of a node on screen
+   * @param {Object} node - Graph node
+   * @returns {number}
+   */
+  nodeRadius(node) {
+    const base = this.radius[node.type] + Math.min(6, Math.sqrt(node.degree));
+    return Math.max(2, base * Math.sqrt(this.view.scale));
+  }
+
+  /**
+   * Convert graph coordinates to screen coordinates
+   * @param {number} x - Graph x
+   * @param {number} y - Graph y
+   * @returns {{x: number, y: number}}
+   */
+  toScreen(x, y) {
+    return { x: x * this.view.scale + this.view.x, y: y * this.view.scale + this.view.y };
+  }
+
+  /**
+   * Convert screen coordinates to graph coordinates
+   * @param {number} x - Screen x, relative to the canvas
+   * @param {number} y - Screen y, relative to the canvas
+   * @returns {{x: number, y: number}}
+   */
+  toGraph(x, y) {
+    return { x: (x - this.view.x) / this.view.scale, y: (y - this.view.y) / this.view.scale };
+  }
+
+  /**
+   * Find the node under a point, preferring the one drawn on top
+   * @param {number} x - Screen x, relative to the canvas
+   * @param {number} y - Screen y, relative to the canvas
+   * @returns {Object|null} - Graph node
+   */
+  nodeAt(x, y) {
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      const node = this.nodes[i];
+      const point = this.toScreen(node.x, node.y);
+      const radius = this.nodeRadius(node) + 3;
+      if ((point.x - x) ** 2 + (point.y - y) ** 2 <= radius * radius) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Draw the graph; colors come from the current theme
+   */
+  draw() {
+    const context = this.context;
+    const style = getComputedStyle(this.canvas);
+    const colors = {
+      note: style.getPropertyValue('--accent-primary').trim() || '#6366f1',
+      tag: style.getPropertyValue('--accent-secondary').trim() || '#8b5cf6',
+      text: style.getPropertyValue('--text-primary').trim() || '#111827',
+      orphan: '#ef4444'
+    };
+    
+    context.clearRect(0, 0, this.width, this.height);
+    
+    // Edges of the hovered node stand out
+    const hovered = this.hovered;
+    this.edges.forEach(edge => {
+      const from = this.toScreen(edge.source.x, edge.source.y);
+      const to = this.toScreen(edge.target.x, edge.target.y);
+      const active = hovered && (edge.source === hovered || edge.target === hovered);
+      
+      context.beginPath();
+      context.moveTo(from.x, from.y);
+      context.lineTo(to.x, to.y);
+      context.strokeStyle = edge.type === 'link' ? colors.note : edge.type === 'tag' ? colors.tag : (edge.color || colors.note);
+      context.globalAlpha = active ? 0.9 : edge.type === 'link' ? 0.6 : 0.25;
+      context.lineWidth = edge.type === 'link' || active ? 2 : 1;
+      context.stroke();
+    });
+    context.globalAlpha = 1;
+    
+    this.nodes.forEach(node => {
+      const point = this.toScreen(node.x, node.y);
+      const radius = this.nodeRadius(node);
+      
+      context.beginPath();
+      context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      context.fillStyle = node.type === 'project' ? (node.color || colors.note)
+        : node.type === 'tag' ? colors.tag
+        : node.orphan ? colors.orphan : colors.note;
+      context.fill();
+      
+      // Orphans get a ring so they are easy to spot
+      if (node.orphan || node === hovered) {
+        context.lineWidth = 2;
+        context.strokeStyle = node === hovered ? colors.text : colors.orphan;
+        context.beginPath();
+        context.arc(point.x, point.y, radius + 3, 0, Math.PI * 2);
+        context.stroke();
+      }
+    });
+    
+    // Note titles only once zoomed in, to keep the overview readable
+    context.font = '12px system-ui, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = colors.text;
+    this.nodes.forEach(node => {
+      if (node.type === 'note' && this.view.scale < 1.2 && node !== hovered) return;
+      
+      const point = this.toScreen(node.x, node.y);
+      const label = node.label.length > 32 ? `${node.label.slice(0, 31)}…` : node.label;
+      context.fillText(label, point.x, point.y + this.nodeRadius(node) + 4);
+    });
+  }
+
+  /**
+   * Zoom around a point on screen
+   * @param {number} factor - Zoom factor
+   * @param {number} x - Screen x to keep in place
+   * @param {number} y - Screen y to keep in place
+   */
+  zoom(factor, x, y) {
+    const scale = Math.min(4, Math.max(0.2, this.view.scale * factor));
+    const anchor = this.toGraph(x, y);
+    
+    this.view.scale = scale;
+    this.view.x = x - anchor.x * scale;
+    this.view.y = y - anchor.y * scale;
+    this.draw();
+  }
+
+  /**
+   * Listen for zooming, panning, dragging nodes and clicks
+   */
+  attachEvents() {
+    const canvas = this.canvas;
+    const position = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const point = position(e);
+      this.zoom(Math.exp(-e.deltaY * 0.001), point.x, point.y);
+    }, { passive: false });
+    
+    canvas.addEventListener('pointerdown', (e) => {
+      const point = position(e);
+      const node = this.nodeAt(point.x, point.y);
+      
+      this.pointer = { id: e.pointerId, start: point, last: point, node, moved: false };
+      if (node) {
+        node.fixed = true;
+      }
+      canvas.setPointerCapture(e.pointerId);
+    });
+    
+    canvas.addEventListener('pointermove', (e) => {
+      const point = position(e);
+      const pointer = this.pointer;
+      
+      if (!pointer || pointer.id !== e.pointerId) {
+        const hovered = this.nodeAt(point.x, point.y);
+        if (hovered !== this.hovered) {
+          this.hovered = hovered;
+          canvas.style.cursor = hovered ? 'pointer' : 'grab';
+          this.draw();
+        }
+        return;
+      }
+      
+      // Small jitters still count as a click
+      if (Math.hypot(point.x - pointer.start.x, point.y - pointer.start.y) > 4) {
+        pointer.moved = true;
+      }
+      
+      if (pointer.node) {
+        const target = this.toGraph(point.x, point.y);
+        pointer.node.x = target.x;
+        pointer.node.y = target.y;
+        this.reheat();
+      } else {
+        this.view.x += point.x - pointer.last.x;
+        this.view.y += point.y - pointer.last.y;
+        canvas.style.cursor = 'grabbing';
+        this.draw();
+      }
+      pointer.last = point;
+    });
+    
+    const release = (e) => {
+      const pointer = this.pointer;
+      if (!pointer || pointer.id !== e.pointerId) return;
+      
+      this.pointer = null;
+      canvas.style.cursor = pointer.node ? 'pointer' : 'grab';
+      if (pointer.node) {
+        pointer.node.fixed = false;
+      }
+      if (!pointer.moved && pointer.node && e.type === 'pointerup') {
+        this.onSelect(pointer.node);
+      }
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+    
+    canvas.addEventListener('pointerleave', () => {
+      if (this.hovered && !this.pointer) {
+        this.hovered = null;
+        this.draw();
+      }
+    });
+  }
+}
+
+// ---------------
+// Toast Service
+// ---------------
+class ToastService {
+  constructor(containerSelector) {
+    this.container = document.querySelector(containerSelector);
+    if (!this.container) {
+      console.warn(`Toast container not found: ${containerSelector}`);
+      this.container = document.createElement('div');
+      this.container.className = 'toast-container';
+      document.body.appendChild(this.container);
+    }
+  }
+
+  /**
+   * Show a toast notification
+   * @param {string} message - Message to display
+   * @param {string} type - Type of toast (success, error, info)
+   * @param {number} duration - Duration in milliseconds
+   * @param {{label: string, onClick: Function}} [action] - Button shown next to the message
+   */
+  show(message, type = 'info', duration = 3000, action = null) {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    
+    if (action) {
+      const messageSpan = document.createElement('span');
+      messageSpan.className = 'toast-text';
+      messageSpan.textContent = message;
+      
+      const button = document.createElement('button');
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        action.onClick();
+        toast.classList.remove('visible');
+        setTimeout(() => toast.remove(), 300);
+      }, { once: true });
+      
+      toast.appendChild(messageSpan);
+      toast.appendChild(button);
+    } else {
+      toast.textContent = message;
+    }
+    
+    this.container.appendChild(toast);
+    
+    // Force reflow to enable transition
+    setTimeout(() => {
+      toast.classList.add('visible');
+    }, 10);
+    
+    setTimeout(() => {
+      toast.classList.remove('visible');
+      setTimeout(() => toast.remove(), 300); // Wait for fade-out transition
+    }, duration);
+  }
+
+  /**
+   * Show a toast with an input field
+   * @param {string} message - Message/question to display
+   * @param {Function} callback - Function to call with input value
+   */
+  showInputPrompt(message, callback, value = '') {
+    const toast = document.createElement('div');
+    toast.className = 'toast info';
+    
+    const messageDiv = document.createElement('div');
+    messageDiv.textContent = message;
+    
+    const input = document.createElement('input');
+    input.setAttribute('type', 'text');
+    input.value = value;
+    
+    const button = document.createElement('button');
+    button.textContent = 'OK';
+    button.className = 'gradient-button';
+    button.style.marginTop = '8px';
+    button.addEventListener('click', () => {
+      callback(input.value);
+      toast.classList.remove('visible');
+      setTimeout(() => toast.remove(), 300);
+    });
+    
+    toast.appendChild(messageDiv);
+    toast.appendChild(input);
+    toast.appendChild(button);
+    
+    this.container.appendChild(toast);
+    
+    // Force reflow to enable transition
+    setTimeout(() => {
+      toast.classList.add('visible');
+      input.focus();
+    }, 10);
+    
+    // Handle Enter key
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        button.click();
+      }
+    });
+  }
+}
+
+// ---------------
+// Main Application
+// ---------------
+class NotesApp {
+  constructor() {
+    // State
+    this.notes = [];
+    this.projects = [];
+    this.trash = { notes: [], projects: [] }; // Soft-deleted items, kept out of every other view
+    this.trashDays = 30; // Days before trashed items are deleted for good; 0 keeps them
+    this.tags = new Set();
+    this.currentProject = null;
+    this.tagFilter = { include: [], exclude: [], mode: 'all' }; // Sidebar tag selection; mode is 'all' or 'any' of the included tags
+    this.searchTerm = '';
+    this.searchQuery = null;
+    this.sortOrder = 'newest'; // 'newest', 'oldest' or 'title'; searches rank by relevance first
+    this.notebooks = []; // Smart notebooks, in sidebar order
+    this.sidebarRefresh = null; // Pending refresh of the task view and notebook counts after edits
+    this.journal = { projectId: '', titleFormat: 'YYYY-MM-DD', template: '' }; // An empty projectId means a "Journal" project made on first use
+    this.journalDate = null; // Day of the journal entry opened last, as YYYY-MM-DD
+    this.journalPending = null; // Entry being created, so pressing Today twice doesn't make two
+    this.dayFilter = null; // Day picked in the calendar, as YYYY-MM-DD; shows notes created or edited then
+    this.activity = null; // Day -> {created, edited, words}, rebuilt from note history when the calendar opens
+    this.activityCache = new Map(); // Note ID -> its days, until the note changes
+    this.calendarMonth = null; // First day of the month shown in the calendar
+    this.taskFilter = { status: 'open', projectId: '', tag: '' }; // Sidebar task view; empty strings mean any
+    this.pendingRestore = null;
+    this.pendingImport = [];
+    this.lastGeneratedId = 0;
+    this.encryptionKeyRecord = null;
+    this.lockVerifier = null;
+    this.lockIdleMinutes = 0;
+    this.lockHiddenMinutes = 0;
+    this.isLocked = false;
+    this.failedUnlocks = 0;
+    this.lastActivity = Date.now();
+    this.hiddenAt = null;
+    this.hiddenLockTimeout = null;
+    this.versioningInterval = 5000; // Default: 5 seconds
+    this.versionDiffMode = 'inline'; // 'inline' or 'split'
+    this.versionObserver = null; // Works out version diffs as they scroll into the history list
+    this.versionRetention = 'all'; // RetentionPolicy preset name; nothing is pruned until the user picks another
+    this.isPruning = false;
+    this.prunedAt = new Map(); // Note ID -> when its history was last pruned
+    this.inputRulesEnabled = true;
+    this.inputRuleUndo = null; // {element, snapshot} of the last Markdown conversion, until the next keystroke
+    this.linkSuggest = null; // The [[note link]] being typed and the notes suggested for it
+    this.graphView = null; // Created the first time the graph is opened
+    this.isDarkTheme = false;
+    this.sidebarCollapsed = false;
+    this.collapsedTags = new Set(); // Parent tags whose children are hidden in the sidebar
+    this.projectColors = [
+      '#6366f1', '#8b5cf6', '#ec4899', '#ef4444', 
+      '#f59e0b', '#10b981', '#06b6d4', '#3b82f6'
+    ];
+    
+    // Formatting toolbar buttons, in groups separated by a divider
+    this.formattingActions = [
+      [
+        { format: 'bold', label: '<strong>B</strong>', title: 'Bold (Ctrl+B)' },
+        { format: 'italic', label: '<em>I</em>', title: 'Italic (Ctrl+I)' },
+        { format: 'underline', label: '<u>U</u>', title: 'Underline (Ctrl+U)' },
+        { format: 'strikethrough', label: '<s>S</s>', title: 'Strikethrough (Ctrl+Shift+X)' }
+      ],
+      [
+        { format: 'h1', label: 'H1', title: 'Heading 1 (Ctrl+Alt+1)' },
+        { format: 'h2', label: 'H2', title: 'Heading 2 (Ctrl+Alt+2)' },
+        { format: 'h3', label: 'H3', title: 'Heading 3 (Ctrl+Alt+3)' },
+        { format: 'h4', label: 'H4', title: 'Heading 4 (Ctrl+Alt+4)' },
+        { format: 'paragraph', label: 'P', title: 'Paragraph (Ctrl+Alt+0)' }
+      ],
+      [
+        { format: 'unordered-list', label: '• List', title: 'Bulleted list (Ctrl+Shift+8)' },
+        { format: 'ordered-list', label: '1. List', title: 'Numbered list (Ctrl+Shift+7)' },
+        { format: 'link', label: 'Link', title: 'Add or remove a link (Ctrl+K)' },
+        { format: 'clear', label: 'Clear', title: 'Clear formatting (Ctrl+\\)' }
+      ]
+    ];
+    
+    // Services
+    this.events = new EventEmitter();
+    this.toastService = new ToastService('#toast-container');
+    this.markdown = new MarkdownConverter();
+    this.searchIndex = new SearchIndex();
+    this.linkIndex = new LinkIndex();
+    this.queryParser = new SearchQueryParser();
+    this.cryptoService = new CryptoService();
+    this.sanitizer = new HtmlSanitizer();
+    this.formatter = new RichTextFormatter();
+    this.inputRules = new InputRules(this.formatter);
+    this.textDiff = new TextDiff();
+    this.retention = new RetentionPolicy();
+    
+    // Init app
+    this.initElements();
+    this.loadSettings();
+    this.setupLockScreen();
+    this.setupDatabase();
+  }
+
+  /**
+   * Initialize and cache DOM element references
+   */
+  initElements() {
+    // Main elements
+    this.elements = {
+      sidebar: document.getElementById('sidebar'),
+      sidebarToggle: document.getElementById('sidebar-toggle'),
+      mainContent: document.getElementById('main-content'),
+      notesContainer: document.getElementById('notes-container'),
+      tagFilterBar: document.getElementById('tag-filter-bar'),
+      dayFilterBar: document.getElementById('day-filter-bar'),
+      projectsList: document.getElementById('projects-list'),
+      notebooksList: document.getElementById('notebooks-list'),
+      saveNotebookBtn: document.getElementById('save-notebook-btn'),
+      tagsContainer: document.getElementById('tags-container'),
+      manageTagsBtn: document.getElementById('manage-tags-btn'),
+      tasksList: document.getElementById('tasks-list'),
+      noteLinkMenu: document.getElementById('note-link-menu'),
+      taskStatusSelect: document.getElementById('task-status-select'),
+      taskProjectSelect: document.getElementById('task-project-select'),
+      taskTagSelect: document.getElementById('task-tag-select'),
+      trashList: document.getElementById('trash-list'),
+      emptyTrashBtn: document.getElementById('empty-trash-btn'),
+      trashDaysSelect: document.getElementById('trash-days-select'),
+      inputRulesSelect: document.getElementById('input-rules-select'),
+      searchInput: document.getElementById('search-input'),
+      searchError: document.getElementById('search-error'),
+      journalPrevBtn: document.getElementById('journal-prev-btn'),
+      journalTodayBtn: document.getElementById('journal-today-btn'),
+      journalNextBtn: document.getElementById('journal-next-btn'),
+      journalProjectSelect: document.getElementById('journal-project-select'),
+      journalTitleInput: document.getElementById('journal-title-input'),
+      journalTemplateInput: document.getElementById('journal-template-input'),
+      sortSelect: document.getElementById('sort-select'),
+      wordCount: document.getElementById('word-count'),
+      statsCount: document.getElementById('stats-count'),
+      authorInput: document.getElementById('author-input'),
+      sidebarAuthor: document.getElementById('sidebar-author'),
+      themeToggle: document.getElementById('theme-toggle'),
+      graphBtn: document.getElementById('graph-btn'),
+      addNoteBtn: document.getElementById('add-note-btn'),
+      addProjectBtn: document.getElementById('add-project-btn'),
+      viewAllProjects: document.getElementById('view-all-projects'),
+      versionFrequency: document.getElementById('version-frequency'),
+      versionRetention: document.getElementById('version-retention'),
+      historyUsage: document.getElementById('history-usage'),
+      exportBackupBtn: document.getElementById('export-backup-btn'),
+      restoreBackupBtn: document.getElementById('restore-backup-btn'),
+      restoreFileInput: document.getElementById('restore-file-input'),
+      importNotesBtn: document.getElementById('import-notes-btn'),
+      importFileInput: document.getElementById('import-file-input'),
+      encryptionStatus: document.getElementById('encryption-status'),
+      enableEncryptionBtn: document.getElementById('enable-encryption-btn'),
+      changePassphraseBtn: document.getElementById('change-passphrase-btn'),
+      disableEncryptionBtn: document.getElementById('disable-encryption-btn'),
+      lockStatus: document.getElementById('lock-status'),
+      setLockBtn: document.getElementById('set-lock-btn'),
+      changeLockBtn: document.getElementById('change-lock-btn'),
+      removeLockBtn: document.getElementById('remove-lock-btn'),
+      lockNowBtn: document.getElementById('lock-now-btn'),
+      lockIdleSelect: document.getElementById('lock-idle-select'),
+      lockHiddenSelect: document.getElementById('lock-hidden-select'),
+      lockScreen: document.getElementById('lock-screen'),
+      lockForm: document.getElementById('lock-form'),
+      lockInput: document.getElementById('lock-input'),
+      lockError: document.getElementById('lock-error'),
+      
+      // Modals
+      versionModal: document.getElementById('version-modal'),
+      projectsModal: document.getElementById('projects-modal'),
+      restoreModal: document.getElementById('restore-modal'),
+      importModal: document.getElementById('import-modal'),
+      passphraseModal: document.getElementById('passphrase-modal'),
+      checkpointsModal: document.getElementById('checkpoints-modal'),
+      tagsModal: document.getElementById('tags-modal'),
+      tagManagerList: document.getElementById('tag-manager-list'),
+      tagManagerPreview: document.getElementById('tag-manager-preview'),
+      tagManagerApplyBtn: document.getElementById('tag-manager-apply-btn'),
+      graphModal: document.getElementById('graph-modal'),
+      graphCanvas: document.getElementById('graph-canvas'),
+      graphSummary: document.getElementById('graph-summary'),
+      graphResetBtn: document.getElementById('graph-reset-btn'),
+      calendarBtn: document.getElementById('calendar-btn'),
+      calendarModal: document.getElementById('calendar-modal'),
+      calendarMonth: document.getElementById('calendar-month'),
+      calendarPrevBtn: document.getElementById('calendar-prev-btn'),
+      calendarNextBtn: document.getElementById('calendar-next-btn'),
+      calendarGrid: document.getElementById('calendar-grid'),
+      activityHeatmap: document.getElementById('activity-heatmap'),
+      activitySummary: document.getElementById('activity-summary'),
+      versionList: document.getElementById('version-list'),
+      checkpointsTitle: document.getElementById('checkpoints-title'),
+      checkpointsList: document.getElementById('checkpoints-list'),
+      takeCheckpointBtn: document.getElementById('take-checkpoint-btn'),
+      projectsGrid: document.getElementById('projects-grid'),
+      restoreSummary: document.getElementById('restore-summary'),
+      restoreMergeBtn: document.getElementById('restore-merge-btn'),
+      restoreReplaceBtn: document.getElementById('restore-replace-btn'),
+      importSummary: document.getElementById('import-summary'),
+      importList: document.getElementById('import-list'),
+      importConfirmBtn: document.getElementById('import-confirm-btn'),
+      passphraseTitle: document.getElementById('passphrase-title'),
+      passphraseForm: document.getElementById('passphrase-form'),
+      passphraseMessage: document.getElementById('passphrase-message'),
+      passphraseFields: document.getElementById('passphrase-fields'),
+      passphraseError: document.getElementById('passphrase-error'),
+      passphraseSubmit: document.getElementById('passphrase-submit')
+    };
+    
+    // Check if all required elements exist
+    Object.entries(this.elements).forEach(([key, element]) => {
+      if (!element) {
+        console.warn(`Element not found: #${key}`);
+      }
+    });
+    
+    // Modal close buttons
+    this.modalCloseButtons = document.querySelectorAll('.modal-close');
+  }
+
+  /**
+   * Load settings from localStorage
+   */
+  loadSettings() {
+    // Theme preference
+    this.isDarkTheme = localStorage.getItem('theme') === 'dark';
+    document.body.classList.toggle('dark-theme', this.isDarkTheme);
+    
+    // Author name
+    const author = localStorage.getItem('author');
+    if (author) {
+      this.elements.authorInput.value = author;
+      this.elements.sidebarAuthor.textContent = author;
+    }
+    
+    // Versioning interval
+    const interval = parseInt(localStorage.getItem('versioningInterval'), 10);
+    if (!isNaN(interval)) {
+      this.versioningInterval = interval;
+      this.elements.versionFrequency.value = interval.toString();
+    }
+    
+    // Version retention
+    const retention = localStorage.getItem('versionRetention');
+    if (retention && this.retention.has(retention)) {
+      this.versionRetention = retention;
+    }
+    this.elements.versionRetention.value = this.versionRetention;
+    
+    // Markdown shortcuts
+    this.inputRulesEnabled = localStorage.getItem('inputRules') !== 'false';
+    this.elements.inputRulesSelect.value = String(this.inputRulesEnabled);
+    
+    // Trash
+    const trashDays = parseInt(localStorage.getItem('trashDays'), 10);
+    if (!isNaN(trashDays)) {
+      this.trashDays = trashDays;
+    }
+    this.elements.trashDaysSelect.value = this.trashDays.toString();
+    
+    // Journal
+    this.journal.projectId = localStorage.getItem('journalProject') || '';
+    this.journal.titleFormat = localStorage.getItem('journalTitleFormat') || 'YYYY-MM-DD';
+    this.journal.template = localStorage.getItem('journalTemplate') || '';
+    this.elements.journalTitleInput.value = this.journal.titleFormat;
+    this.elements.journalTemplateInput.value = this.journal.template;
+    
+    // Note order
+    const sortOrder = localStorage.getItem('sortOrder');
+    if (['newest', 'oldest', 'title'].includes(sortOrder)) {
+      this.sortOrder = sortOrder;
+    }
+    this.elements.sortSelect.value = this.sortOrder;
+    
+    // Sidebar state
+    this.sidebarCollapsed = localStorage.getItem('sidebarCollapsed') === 'true';
+    this.elements.sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
+    this.elements.mainContent.classList.toggle('full-width', this.sidebarCollapsed);
+    
+    try {
+      this.collapsedTags = new Set(JSON.parse(localStorage.getItem('collapsedTags')) || []);
+    } catch (error) {
+      console.error('Error reading collapsed tags:', error);
+    }
+    
+    // App lock
+    try {
+      this.lockVerifier = JSON.parse(localStorage.getItem('lockVerifier')) || null;
+    } catch (error) {
+      console.error('Ignoring malformed lock settings:', error);
+      this.lockVerifier = null;
+    }
+    this.lockIdleMinutes = parseInt(localStorage.getItem('lockIdleMinutes'), 10) || 0;
+    this.lockHiddenMinutes = parseInt(localStorage.getItem('lockHiddenMinutes'), 10) || 0;
+    this.elements.lockIdleSelect.value = this.lockIdleMinutes.toString();
+    this.elements.lockHiddenSelect.value = this.lockHiddenMinutes.toString();
+    this.renderLockStatus();
+  }
+
+  /**
+   * Wire up the lock screen, idle tracking and tab visibility
+   * These work before the data has loaded, unlike addEventListeners().
+   */
+  setupLockScreen() {
+    this.elements.lockForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlock(this.elements.lockInput.value);
+    });
+    
+    // Any interaction counts as activity
+    ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'].forEach(eventName => {
+      document.addEventListener(eventName, () => {
+        this.lastActivity = Date.now();
+      }, { passive: true, capture: true });
+    });
+    
+    setInterval(() => {
+      if (!this.isLocked && this.lockVerifier && this.lockIdleMinutes > 0 &&
+          Date.now() - this.lastActivity >= this.lockIdleMinutes * 60000) {
+        this.lock();
+      }
+    }, 15000);
+    
+    document.addEventListener('visibilitychange', () => {
+      clearTimeout(this.hiddenLockTimeout);
+      if (!this.lockVerifier || this.lockHiddenMinutes <= 0) return;
+      
+      const delay = this.lockHiddenMinutes * 60000;
+      if (document.hidden) {
+        this.hiddenAt = Date.now();
+        this.hiddenLockTimeout = setTimeout(() => this.lock(), delay);
+      } else if (this.hiddenAt && Date.now() - this.hiddenAt >= delay) {
+        // Background timers get throttled, so check again on return
+        this.lock();
+      }
+    });
+  }
+
+  /**
+   * Reflect the lock settings in the sidebar
+   */
+  renderLockStatus() {
+    const enabled = Boolean(this.lockVerifier);
+    
+    this.elements.lockStatus.textContent = enabled
+      ? 'App lock is on. Press Ctrl+Shift+L to lock now.'
+      : 'Set a PIN or passphrase to lock the app.';
+    this.elements.setLockBtn.hidden = enabled;
+    this.elements.changeLockBtn.hidden = !enabled;
+    this.elements.removeLockBtn.hidden = !enabled;
+    this.elements.lockNowBtn.hidden = !enabled;
+    this.elements.lockIdleSelect.disabled = !enabled;
+    this.elements.lockHiddenSelect.disabled = !enabled;
+  }
+
+  /**
+   * Lock the app, tearing down all rendered note content
+   */
+  lock() {
+    if (this.isLocked) return;
+    if (!this.lockVerifier) {
+      this.toastService.show('Set a lock PIN or passphrase first', 'info');
+      return;
+    }
+    
+    // Blurring the editor saves any edit still waiting on the debounce
+    if (document.activeElement && document.activeElement !== document.body) {
+      document.activeElement.blur();
+    }
+    
+    this.isLocked = true;
+    this.closeModals();
+    if (this.graphView) {
+      this.graphView.clear();
+    }
+    this.activity = null;
+    this.activityCache.clear();
+    
+    // Edits on the picked day are only known from the activity just dropped, so the day filter goes too
+    this.dayFilter = null;
+    
+    // Remove note markup from the DOM so it can't be read via devtools or page search
+    [
+      this.elements.notesContainer,
+      this.elements.projectsList,
+      this.elements.notebooksList,
+      this.elements.tagsContainer,
+      this.elements.calendarGrid,
+      this.elements.activityHeatmap,
+      this.elements.dayFilterBar,
+      this.elements.tagManagerList,
+      this.elements.tagManagerPreview,
+      this.elements.tasksList,
+      this.elements.noteLinkMenu,
+      this.elements.trashList,
+      this.elements.versionList,
+      this.elements.projectsGrid,
+      this.elements.importList,
+      this.elements.restoreSummary,
+      this.elements.importSummary,
+      this.elements.checkpointsList,
+      this.elements.tagFilterBar,
+      this.elements.taskProjectSelect,
+      this.elements.taskTagSelect,
+      this.elements.journalProjectSelect,
+      this.elements.graphSummary
+    ].forEach(element => {
+      element.innerHTML = '';
+    });
+    this.elements.searchInput.value = '';
+    this.searchTerm = '';
+    this.updateSearchQuery();
+    
+    document.body.classList.add('locked');
+    this.elements.lockInput.value = '';
+    this.elements.lockError.hidden = true;
+    this.elements.lockScreen.hidden = false;
+    setTimeout(() => this.elements.lockInput.focus(), 50);
+  }
+
+  /**
+   * Try to unlock the app
+   * @param {string} secret - Entered PIN or passphrase
+   */
+  async unlock(secret) {
+    if (!this.isLocked) return;
+    
+    // The button stays disabled while a check or failure delay is running
+    const submitButton = this.elements.lockForm.querySelector('button');
+    if (submitButton.disabled) return;
+    submitButton.disabled = true;
+    
+    let valid = false;
+    try {
+      valid = Boolean(secret) && await this.cryptoService.checkVerifier(secret, this.lockVerifier);
+    } catch (error) {
+      console.error('Error checking lock PIN:', error);
+    }
+    
+    if (!valid) {
+      this.failedUnlocks++;
+      this.elements.lockError.textContent = 'Incorrect PIN or passphrase';
+      this.elements.lockError.hidden = false;
+      this.elements.lockInput.value = '';
+      
+      // Slow down guessing a little more after each failure
+      const delay = Math.min(30, this.failedUnlocks) * 1000;
+      setTimeout(() => {
+        submitButton.disabled = false;
+        this.elements.lockInput.focus();
+      }, delay);
+      return;
+    }
+    
+    this.isLocked = false;
+    this.failedUnlocks = 0;
+    this.lastActivity = Date.now();
+    this.hiddenAt = null;
+    submitButton.disabled = false;
+    this.elements.lockInput.value = '';
+    this.elements.lockScreen.hidden = true;
+    document.body.classList.remove('locked');
+    
+    this.renderProjects();
+    this.renderNotes();
+    this.renderTags();
+    this.renderTrash();
+  }
+
+  /**
+   * Ask for a new lock PIN or passphrase
+   */
+  setLock() {
+    this.showPassphraseForm({
+      title: 'Set App Lock',
+      message: 'The app locks after the idle time you choose, or with Ctrl+Shift+L.',
+      submitLabel: 'Set lock',
+      fields: [
+        { name: 'secret', label: 'PIN or passphrase', autocomplete: 'new-password', minLength: 4 },
+        { name: 'confirm', label: 'Repeat PIN or passphrase', autocomplete: 'new-password', matches: 'secret' }
+      ],
+      onSubmit: async ({ secret }) => {
+        this.saveLockVerifier(await this.cryptoService.createVerifier(secret));
+        this.toastService.show('App lock set', 'success');
+      }
+    });
+  }
+
+  /**
+   * Replace the lock PIN or passphrase
+   */
+  changeLock() {
+    this.showPassphraseForm({
+      title: 'Change App Lock',
+      message: 'Enter your current PIN or passphrase, then the new one.',
+      submitLabel: 'Change',
+      fields: [
+        { name: 'current', label: 'Current PIN or passphrase', autocomplete: 'current-password' },
+        { name: 'secret', label: 'New PIN or passphrase', autocomplete: 'new-password', minLength: 4 },
+        { name: 'confirm', label: 'Repeat new PIN or passphrase', autocomplete: 'new-password', matches: 'secret' }
+      ],
+      onSubmit: async ({ current, secret }) => {
+        if (!(await this.cryptoService.checkVerifier(current, this.lockVerifier))) {
+          throw new Error('Current PIN or passphrase is incorrect');
+        }
+        this.saveLockVerifier(await this.cryptoService.createVerifier(secret));
+        this.toastService.show('App lock changed', 'success');
+      }
+    });
+  }
+
+  /**
+   * Turn the app lock off
+   */
+  removeLock() {
+    this.showPassphraseForm({
+      title: 'Remove App Lock',
+      message: 'Enter your PIN or passphrase to turn the app lock off.',
+      submitLabel: 'Remove',
+      fields: [{ name: 'current', label: 'PIN or passphrase', autocomplete: 'current-password' }],
+      onSubmit: async ({ current }) => {
+        if (!(await this.cryptoService.checkVerifier(current, this.lockVerifier))) {
+          throw new Error('PIN or passphrase is incorrect');
+        }
+        this.saveLockVerifier(null);
+        this.toastService.show('App lock removed', 'success');
+      }
+    });
+  }
+
+  /**
+   * Persist the lock verifier
+   * @param {Object|null} verifier - Verifier, or null to remove the lock
+   */
+  saveLockVerifier(verifier) {
+    this.lockVerifier = verifier;
+    if (verifier) {
+      localStorage.setItem('lockVerifier', JSON.stringify(verifier));
+    } else {
+      localStorage.removeItem('lockVerifier');
+    }
+    this.renderLockStatus();
+  }
+
+  /**
+   * Update an auto-lock delay setting
+   * @param {string} setting - 'lockIdleMinutes' or 'lockHiddenMinutes'
+   * @param {number|string} value - Minutes, 0 to disable
+   */
+  updateLockSetting(setting, value) {
+    this[setting] = parseInt(value, 10) || 0;
+    localStorage.setItem(setting, this[setting].toString());
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Set up the database and load initial data
+   */
+  setupDatabase() {
+    try {
+      this.db = new DatabaseService('ModernNotesDB', 7, async () => {
+        await this.unlockNotebook();
+        
+        // The encryption passphrase already gates an encrypted notebook
+        if (this.lockVerifier && !this.encryptionKeyRecord) {
+          this.lock();
+        }
+        
+        await this.loadData();
+        await this.history.load().catch(error => {
+          console.error('Error loading undo history:', error);
+        });
+        
+        // Add event listeners once, after the first load
+        this.addEventListeners();
+        this.scheduleVersionPruning();
+        this.scheduleTrashPurge();
+      });
+      this.versionStore = new VersionStore(this.db, this.textDiff);
+      this.backupService = new BackupService(this.db, this.versionStore);
+      this.history = new CommandHistory(this.db);
+      this.registerCommands();
+    } catch (error) {
+      console.error('Failed to initialize database:', error);
+      this.toastService.show('Failed to connect to database. Some features may not work.', 'error');
+      // Basic fallback - empty arrays for notes and projects
+      this.notes = [];
+      this.projects = [];
+      this.renderProjects();
+      this.renderNotes();
+      this.renderTags();
+    }
+  }
+
+  /**
+   * Tell the command history how to undo and redo each kind of action
+   */
+  registerCommands() {
+    const requireNote = (notes, id, message) => {
+      if (!notes.some(note => note.id == id)) {
+        throw new Error(message);
+      }
+    };
+    const requireProject = (projects, id, message) => {
+      if (!projects.some(project => project.id == id)) {
+        throw new Error(message);
+      }
+    };
+    const replay = { replay: true };
+    const applyStates = (states) => {
+      if (this.applyNoteStates(states).length === 0) {
+        throw new Error('the notes no longer exist');
+      }
+      this.renderNotes();
+    };
+    
+    this.history.register('deleteNote', {
+      undo: ({ id }) => {
+        requireNote(this.trash.notes, id, 'the note is no longer in the trash');
+        return this.restoreNote(id, replay);
+      },
+      redo: ({ id }) => {
+        requireNote(this.notes, id, 'the note no longer exists');
+        return this.deleteNote(id, replay);
+      }
+    });
+    
+    this.history.register('deleteProject', {
+      undo: ({ id }) => {
+        requireProject(this.trash.projects, id, 'the project is no longer in the trash');
+        return this.restoreProject(id, replay);
+      },
+      redo: ({ id }) => {
+        requireProject(this.projects, id, 'the project no longer exists');
+        return this.deleteProject(id, replay);
+      }
+    });
+    
+    this.history.register('moveNote', {
+      undo: ({ id, from }) => {
+        requireNote(this.notes, id, 'the note no longer exists');
+        return this.moveNote(id, from, replay);
+      },
+      redo: ({ id, to }) => {
+        requireNote(this.notes, id, 'the note no longer exists');
+        return this.moveNote(id, to, replay);
+      }
+    });
+    
+    this.history.register('restoreNotes', {
+      undo: ({ before }) => applyStates(before),
+      redo: ({ after }) => applyStates(after)
+    });
+  }
+
+  /**
+   * Undo the most recent app-level action
+   * @param {string} [id] - Only undo this entry, e.g. from a toast's Undo button
+   */
+  async undo(id) {
+    try {
+      const entry = await this.history.undo(id);
+      if (!entry) {
+        this.toastService.show('Nothing to undo', 'info');
+        return;
+      }
+      this.toastService.show(`Undone: ${entry.label}`, 'info', 6000, {
+        label: 'Redo',
+        onClick: () => this.redo(entry.id)
+      });
+    } catch (error) {
+      console.error('Error undoing action:', error);
+      this.toastService.show(`Can't undo: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Redo the most recently undone action
+   * @param {string} [id] - Only redo this entry, e.g. from a toast's Redo button
+   */
+  async redo(id) {
+    try {
+      const entry = await this.history.redo(id);
+      if (!entry) {
+        this.toastService.show('Nothing to redo', 'info');
+        return;
+      }
+      this.toastService.show(`Redone: ${entry.label}`, 'info', 6000, {
+        label: 'Undo',
+        onClick: () => this.undo(entry.id)
+      });
+    } catch (error) {
+      console.error('Error redoing action:', error);
+      this.toastService.show(`Can't redo: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Confirm an action with a toast, offering Undo when it was recorded
+   * @param {string} message - Message to display
+   * @param {Object|null} [entry] - Command history entry for the action
+   * @param {string} [type] - Type of toast
+   */
+  notify(message, entry = null, type = 'success') {
+    const action = entry ? { label: 'Undo', onClick: () => this.undo(entry.id) } : null;
+    this.toastService.show(message, type, action ? 6000 : 3000, action);
+  }
+
+  /**
+   * Ask for the passphrase if the notebook is encrypted, and wait until it is unlocked
+   * @returns {Promise<void>}
+   */
+  async unlockNotebook() {
+    try {
+      this.encryptionKeyRecord = (await this.db.get('meta', 'encryption')) || null;
+    } catch (error) {
+      console.error('Error reading encryption settings:', error);
+    }
+    this.renderEncryptionStatus();
+    
+    if (!this.encryptionKeyRecord) return;
+    
+    await new Promise(resolve => {
+      this.showPassphraseForm({
+        title: 'Unlock Notebook',
+        message: 'Your notes are encrypted. Enter your passphrase to open them.',
+        submitLabel: 'Unlock',
+        persistent: true,
+        fields: [{ name: 'passphrase', label: 'Passphrase', autocomplete: 'current-password' }],
+        onSubmit: async ({ passphrase }) => {
+          await this.cryptoService.unlock(passphrase, this.encryptionKeyRecord);
+          this.db.setCipher(this.cryptoService);
+          resolve();
+        }
+      });
+    });
+    
+    // Finish any migration that was interrupted, e.g. by closing the tab
+    const encrypted = await this.db.encryptRemaining();
+    if (encrypted > 0) {
+      console.log(`Encrypted ${encrypted} records left in plaintext`);
+    }
+  }
+
+  /**
+   * Show the passphrase modal
+   * @param {Object} options
+   * @param {string} options.title - Modal title
+   * @param {string} options.message - Explanation shown above the fields
+   * @param {string} options.submitLabel - Submit button text
+   * @param {Array<Object>} options.fields - Fields: {name, label, type, value, optional, autocomplete, matches, minLength};
+   *   type defaults to 'password'
+   * @param {Function} options.onSubmit - Called with field values; throw to show an error and keep the modal open
+   * @param {boolean} [options.persistent=false] - Whether the modal can be dismissed without submitting
+   */
+  showPassphraseForm({ title, message, submitLabel, fields, onSubmit, persistent = false }) {
+    const { passphraseModal, passphraseForm, passphraseFields, passphraseError, passphraseSubmit } = this.elements;
+    
+    this.elements.passphraseTitle.textContent = title;
+    this.elements.passphraseMessage.textContent = message;
+    passphraseSubmit.textContent = submitLabel;
+    passphraseSubmit.disabled = false;
+    passphraseError.hidden = true;
+    passphraseModal.classList.toggle('persistent', persistent);
+    
+    passphraseFields.innerHTML = '';
+    fields.forEach(field => {
+      const label = document.createElement('label');
+      label.className = 'passphrase-label';
+      label.textContent = field.label;
+      
+      const input = document.createElement('input');
+      input.type = field.type || 'password';
+      input.name = field.name;
+      input.value = field.value || '';
+      input.className = 'passphrase-input';
+      input.autocomplete = field.autocomplete || 'off';
+      
+      label.appendChild(input);
+      passphraseFields.appendChild(label);
+    });
+    
+    const showError = (text) => {
+      passphraseError.textContent = text;
+      passphraseError.hidden = false;
+    };
+    
+    // Assigned rather than added, so each prompt replaces the previous handler
+    passphraseForm.onsubmit = async (e) => {
+      e.preventDefault();
+      
+      const values = {};
+      for (const field of fields) {
+        const value = passphraseForm.elements[field.name].value;
+        if (!value && !field.optional) {
+          showError(`${field.label} is required`);
+          return;
+        }
+        if (field.minLength && value.length < field.minLength) {
+          showError(`${field.label} must be at least ${field.minLength} characters`);
+          return;
+        }
+        if (field.matches && value !== values[field.matches]) {
+          showError('Passphrases do not match');
+          return;
+        }
+        values[field.name] = value;
+      }
+      
+      passphraseSubmit.disabled = true;
+      passphraseError.hidden = true;
+      
+      try {
+        await onSubmit(values);
+        passphraseFields.innerHTML = ''; // Don't leave passphrases in the DOM
+        passphraseModal.classList.remove('active', 'persistent');
+      } catch (error) {
+        console.error(`${title} failed:`, error);
+        showError(error.message);
+        passphraseSubmit.disabled = false;
+      }
+    };
+    
+    passphraseModal.classList.add('active');
+    const firstInput = passphraseFields.querySelector('input');
+    if (firstInput) {
+      setTimeout(() => firstInput.focus(), 50);
+    }
+  }
+
+  /**
+   * Reflect whether encryption is on in the sidebar
+   */
+  renderEncryptionStatus() {
+    const enabled = Boolean(this.encryptionKeyRecord);
+    
+    this.elements.encryptionStatus.textContent = enabled
+      ? 'Notes are encrypted with your passphrase (AES-GCM).'
+      : 'Notes are stored unencrypted in this browser.';
+    this.elements.enableEncryptionBtn.hidden = enabled;
+    this.elements.changePassphraseBtn.hidden = !enabled;
+    this.elements.disableEncryptionBtn.hidden = !enabled;
+  }
+
+  /**
+   * Ask for a passphrase and encrypt all notes in place
+   */
+  enableEncryption() {
+    this.showPassphraseForm({
+      title: 'Encrypt Notes',
+      message: 'Choose a passphrase. It cannot be recovered: if you forget it, your notes are lost.',
+      submitLabel: 'Encrypt',
+      fields: [
+        { name: 'passphrase', label: 'Passphrase', autocomplete: 'new-password', minLength: 8 },
+        { name: 'confirm', label: 'Repeat passphrase', autocomplete: 'new-password', matches: 'passphrase' }
+      ],
+      onSubmit: async ({ passphrase }) => {
+        const keyRecord = await this.cryptoService.createKey(passphrase);
+        
+        // Save the key first: an interrupted migration can then be finished on the next unlock
+        await this.db.put('meta', keyRecord);
+        this.encryptionKeyRecord = keyRecord;
+        
+        const count = await this.db.recrypt(this.cryptoService);
+        this.renderEncryptionStatus();
+        this.toastService.show(`Encrypted ${count} records`, 'success');
+      }
+    });
+  }
+
+  /**
+   * Re-wrap the data key with a new passphrase, without re-encrypting notes
+   */
+  changePassphrase() {
+    this.showPassphraseForm({
+      title: 'Change Passphrase',
+      message: 'Your notes stay encrypted with the same key; only the passphrase that protects it changes.',
+      submitLabel: 'Change',
+      fields: [
+        { name: 'current', label: 'Current passphrase', autocomplete: 'current-password' },
+        { name: 'passphrase', label: 'New passphrase', autocomplete: 'new-password', minLength: 8 },
+        { name: 'confirm', label: 'Repeat new passphrase', autocomplete: 'new-password', matches: 'passphrase' }
+      ],
+      onSubmit: async ({ current, passphrase }) => {
+        // Verifies the current passphrase; the key it unwraps is the one already in use
+        await this.cryptoService.unlock(current, this.encryptionKeyRecord);
+        
+        const keyRecord = await this.cryptoService.wrapKey(passphrase);
+        await this.db.put('meta', keyRecord);
+        this.encryptionKeyRecord = keyRecord;
+        this.toastService.show('Passphrase changed', 'success');
+      }
+    });
+  }
+
+  /**
+   * Decrypt all notes back to plaintext and forget the key
+   */
+  disableEncryption() {
+    this.showPassphraseForm({
+      title: 'Remove Encryption',
+      message: 'All notes will be decrypted and stored as plaintext in this browser.',
+      submitLabel: 'Decrypt',
+      fields: [{ name: 'passphrase', label: 'Passphrase', autocomplete: 'current-password' }],
+      onSubmit: async ({ passphrase }) => {
+        await this.cryptoService.unlock(passphrase, this.encryptionKeyRecord);
+        
+        const count = await this.db.recrypt(null);
+        await this.db.delete('meta', 'encryption');
+        this.cryptoService.lock();
+        this.encryptionKeyRecord = null;
+        
+        this.renderEncryptionStatus();
+        this.toastService.show(`Decrypted ${count} records`, 'success');
+      }
+    });
+  }
+
+  /**
+   * Load all data from database
+   */
+  async loadData() {
+    try {
+      // Load notes
+      const notes = await this.db.getAll('notes');
+      console.log(`Loaded ${notes.length} notes from IndexedDB`);
+      
+      const migrated = await this.migrateVersions(notes);
+      this.notes = migrated.filter(note => !note.deletedAt);
+      this.trash.notes = migrated.filter(note => note.deletedAt);
+      
+      await this.loadSearchIndex();
+      
+      // Extract tags from notes
+      this.tags.clear();
+      this.notes.forEach(note => {
+        (note.tags || []).forEach(tag => this.tags.add(tag));
+      });
+      
+      // Load projects
+      const projects = await this.db.getAll('projects');
+      console.log(`Loaded ${projects.length} projects from IndexedDB`);
+      this.projects = projects.filter(project => !project.deletedAt);
+      this.trash.projects = projects.filter(project => project.deletedAt);
+      
+      // Load smart notebooks
+      const notebooks = await this.db.getAll('notebooks');
+      this.notebooks = notebooks
+        .map(notebook => ({ ...notebook, view: this.normalizeView(notebook.view) }))
+        .sort((a, b) => a.order - b.order);
+      
+      // Initial render
+      this.renderProjects();
+      this.renderNotes();
+      this.renderTags();
+      this.renderTrash();
+      this.updateWordCount();
+      
+      this.toastService.show('Data loaded successfully', 'success');
+    } catch (error) {
+      console.error('Error loading data:', error);
+      this.toastService.show('Error loading data', 'error');
+    }
+  }
+
+  /**
+   * Move versions arrays kept on notes by older releases into the versions store
+   * This runs after unlocking rather than in onupgradeneeded, since encrypted notes
+   * can't be read during the upgrade.
+   * @param {Array<Object>} notes - Notes as loaded
+   * @returns {Promise<Array<Object>>} - Notes without versions arrays
+   */
+  async migrateVersions(notes) {
+    const migrated = [];
+    let count = 0;
+    
+    for (const note of notes) {
+      if (note.versionCount !== undefined && !Array.isArray(note.versions)) {
+        migrated.push(note);
+        continue;
+      }
+      
+      const { versions, ...fields } = note;
+      const history = Array.isArray(versions)
+        ? versions.filter(version => version && typeof version.content === 'string')
+        : [{ content: note.content, date: note.date }];
+      const updated = {
+        ...fields,
+        versionCount: history.length,
+        lastVersionDate: history.length > 0 ? history[history.length - 1].date : note.date
+      };
+      
+      // History first: if this is interrupted, the note still has its array and is migrated again
+      await this.versionStore.replace(note.id, history);
+      await this.db.put('notes', updated);
+      migrated.push(updated);
+      count++;
+    }
+    
+    if (count > 0) {
+      console.log(`Moved version history of ${count} notes into the versions store`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Load the persisted search index, re-indexing only notes that changed since it was saved
+   */
+  async loadSearchIndex() {
+    this.searchIndex = new SearchIndex();
+    
+    // Links aren't persisted; finding them again is cheap
+    this.linkIndex.clear();
+    this.notes.forEach(note => this.linkIndex.update(note.id, note.content));
+    
+    const stored = await this.db.getAll('searchIndex');
+    const storedById = new Map(stored.map(doc => [String(doc.id), doc]));
+    const stale = [];
+    
+    this.notes.forEach(note => {
+      const doc = storedById.get(String(note.id));
+      storedById.delete(String(note.id));
+      
+      if (doc && doc.signature === this.searchIndex.signature(note)) {
+        this.searchIndex.add(doc);
+      } else {
+        stale.push(note);
+      }
+    });
+    
+    // Whatever is left belongs to notes that no longer exist
+    storedById.forEach(doc => {
+      this.db.delete('searchIndex', doc.id).catch(error => {
+        console.error('Error removing stale search document:', error);
+      });
+    });
+    
+    stale.forEach(note => this.indexNote(note));
+  }
+
+  /**
+   * Add or refresh a note in the search index and persist it
+   * @param {Object} note - Note object
+   * @returns {Promise<void>}
+   */
+  indexNote(note) {
+    const doc = this.searchIndex.createDocument(note, this.stripHtml(note.content));
+    this.searchIndex.add(doc);
+    
+    // Linked notes list this one under "Linked from", possibly with its old title
+    this.linkIndex.update(note.id, note.content).forEach(id => this.updateBacklinks(id));
+    
+    return this.db.put('searchIndex', doc).catch(error => {
+      console.error(`Error saving search index for note ${note.id}:`, error);
+    });
+  }
+
+  /**
+   * Remove a note from the search index
+   * @param {string|number} id - Note ID
+   * @returns {Promise<void>}
+   */
+  unindexNote(id) {
+    this.searchIndex.remove(id);
+    this.linkIndex.remove(id).forEach(target => this.updateBacklinks(target));
+    
+    return this.db.delete('searchIndex', id).catch(error => {
+      console.error(`Error removing search index for note ${id}:`, error);
+    });
+  }
+
+  /**
+   * Attach event listeners to UI elements
+   */
+  addEventListeners() {
+    // Sidebar toggle
+    this.elements.sidebarToggle.addEventListener('click', () => {
+      this.toggleSidebar();
+    });
+    
+    // Add note button
+    this.elements.addNoteBtn.addEventListener('click', () => {
+      this.createNote();
+    });
+    
+    // Add project button
+    this.elements.addProjectBtn.addEventListener('click', () => {
+      this.toastService.showInputPrompt('Enter project name:', (name) => {
+        if (name.trim()) {
+          this.addProject(name);
+        }
+      });
+    });
+    
+    // View all projects
+    this.elements.viewAllProjects.addEventListener('click', () => {
+      this.showProjectsModal();
+    });
+    
+    // Save the current filters as a smart notebook
+    this.elements.saveNotebookBtn.addEventListener('click', () => {
+      this.toastService.showInputPrompt('Enter smart notebook name:', (name) => {
+        if (name.trim()) {
+          this.addNotebook(name.trim());
+        }
+      });
+    });
+    
+    // Tag manager
+    this.elements.manageTagsBtn.addEventListener('click', () => {
+      this.showTagManager();
+    });
+    
+    this.elements.tagManagerApplyBtn.addEventListener('click', () => {
+      this.applyTagChanges();
+    });
+    
+    // Theme toggle
+    this.elements.themeToggle.addEventListener('click', () => {
+      this.toggleTheme();
+    });
+    
+    // Graph view
+    this.elements.graphBtn.addEventListener('click', () => {
+      this.showGraph();
+    });
+    
+    this.elements.graphResetBtn.addEventListener('click', () => {
+      this.graphView.resetView();
+    });
+    
+    // Calendar and writing activity
+    this.elements.calendarBtn.addEventListener('click', () => {
+      this.showCalendar();
+    });
+    
+    this.elements.calendarPrevBtn.addEventListener('click', () => {
+      this.stepCalendarMonth(-1);
+    });
+    
+    this.elements.calendarNextBtn.addEventListener('click', () => {
+      this.stepCalendarMonth(1);
+    });
+    
+    window.addEventListener('resize', () => {
+      if (this.graphView && this.elements.graphModal.classList.contains('active')) {
+        this.graphView.resize();
+      }
+    });
+    
+    // Versioning frequency change
+    this.elements.versionFrequency.addEventListener('change', (e) => {
+      this.updateVersioningInterval(e.target.value);
+    });
+    
+    this.elements.versionRetention.addEventListener('change', (e) => {
+      this.updateVersionRetention(e.target.value);
+    });
+    
+    this.elements.inputRulesSelect.addEventListener('change', (e) => {
+      this.updateInputRules(e.target.value === 'true');
+    });
+    
+    // Journal
+    this.elements.journalTodayBtn.addEventListener('click', () => {
+      this.openJournal();
+    });
+    
+    this.elements.journalPrevBtn.addEventListener('click', () => {
+      this.stepJournal(-1);
+    });
+    
+    this.elements.journalNextBtn.addEventListener('click', () => {
+      this.stepJournal(1);
+    });
+    
+    this.elements.journalProjectSelect.addEventListener('change', (e) => {
+      this.updateJournalSettings({ projectId: e.target.value });
+    });
+    
+    this.elements.journalTitleInput.addEventListener('change', (e) => {
+      this.updateJournalSettings({ titleFormat: e.target.value.trim() || 'YYYY-MM-DD' });
+    });
+    
+    this.elements.journalTemplateInput.addEventListener('change', (e) => {
+      this.updateJournalSettings({ template: e.target.value });
+    });
+    
+    // Encryption at rest
+    this.elements.enableEncryptionBtn.addEventListener('click', () => {
+      this.enableEncryption();
+    });
+    
+    this.elements.changePassphraseBtn.addEventListener('click', () => {
+      this.changePassphrase();
+    });
+    
+    this.elements.disableEncryptionBtn.addEventListener('click', () => {
+      this.disableEncryption();
+    });
+    
+    // App lock
+    this.elements.setLockBtn.addEventListener('click', () => {
+      this.setLock();
+    });
+    
+    this.elements.changeLockBtn.addEventListener('click', () => {
+      this.changeLock();
+    });
+    
+    this.elements.removeLockBtn.addEventListener('click', () => {
+      this.removeLock();
+    });
+    
+    this.elements.lockNowBtn.addEventListener('click', () => {
+      this.lock();
+    });
+    
+    this.elements.lockIdleSelect.addEventListener('change', (e) => {
+      this.updateLockSetting('lockIdleMinutes', e.target.value);
+    });
+    
+    this.elements.lockHiddenSelect.addEventListener('change', (e) => {
+      this.updateLockSetting('lockHiddenMinutes', e.target.value);
+    });
+    
+    // Trash
+    this.elements.emptyTrashBtn.addEventListener('click', () => {
+      if (confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+        this.emptyTrash();
+      }
+    });
+    
+    this.elements.trashDaysSelect.addEventListener('change', (e) => {
+      this.updateTrashDays(e.target.value);
+    });
+    
+    // Backup export and restore
+    this.elements.exportBackupBtn.addEventListener('click', () => {
+      this.exportBackup();
+    });
+    
+    this.elements.restoreBackupBtn.addEventListener('click', () => {
+      this.elements.restoreFileInput.click();
+    });
+    
+    this.elements.restoreFileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow picking the same file again
+      if (file) {
+        this.readBackupFile(file);
+      }
+    });
+    
+    this.elements.restoreMergeBtn.addEventListener('click', () => {
+      this.restoreBackup('merge');
+    });
+    
+    this.elements.restoreReplaceBtn.addEventListener('click', () => {
+      if (confirm('Replace all notes, projects and settings with this backup?')) {
+        this.restoreBackup('replace');
+      }
+    });
+    
+    // Markdown and text import
+    this.elements.importNotesBtn.addEventListener('click', () => {
+      this.elements.importFileInput.click();
+    });
+    
+    this.elements.importFileInput.addEventListener('change', (e) => {
+      const files = Array.from(e.target.files);
+      e.target.value = '';
+      this.readImportFiles(files);
+    });
+    
+    this.elements.importConfirmBtn.addEventListener('click', () => {
+      this.importNotes();
+    });
+    
+    // Drag and drop files onto the notes list
+    const notesContainer = this.elements.notesContainer;
+    notesContainer.addEventListener('dragover', (e) => {
+      if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      notesContainer.classList.add('drag-over');
+    });
+    
+    notesContainer.addEventListener('dragleave', (e) => {
+      if (!notesContainer.contains(e.relatedTarget)) {
+        notesContainer.classList.remove('drag-over');
+      }
+    });
+    
+    notesContainer.addEventListener('drop', (e) => {
+      if (!e.dataTransfer.files.length) return;
+      e.preventDefault();
+      notesContainer.classList.remove('drag-over');
+      this.readImportFiles(Array.from(e.dataTransfer.files));
+    });
+    
+    // Modal close buttons
+    this.modalCloseButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.closeModals();
+      });
+    });
+    
+    // Toolbar buttons light up for the formats at the caret
+    document.addEventListener('selectionchange', () => {
+      this.updateFormattingState();
+    });
+    
+    // Note link suggestions; mousedown would take focus from the editor
+    this.elements.noteLinkMenu.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+    });
+    this.elements.noteLinkMenu.addEventListener('click', (e) => {
+      const option = e.target.closest('.note-link-option');
+      if (option && this.linkSuggest) {
+        this.insertNoteLink(this.linkSuggest.items[option.dataset.index]);
+      }
+    });
+    
+    // Task view filters
+    [
+      [this.elements.taskStatusSelect, 'status'],
+      [this.elements.taskProjectSelect, 'projectId'],
+      [this.elements.taskTagSelect, 'tag']
+    ].forEach(([select, key]) => {
+      select.addEventListener('change', (e) => {
+        this.taskFilter[key] = e.target.value;
+        this.renderTasks();
+      });
+    });
+    
+    // Search input
+    this.elements.searchInput.addEventListener('input', (e) => {
+      this.searchTerm = e.target.value;
+      this.updateSearchQuery();
+      this.renderNotes();
+    });
+    
+    // Note order
+    this.elements.sortSelect.addEventListener('change', (e) => {
+      this.sortOrder = e.target.value;
+      localStorage.setItem('sortOrder', this.sortOrder);
+      this.renderNotes();
+    });
+    
+    // Author input
+    this.elements.authorInput.addEventListener('change', (e) => {
+      const author = e.target.value;
+      localStorage.setItem('author', author);
+      this.elements.sidebarAuthor.textContent = author;
+    });
+    
+    // Close modals when clicking outside
+    window.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal')) {
+        this.closeModals();
+      }
+    });
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      // Only the lock screen takes input while locked
+      if (this.isLocked) return;
+      
+      // Ctrl+Shift+L to lock immediately
+      if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'l') {
+        e.preventDefault();
+        this.lock();
+        return;
+      }
+      
+      // Ctrl+Z / Ctrl+Shift+Z undo app actions; editors and inputs keep their own undo
+      if (e.ctrlKey && e.key.toLowerCase() === 'z' &&
+          !e.target.closest('input, textarea, select, [contenteditable="true"]')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+        return;
+      }
+      
+      // Escape to close modals
+      if (e.key === 'Escape') {
+        this.closeModals();
+      }
+      
+      // Ctrl+N to create a new note
+      if (e.ctrlKey && e.key.toLowerCase() === 'n') {
+        e.preventDefault();
+        this.createNote();
+      }
+      
+      // Alt+J to open today's journal entry; code, since Alt changes the key on some layouts
+      if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyJ') {
+        e.preventDefault();
+        this.openJournal();
+      }
+    });
+  }
+
+  /**
+   * Toggle sidebar visibility
+   */
+  toggleSidebar() {
+    this.sidebarCollapsed = !this.sidebarCollapsed;
+    this.elements.sidebar.classList.toggle('collapsed', this.sidebarCollapsed);
+    this.elements.mainContent.classList.toggle('full-width', this.sidebarCollapsed);
+    localStorage.setItem('sidebarCollapsed', this.sidebarCollapsed.toString());
+  }
+
+  /**
+   * Toggle between light and dark themes
+   */
+  toggleTheme() {
+    this.isDarkTheme = !this.isDarkTheme;
+    document.body.classList.toggle('dark-theme', this.isDarkTheme);
+    localStorage.setItem('theme', this.isDarkTheme ? 'dark' : 'light');
+    this.toastService.show('Theme updated', 'success');
+  }
+
+  /**
+   * Update the versioning interval
+   * @param {number|string} value - New interval in milliseconds
+   */
+  updateVersioningInterval(value) {
+    this.versioningInterval = parseInt(value, 10) || 0;
+    localStorage.setItem('versioningInterval', this.versioningInterval.toString());
+    
+    const seconds = this.versioningInterval / 1000;
+    this.toastService.show(
+      seconds > 0 ? `Auto-save set to ${seconds}s` : 'Auto-save disabled', 
+      'info'
+    );
+  }
+
+  /**
+   * Turn the Markdown shortcuts on or off
+   * @param {boolean} enabled - Whether typing Markdown converts it
+   */
+  updateInputRules(enabled) {
+    this.inputRulesEnabled = enabled;
+    this.inputRuleUndo = null;
+    localStorage.setItem('inputRules', String(enabled));
+    this.toastService.show(`Markdown shortcuts ${enabled ? 'on' : 'off'}`, 'info');
+  }
+
+  /**
+   * Change the default version retention preset
+   * @param {string} value - Preset name
+   */
+  updateVersionRetention(value) {
+    if (!this.retention.has(value)) return;
+    
+    this.versionRetention = value;
+    localStorage.setItem('versionRetention', value);
+    this.toastService.show(`Version history: ${this.retention.presets[value].label.toLowerCase()}`, 'info');
+    
+    this.prunedAt.clear();
+    this.pruneVersions();
+  }
+
+  /**
+   * Change the version retention preset of a project
+   * @param {Object} project - Project
+   * @param {string} value - Preset name, or '' to follow the default
+   */
+  updateProjectRetention(project, value) {
+    const updated = { ...project };
+    if (this.retention.has(value)) {
+      updated.retention = value;
+    } else {
+      delete updated.retention;
+    }
+    
+    this.db.put('projects', updated)
+      .then(() => {
+        this.projects = this.projects.map(p => (p.id == project.id ? updated : p));
+        
+        // Only this project's notes need another look
+        this.notes.filter(note => note.projectId == project.id).forEach(note => this.prunedAt.delete(note.id));
+        this.pruneVersions();
+      })
+      .catch(error => {
+        console.error('Error updating project retention:', error);
+        this.toastService.show('Error updating project', 'error');
+      });
+  }
+
+  /**
+   * Retention preset that applies to a note
+   * @param {Object} note - Note object
+   * @returns {string} - Preset name
+   */
+  retentionFor(note) {
+    const project = note.projectId ? this.projects.find(p => p.id == note.projectId) : null;
+    return project && this.retention.has(project.retention) ? project.retention : this.versionRetention;
+  }
+
+  /**
+   * Prune version history shortly after startup and then every hour
+   */
+  scheduleVersionPruning() {
+    // Give the first render and any typing priority over pruning
+    setTimeout(() => this.pruneVersions(), 10000);
+    setInterval(() => this.pruneVersions(), 60 * 60 * 1000);
+    this.renderHistoryUsage();
+  }
+
+  /**
+   * Apply the retention policies to every note's history in the background
+   * Each note is pruned at most once a day unless its policy changes.
+   * @returns {Promise<void>}
+   */
+  async pruneVersions() {
+    if (this.isPruning || this.isLocked) return;
+    this.isPruning = true;
+    
+    let removed = 0;
+    try {
+      for (const { id } of [...this.notes]) {
+        const note = this.notes.find(n => n.id == id);
+        if (!note || note.versionCount <= 1 || Date.now() - (this.prunedAt.get(id) || 0) < 24 * 60 * 60 * 1000) {
+          continue;
+        }
+        
+        // Keeping everything needs no rewrite, so history is only touched once a preset is chosen
+        const preset = this.retentionFor(note);
+        if (preset === 'all') continue;
+        
+        const dropped = await this.versionStore.prune(id, versions => this.retention.apply(versions, preset));
+        this.prunedAt.set(id, Date.now());
+        
+        if (dropped > 0) {
+          // Re-read the note, since it may have been edited while pruning
+          const index = this.notes.findIndex(n => n.id == id);
+          if (index !== -1) {
+            const current = { ...this.notes[index] };
+            current.versionCount = Math.max(1, (current.versionCount || 0) - dropped);
+            this.notes[index] = current;
+            await this.db.put('notes', current);
+            
+            // Update the footer in place; re-rendering would interrupt typing
+            const noteElement = Array.from(document.querySelectorAll('.note')).find(element => element.dataset.id == id);
+            if (noteElement) {
+              noteElement.querySelector('.note-versions').textContent =
+                `${current.versionCount} version${current.versionCount !== 1 ? 's' : ''}`;
+            }
+          }
+          removed += dropped;
+        }
+        
+        // Yield between notes so pruning never blocks the editor for long
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      
+      if (removed > 0) {
+        console.log(`Pruned ${removed} old versions`);
+      }
+    } catch (error) {
+      console.error('Error pruning version history:', error);
+    } finally {
+      this.isPruning = false;
+    }
+    
+    this.renderHistoryUsage();
+  }
+
+  /**
+   * Show how much space version history uses
+   * @returns {Promise<void>}
+   */
+  async renderHistoryUsage() {
+    try {
+      const { count, bytes } = await this.versionStore.measure();
+      this.elements.historyUsage.textContent =
+        `History: ${count} version${count !== 1 ? 's' : ''}, about ${this.formatBytes(bytes)}`;
+    } catch (error) {
+      console.error('Error measuring version history:', error);
+    }
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - Human-readable size
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Export the whole notebook as a JSON backup file
+   */
+  async exportBackup() {
+    try {
+      const bundle = await this.backupService.createBundle();
+      const stamp = bundle.exportedAt.slice(0, 10);
+      this.downloadFile(`notes-backup-${stamp}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+      this.toastService.show(
+        `Exported ${bundle.notes.length} notes and ${bundle.projects.length} projects` +
+          (this.encryptionKeyRecord ? '. The backup file is not encrypted.' : ''),
+        'success',
+        this.encryptionKeyRecord ? 5000 : 3000
+      );
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      this.toastService.show('Error exporting backup', 'error');
+    }
+  }
+
+  /**
+   * Read and validate a backup file, then ask how to restore it
+   * @param {File} file - Selected backup file
+   */
+  async readBackupFile(file) {
+    try {
+      const bundle = this.backupService.parse(await file.text());
+      
+      // Never trust markup coming from outside the app; titles are plain text on a single line
+      bundle.notes = bundle.notes.map(note => ({
+        ...note,
+        title: note.title.replace(/\s+/g, ' ').trim(),
+        content: this.sanitizeHtml(note.content),
+        versions: Array.isArray(note.versions)
+          ? note.versions.map(version => ({ ...version, content: this.sanitizeHtml(version.content) }))
+          : [{ content: this.sanitizeHtml(note.content), date: note.date }]
+      }));
+      
+      this.showRestoreModal(bundle);
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      this.toastService.show(`Cannot restore: ${error.message}`, 'error', 5000);
+    }
+  }
+
+  /**
+   * Show the restore modal for a validated bundle
+   * @param {Object} bundle - Validated backup bundle
+   */
+  showRestoreModal(bundle) {
+    this.pendingRestore = bundle;
+    
+    const exportedAt = bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'an unknown date';
+    const existingIds = new Set(this.notes.map(note => String(note.id)));
+    const matching = bundle.notes.filter(note => existingIds.has(String(note.id))).length;
+    
+    this.elements.restoreSummary.innerHTML = `
+      <p>Backup from <strong>${this.escapeHtml(exportedAt)}</strong> with
+        ${bundle.notes.length} note${bundle.notes.length !== 1 ? 's' : ''} and
+        ${bundle.projects.length} project${bundle.projects.length !== 1 ? 's' : ''}.</p>
+      <p>${matching} of its notes already exist here.</p>
+      <p class="restore-hint"><strong>Merge</strong> adds new notes and overwrites existing ones only when the backup copy is newer.
+        <strong>Replace</strong> deletes everything here first.</p>
+    `;
+    this.setRestoreButtonsDisabled(false);
+    this.elements.restoreModal.classList.add('active');
+  }
+
+  /**
+   * Restore the pending backup bundle
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  async restoreBackup(mode) {
+    const bundle = this.pendingRestore;
+    if (!bundle) return;
+    
+    this.setRestoreButtonsDisabled(true);
+    
+    try {
+      const report = await this.backupService.restore(bundle, mode);
+      this.pendingRestore = null;
+      
+      // Undo entries would refer to notes that were just replaced
+      if (mode === 'replace') {
+        await this.history.clear();
+      }
+      
+      this.loadSettings();
+      await this.loadData();
+      this.renderProjects();
+      
+      const lines = [
+        `${report.added} note${report.added !== 1 ? 's' : ''} added`,
+        `${report.overwritten} overwritten`,
+        `${report.skipped} skipped`
+      ];
+      if (mode === 'replace') {
+        lines.push(`${report.removed} removed`);
+      }
+      lines.push(`${report.projects} project${report.projects !== 1 ? 's' : ''} restored`);
+      
+      this.elements.restoreSummary.innerHTML = `
+        <p><strong>Restore complete</strong></p>
+        <ul class="restore-report">${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+      `;
+      this.toastService.show(`Restore complete: ${lines.slice(0, 3).join(', ')}`, 'success', 5000);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      this.toastService.show('Error restoring backup', 'error');
+      this.setRestoreButtonsDisabled(false);
+    }
+  }
+
+  /**
+   * Enable or disable the restore modal's action buttons
+   * @param {boolean} disabled - Whether the buttons are disabled
+   */
+  setRestoreButtonsDisabled(disabled) {
+    this.elements.restoreMergeBtn.disabled = disabled;
+    this.elements.restoreReplaceBtn.disabled = disabled;
+  }
+
+  /**
+   * Offer a string as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} type - MIME type
+   */
+  downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Convert a note to Markdown with YAML front-matter
+   * @param {Object} note - Note object
+   * @returns {string} - Markdown document
+   */
+  noteToMarkdown(note) {
+    const project = this.projects.find(p => p.id == note.projectId);
+    const frontMatter = this.markdown.frontMatter({
+      title: note.title,
+      author: note.author,
+      date: note.date,
+      tags: note.tags || [],
+      project: project ? project.name : ''
+    });
+    
+    return `${frontMatter}\n${this.markdown.toMarkdown(note.content)}\n`;
+  }
+
+  /**
+   * Build a file name for an exported Markdown note
+   * @param {string} title - Note or project title
+   * @param {string} date - ISO date used as prefix
+   * @returns {string} - File name ending in .md
+   */
+  markdownFileName(title, date) {
+    const slug = (title || 'untitled')
+      .toLowerCase()
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/[\s_]+/g, '-')
+      .slice(0, 60) || 'untitled';
+    
+    return `${String(date || new Date().toISOString()).slice(0, 10)}-${slug}.md`;
+  }
+
+  /**
+   * Download a single note as a Markdown file
+   * @param {Object} note - Note object
+   */
+  exportNoteMarkdown(note) {
+    this.downloadFile(this.markdownFileName(note.title, note.date), this.noteToMarkdown(note), 'text/markdown');
+    this.toastService.show(`Exported "${note.title}"`, 'success');
+  }
+
+  /**
+   * Download all notes of a project as Markdown
+   * @param {Object} project - Project object
+   * @param {string} mode - 'single' for one concatenated file, 'files' for one file per note
+   */
+  exportProjectMarkdown(project, mode) {
+    const projectNotes = this.notes
+      .filter(note => note.projectId == project.id)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    if (projectNotes.length === 0) {
+      this.toastService.show(`"${project.name}" has no notes to export`, 'info');
+      return;
+    }
+    
+    if (mode === 'files') {
+      // Stagger downloads so browsers don't drop all but the first
+      projectNotes.forEach((note, index) => {
+        setTimeout(() => {
+          this.downloadFile(this.markdownFileName(note.title, note.date), this.noteToMarkdown(note), 'text/markdown');
+        }, index * 300);
+      });
+    } else {
+      const sections = projectNotes.map(note => {
+        const meta = [
+          note.author || 'Anonymous',
+          new Date(note.date).toLocaleString(),
+          ...(note.tags || []).map(tag => `#${tag}`)
+        ].join(' • ');
+        // Demote note headings below the note title
+        const body = this.markdown.toMarkdown(note.content, { headingOffset: 2 });
+        return `## ${note.title}\n\n*${meta}*\n\n${body}`.trim();
+      });
+      
+      const combined = `# ${project.name}\n\n${sections.join('\n\n---\n\n')}\n`;
+      this.downloadFile(this.markdownFileName(project.name, new Date().toISOString()), combined, 'text/markdown');
+    }
+    
+    this.toastService.show(
+      `Exported ${projectNotes.length} note${projectNotes.length !== 1 ? 's' : ''} from "${project.name}"`,
+      'success'
+    );
+  }
+
+  /**
+   * Read Markdown and text files and show the import preview
+   * @param {Array<File>} files - Files picked or dropped by the user
+   */
+  async readImportFiles(files) {
+    const supported = files.filter(file => /\.(md|markdown|mdown|mkd|txt)$/i.test(file.name));
+    const ignored = files.length - supported.length;
+    
+    if (supported.length === 0) {
+      this.toastService.show('Only .md and .txt files can be imported', 'error');
+      return;
+    }
+    
+    try {
+      const drafts = [];
+      for (const file of supported) {
+        drafts.push(this.parseImportFile(file.name, await file.text(), file.lastModified));
+      }
+      
+      this.showImportModal(drafts, ignored);
+    } catch (error) {
+      console.error('Error reading import files:', error);
+      this.toastService.show('Error reading files', 'error');
+    }
+  }
+
+  /**
+   * Turn the contents of a Markdown or text file into a note draft
+   * @param {string} fileName - Name of the file
+   * @param {string} text - File contents
+   * @param {number} [lastModified] - File timestamp, used when there is no front-matter date
+   * @returns {Object} - Draft with title, content, date, tags and author
+   */
+  parseImportFile(fileName, text, lastModified) {
+    const isMarkdown = !/\.txt$/i.test(fileName);
+    const { data, body } = this.markdown.parseFrontMatter(text);
+    let source = body;
+    let title = typeof data.title === 'string' ? this.toPlainLine(data.title) : '';
+    
+    // Fall back to the first heading, which then no longer belongs in the body
+    if (!title && isMarkdown) {
+      const heading = source.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/m);
+      if (heading) {
+        title = this.toPlainLine(heading[1]);
+        source = source.replace(heading[0], '');
+      }
+    }
+    if (!title) {
+      title = this.toPlainLine(fileName.replace(/\.[^.]+$/, ''));
+    }
+    
+    let content = this.sanitizeHtml(isMarkdown ? this.markdown.toHtml(source) : this.markdown.textToHtml(source));
+    
+    // Tags only exist as hashtags in the content, so add any the text doesn't mention
+    const rawTags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(/[,\s]+/);
+    const tags = rawTags
+      .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+      .filter(tag => /^[\w-]+$/.test(tag));
+    const existingTags = this.extractTags(content);
+    const missingTags = [...new Set(tags)].filter(tag => !existingTags.includes(tag));
+    if (missingTags.length > 0) {
+      content += `<p>${missingTags.map(tag => `#${tag}`).join(' ')}</p>`;
+    }
+    
+    const frontMatterDate = new Date(data.date || data.created || '');
+    let date;
+    if (!isNaN(frontMatterDate.getTime())) {
+      date = frontMatterDate.toISOString();
+    } else if (lastModified) {
+      date = new Date(lastModified).toISOString();
+    } else {
+      date = new Date().toISOString();
+    }
+    
+    // The author comes from an untrusted file too, and is shown in every note footer
+    const author = typeof data.author === 'string' ? this.toPlainLine(data.author, 100) : '';
+    
+    return {
+      fileName,
+      title,
+      content,
+      date,
+      author: author || null,
+      tags: this.extractTags(content)
+    };
+  }
+
+  /**
+   * Show what an import will create before writing anything
+   * @param {Array<Object>} drafts - Note drafts from parseImportFile
+   * @param {number} ignored - Number of unsupported files that were skipped
+   */
+  showImportModal(drafts, ignored = 0) {
+    this.pendingImport = drafts;
+    
+    const project = this.projects.find(p => p.id == this.currentProject);
+    const destination = project ? `into <strong>${this.escapeHtml(project.name)}</strong>` : 'without a project';
+    
+    this.elements.importSummary.innerHTML = `
+      <p>${drafts.length} file${drafts.length !== 1 ? 's' : ''} will be imported ${destination}.
+        ${ignored > 0 ? `${ignored} unsupported file${ignored !== 1 ? 's were' : ' was'} ignored.` : ''}</p>
+    `;
+    
+    const importList = this.elements.importList;
+    importList.innerHTML = '';
+    
+    drafts.forEach((draft, index) => {
+      const row = document.createElement('label');
+      row.className = 'import-item';
+      row.innerHTML = `
+        <input type="checkbox" checked data-index="${index}">
+        <div class="import-item-info">
+          <div class="import-item-title">${this.escapeHtml(draft.title)}</div>
+          <div class="import-item-meta">
+            ${this.escapeHtml(new Date(draft.date).toLocaleString())} •
+            ${this.escapeHtml(draft.fileName)}
+            ${draft.tags.length ? ' • ' + draft.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ') : ''}
+          </div>
+        </div>
+      `;
+      
+      row.querySelector('input').addEventListener('change', () => {
+        this.updateImportButton();
+      });
+      
+      importList.appendChild(row);
+    });
+    
+    this.updateImportButton();
+    this.elements.importModal.classList.add('active');
+  }
+
+  /**
+   * Reflect the number of selected files on the import button
+   */
+  updateImportButton() {
+    const count = this.elements.importList.querySelectorAll('input:checked').length;
+    this.elements.importConfirmBtn.textContent = `Import ${count} note${count !== 1 ? 's' : ''}`;
+    this.elements.importConfirmBtn.disabled = count === 0;
+  }
+
+  /**
+   * Create notes for the selected drafts of the pending import
+   */
+  async importNotes() {
+    const selected = Array.from(this.elements.importList.querySelectorAll('input:checked'))
+      .map(input => this.pendingImport[parseInt(input.dataset.index, 10)])
+      .filter(Boolean);
+    
+    if (selected.length === 0) return;
+    
+    this.elements.importConfirmBtn.disabled = true;
+    
+    let imported = 0;
+    try {
+      for (const draft of selected) {
+        const note = this.buildNote({
+          title: draft.title,
+          content: draft.content,
+          date: draft.date,
+          author: draft.author
+        });
+        note.tags = draft.tags;
+        
+        await this.db.put('notes', note);
+        await this.versionStore.save(note.id, { content: note.content, date: note.date }, false);
+        this.notes.unshift(note);
+        this.indexNote(note);
+        imported++;
+      }
+      
+      this.toastService.show(`Imported ${imported} note${imported !== 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+      console.error('Error importing notes:', error);
+      this.toastService.show(`Error importing notes (${imported} of ${selected.length} imported)`, 'error');
+    }
+    
+    this.closeModals();
+    this.updateTags();
+    this.renderProjects();
+    this.renderNotes();
+    this.updateWordCount();
+  }
+
+  /**
+   * Generate a unique, time-ordered note or project ID
+   * @returns {string} - New ID
+   */
+  generateId() {
+    // Bulk operations can run within the same millisecond
+    this.lastGeneratedId = Math.max(Date.now(), this.lastGeneratedId + 1);
+    return this.lastGeneratedId.toString();
+  }
+
+  /**
+   * Build a note object in the current project
+   * @param {Object} fields - Note fields
+   * @param {string} [fields.title] - Note title
+   * @param {string} [fields.content] - Note content
+   * @param {string} [fields.date] - ISO date, defaults to now
+   * @param {string} [fields.author] - Author, defaults to the author setting
+   * @returns {Object} - Note object, not yet saved
+   */
+  buildNote({ title = 'New Note', content = '', date, author } = {}) {
+    const now = date || new Date().toISOString();
+    
+    return {
+      id: this.generateId(),
+      title,
+      content,
+      author: author || this.elements.authorInput.value || 'Anonymous',
+      projectId: this.currentProject,
+      date: now,
+      formattedDate: new Date(now).toLocaleString(),
+      tags: [],
+      versionCount: 1,
+      lastVersionDate: now
+    };
+  }
+
+  /**
+   * Create a new note
+   * @param {string} title - Note title
+   * @param {string} content - Note content
+   */
+  createNote(title = 'New Note', content = '') {
+    const note = this.buildNote({ title, content });
+    
+    this.notes.unshift(note);
+    this.db.put('notes', note)
+      .then(() => this.versionStore.save(note.id, { content, date: note.date }, false))
+      .then(() => {
+        console.log(`Note ${note.id} created`);
+        this.indexNote(note);
+        this.renderNotes();
+        this.updateWordCount();
+        this.toastService.show('Note created', 'success');
+      })
+      .catch(error => {
+        console.error('Error creating note:', error);
+        this.toastService.show('Error creating note', 'error');
+      });
+  }
+
+  /**
+   * Local calendar day of a date, as used for journal entries
+   * @param {Date} date - Date
+   * @returns {string} - YYYY-MM-DD
+   */
+  dateKey(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Title of the journal entry for a day
+   * Tokens: YYYY, MMMM (month name), MMM, MM, M, dddd (weekday), ddd, DD and D; text in [brackets] is kept as is.
+   * @param {string} key - Day as YYYY-MM-DD
+   * @param {string} format - Title format
+   * @returns {string} - Title
+   */
+  formatJournalTitle(key, format) {
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+      YYYY: String(year),
+      MMMM: date.toLocaleDateString(undefined, { month: 'long' }),
+      MMM: date.toLocaleDateString(undefined, { month: 'short' }),
+      MM: pad(month),
+      M: String(month),
+      dddd: date.toLocaleDateString(undefined, { weekday: 'long' }),
+      ddd: date.toLocaleDateString(undefined, { weekday: 'short' }),
+      DD: pad(day),
+      D: String(day)
+    };
+    
+    return format.replace(/\[([^\]]*)\]|YYYY|MMMM|MMM|MM|M|dddd|ddd|DD|D/g, (token, literal) =>
+      (literal !== undefined ? literal : tokens[token])
+    );
+  }
+
+  /**
+   * Project journal entries go into, making a "Journal" project if none is chosen
+   * @returns {Promise<string>} - Project ID
+   */
+  async getJournalProject() {
+    const chosen = this.projects.find(p => String(p.id) === this.journal.projectId);
+    if (chosen) return chosen.id;
+    
+    const existing = this.projects.find(p => p.name.trim().toLowerCase() === 'journal');
+    if (existing) return existing.id;
+    
+    const project = {
+      id: this.generateId(),
+      name: 'Journal',
+      color: this.projectColors[Math.floor(Math.random() * this.projectColors.length)]
+    };
+    await this.db.put('projects', project);
+    this.projects.push(project);
+    this.renderProjects();
+    return project.id;
+  }
+
+  /**
+   * Open the journal entry for a day, creating it from the template if there is none
+   * @param {string} [key] - Day as YYYY-MM-DD, defaults to today
+   * @returns {Promise<void>}
+   */
+  async openJournal(key = this.dateKey(new Date())) {
+    try {
+      // Pressing Today again while the entry is being saved just waits for it
+      if (this.journalPending) {
+        await this.journalPending;
+      }
+      
+      let note = this.notes.find(n => n.journalDate === key);
+      
+      if (!note) {
+        const trashed = this.trash.notes.find(n => n.journalDate === key);
+        if (trashed) {
+          await this.restoreNote(trashed.id);
+        } else {
+          this.journalPending = this.createJournalNote(key);
+          await this.journalPending;
+        }
+        note = this.notes.find(n => n.journalDate === key);
+      }
+      if (!note) return;
+      
+      this.journalDate = key;
+      this.renderJournalNav();
+      this.openNote(note.id);
+      
+      // Start typing at the end of the entry
+      const noteElement = this.findNoteElement(note.id);
+      const contentElement = noteElement && noteElement.querySelector('.note-content');
+      if (contentElement) {
+        contentElement.focus({ preventScroll: true });
+        const range = document.createRange();
+        range.selectNodeContents(contentElement);
+        range.collapse(false);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+      }
+    } catch (error) {
+      console.error('Error opening journal entry:', error);
+      this.toastService.show('Error opening journal entry', 'error');
+    } finally {
+      this.journalPending = null;
+    }
+  }
+
+  /**
+   * Create the journal entry for a day from the title format and template
+   * @param {string} key - Day as YYYY-MM-DD
+   * @returns {Promise<void>}
+   */
+  async createJournalNote(key) {
+    const projectId = await this.getJournalProject();
+    const title = this.formatJournalTitle(key, this.journal.titleFormat);
+    
+    // The template is Markdown; {{title}} and {{date}} are filled in for the day
+    const markdown = this.journal.template
+      .replace(/\{\{title\}\}/g, title)
+      .replace(/\{\{date\}\}/g, key);
+    const content = markdown.trim() ? this.sanitizeHtml(this.markdown.toHtml(markdown)) : '';
+    
+    const note = {
+      ...this.buildNote({ title, content }),
+      projectId,
+      journalDate: key,
+      tags: this.extractTags(content)
+    };
+    
+    await this.db.put('notes', note);
+    await this.versionStore.save(note.id, { content, date: note.date }, false);
+    
+    this.notes.unshift(note);
+    this.indexNote(note);
+    this.updateTags();
+    this.renderProjects();
+    this.renderNotes();
+    this.updateWordCount();
+    this.toastService.show(`Journal entry "${title}" created`, 'success');
+  }
+
+  /**
+   * Go to the previous or next journal entry, or to today after the last one
+   * @param {number} offset - -1 for the previous entry, 1 for the next
+   */
+  stepJournal(offset) {
+    const target = this.adjacentJournalDay(offset);
+    if (target) {
+      this.openJournal(target);
+    }
+  }
+
+  /**
+   * Day of the journal entry before or after the one opened last
+   * @param {number} offset - -1 for the previous entry, 1 for the next
+   * @returns {string|null} - Day as YYYY-MM-DD, or null if there is none
+   */
+  adjacentJournalDay(offset) {
+    const today = this.dateKey(new Date());
+    const current = this.journalDate || today;
+    const days = [...new Set(this.notes.map(note => note.journalDate).filter(Boolean))].sort();
+    
+    if (offset < 0) {
+      return days.filter(day => day < current).pop() || null;
+    }
+    return days.find(day => day > current) || (current < today ? today : null);
+  }
+
+  /**
+   * Enable the previous and next journal buttons when there is somewhere to go
+   */
+  renderJournalNav() {
+    const prev = this.adjacentJournalDay(-1);
+    const next = this.adjacentJournalDay(1);
+    
+    this.elements.journalPrevBtn.disabled = !prev;
+    this.elements.journalPrevBtn.title = prev ? `Previous journal entry (${prev})` : 'No earlier journal entry';
+    this.elements.journalNextBtn.disabled = !next;
+    this.elements.journalNextBtn.title = next ? `Next journal entry (${next})` : 'No later journal entry';
+  }
+
+  /**
+   * List the projects journal entries can go into
+   */
+  renderJournalProjectSelect() {
+    const select = this.elements.journalProjectSelect;
+    select.replaceChildren(
+      new Option('Journal (created when needed)', ''),
+      ...this.projects.map(project => new Option(project.name, String(project.id)))
+    );
+    select.value = this.projects.some(project => String(project.id) === this.journal.projectId)
+      ? this.journal.projectId
+      : '';
+  }
+
+  /**
+   * Change and remember the journal settings
+   * @param {Object} changes - Any of projectId, titleFormat and template
+   */
+  updateJournalSettings(changes) {
+    Object.assign(this.journal, changes);
+    localStorage.setItem('journalProject', this.journal.projectId);
+    localStorage.setItem('journalTitleFormat', this.journal.titleFormat);
+    localStorage.setItem('journalTemplate', this.journal.template);
+    this.elements.journalTitleInput.value = this.journal.titleFormat;
+    
+    if (changes.titleFormat !== undefined) {
+      this.toastService.show(
+        `New journal entries will be titled like "${this.formatJournalTitle(this.dateKey(new Date()), this.journal.titleFormat)}"`,
+        'info'
+      );
+    }
+  }
+
+  /**
+   * Sanitize HTML content to prevent XSS attacks
+   * @param {string} html - HTML content to sanitize
+   * @returns {string} - Sanitized HTML
+   */
+  sanitizeHtml(html) {
+    return this.sanitizer.sanitize(html);
+  }
+
+  /**
+   * Extract hashtags from content and convert them to tags
+   * @param {string} content - Note content to extract tags from
+   * @returns {Array} - Array of tags without the # symbol
+   */
+  extractTags(content) {
+    const template = document.createElement('template');
+    template.innerHTML = content || '';
+    
+    // Find all hashtags (word starting with # and containing letters, numbers, underscores, or hyphens),
+    // nested with slashes like #work/client-a
+    // Each text node is read on its own, so a tag ending a paragraph doesn't run into the next one
+    const hashtagRegex = /#[\w-]+(?:\/[\w-]+)*/g;
+    const matches = [];
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      matches.push(...(node.data.match(hashtagRegex) || []));
+    }
+    
+    // Return unique tags without the # symbol, converted to lowercase for consistency
+    return [...new Set(matches.map(tag => tag.substring(1).toLowerCase()))];
+  }
+
+  /**
+   * Update a note's field
+   * @param {string|number} id - Note ID
+   * @param {string} field - Field to update
+   * @param {*} value - New value
+   * @param {Object} [options]
+   * @param {boolean} [options.newVersion=false] - Start a new version even within the versioning interval
+   */
+  updateNote(id, field, value, options = {}) {
+    const noteIndex = this.notes.findIndex(n => n.id == id);
+    if (noteIndex === -1) {
+      console.error('Note not found for update:', id);
+      return;
+    }
+    
+    const note = { ...this.notes[noteIndex] };
+    const oldValue = note[field];
+    
+    // Sanitize HTML content if needed
+    if (field === 'content') {
+      value = this.sanitizeHtml(value);
+    }
+    
+    note[field] = value;
+    const now = new Date().toISOString();
+    note.date = now;
+    note.formattedDate = new Date(now).toLocaleString();
+    
+    // If content was updated, extract tags
+    if (field === 'content') {
+      try {
+        // Extract hashtags from content
+        const extractedTags = this.extractTags(value);
+        
         // Update note tags
         note.tags = extractedTags;
+      } catch (error) {
+        console.error('Error extracting tags:', error);
+        // Continue with update even if tag extraction fails
+      }
+    }
+    
+    // Handle version history for content changes
+    if (field === 'content' && value !== oldValue && this.versioningInterval > 0) {
+      // Versions live in their own store; the note only tracks how many there are
+      const timeSinceLastVersion = Date.now() - new Date(note.lastVersionDate || 0).getTime();
+      const replaceLatest = !options.newVersion && note.versionCount > 0 && timeSinceLastVersion < this.versioningInterval;
+      
+      if (!replaceLatest) {
+        note.versionCount = (note.versionCount || 0) + 1;
+      }
+      note.lastVersionDate = note.date;
+      
+      this.versionStore.save(note.id, { content: value, date: note.date }, replaceLatest)
+        .catch(error => {
+          console.error('Error updating version history:', error);
+          this.toastService.show('Error saving version history', 'error');
+        });
+    }
+    
+    // Update notes array
+    this.notes[noteIndex] = note;
+    
+    // Update global tags collection from the stored notes
+    if (field === 'content') {
+      this.updateTags();
+    }
+    
+    if (field === 'title' || field === 'content') {
+      this.indexNote(note);
+      this.updateTaskProgress(note);
+      this.scheduleSidebarRefresh();
+    }
+    
+    if (field === 'title' && value !== oldValue) {
+      this.renameNoteLinks(note.id, oldValue, value);
+    }
+    
+    // Save to database
+    this.db.put('notes', note)
+      .then(() => {
+        console.log(`Note ${id} updated: ${field}`);
+        this.updateWordCount();
+      })
+      .catch(error => {
+        console.error(`Error updating note ${id}:`, error);
+        this.toastService.show('Error updating note', 'error');
+      });
+  }
+
+  /**
+   * Set the title and content of several notes at once, e.g. to restore versions
+   * Fields left out of a state are not changed.
+   * @param {Array<{id: string|number, title?: string, content?: string}>} states - New note states
+   * @param {Object} [options] - Passed to updateNote()
+   * @returns {Array<Object>} - The previous values of the changed fields, for undoing
+   */
+  applyNoteStates(states, options = {}) {
+    const previous = [];
+    
+    states.forEach(state => {
+      const note = this.notes.find(n => n.id == state.id);
+      if (!note) return;
+      
+      const before = { id: note.id };
+      ['title', 'content'].forEach(field => {
+        if (state[field] !== undefined && state[field] !== note[field]) {
+          before[field] = note[field];
+          this.updateNote(note.id, field, state[field], options);
+        }
+      });
+      previous.push(before);
+    });
+    
+    return previous;
+  }
+
+  /**
+   * Move a note to another project
+   * @param {string|number} id - Note ID
+   * @param {string|number|null} projectId - Project ID, or null for no project
+   * @param {Object} [options] - { replay: true } when undoing or redoing, which reports it instead
+   * @returns {Promise<void>}
+   */
+  moveNote(id, projectId, options = {}) {
+    const index = this.notes.findIndex(n => n.id == id);
+    if (index === -1) return Promise.resolve();
+    
+    const from = this.notes[index].projectId || null;
+    const to = projectId || null;
+    if (from == to) return Promise.resolve();
+    
+    const note = { ...this.notes[index], projectId: to };
+    this.notes[index] = note;
+    
+    return this.db.put('notes', note)
+      .then(() => {
+        this.renderProjects();
+        this.renderNotes();
+        if (options.replay) return;
+        
+        const project = this.projects.find(p => p.id == to);
+        const entry = this.history.record('moveNote', `Move "${note.title || 'Untitled'}"`, { id, from, to });
+        this.notify(project ? `Moved to ${project.name}` : 'Removed from its project', entry);
+      })
+      .catch(error => {
+        console.error('Error moving note:', error);
+        this.toastService.show('Error moving note', 'error');
+      });
+  }
+
+  /**
+   * Move a note to the trash
+   * @param {string|number} id - Note ID 
+   * @param {Object} [options] - { replay: true } when undoing or redoing, which reports it instead
+   * @returns {Promise<void>}
+   */
+  deleteNote(id, options = {}) {
+    const note = this.notes.find(n => n.id == id);
+    if (!note) return;
+    
+    const trashed = { ...note, deletedAt: new Date().toISOString() };
+    return this.db.put('notes', trashed)
+      .then(() => {
+        this.notes = this.notes.filter(n => n.id != id);
+        this.trash.notes.push(trashed);
+        this.unindexNote(id);
+        this.renderProjects();
+        this.renderNotes();
+        this.updateTags();
+        this.renderTrash();
+        this.updateWordCount();
+        if (options.replay) return;
+        
+        const entry = this.history.record('deleteNote', `Delete "${note.title || 'Untitled'}"`, { id });
+        this.notify('Note moved to trash', entry);
+      })
+      .catch(error => {
+        console.error('Error deleting note:', error);
+        this.toastService.show('Error deleting note', 'error');
+      });
+  }
+
+  /**
+   * Add a new project
+   * @param {string} name - Project name
+   */
+  addProject(name) {
+    const project = {
+      id: this.generateId(),
+      name,
+      color: this.projectColors[Math.floor(Math.random() * this.projectColors.length)]
+    };
+    
+    this.projects.push(project);
+    this.db.put('projects', project)
+      .then(() => {
+        console.log(`Project ${project.id} created`);
+        this.renderProjects();
+        this.toastService.show(`Project "${name}" created`, 'success');
+      })
+      .catch(error => {
+        console.error('Error creating project:', error);
+        this.toastService.show('Error creating project', 'error');
+      });
+  }
+
+  /**
+   * Move a project and its notes to the trash
+   * @param {string|number} id - Project ID
+   * @param {Object} [options] - { replay: true } when undoing or redoing, which reports it instead
+   * @returns {Promise<void>}
+   */
+  deleteProject(id, options = {}) {
+    const project = this.projects.find(p => p.id == id);
+    if (!project) return;
+    
+    // The notes remember their project so restoring it brings them back together
+    const deletedAt = new Date().toISOString();
+    const trashedProject = { ...project, deletedAt };
+    const trashedNotes = this.notes
+      .filter(note => note.projectId == id)
+      .map(note => ({ ...note, deletedAt, deletedWithProject: id }));
+    
+    return Promise.all([
+      this.db.put('projects', trashedProject),
+      ...trashedNotes.map(note => this.db.put('notes', note))
+    ])
+      .then(() => {
+        this.projects = this.projects.filter(p => p.id != id);
+        this.notes = this.notes.filter(note => note.projectId != id);
+        this.trash.projects.push(trashedProject);
+        this.trash.notes.push(...trashedNotes);
+        trashedNotes.forEach(note => this.unindexNote(note.id));
+        
+        if (this.currentProject == id) {
+          this.currentProject = null;
+        }
+        
+        this.renderProjects();
+        this.renderNotes();
+        this.updateTags();
+        this.renderTrash();
+        this.updateWordCount();
+        if (options.replay) return;
+        
+        const entry = this.history.record('deleteProject', `Delete project "${project.name}"`, { id });
+        this.notify(
+          `Project "${project.name}" and ${trashedNotes.length} note${trashedNotes.length !== 1 ? 's' : ''} moved to trash`,
+          entry
+        );
+      })
+      .catch(error => {
+        console.error('Error deleting project:', error);
+        this.toastService.show('Error deleting project', 'error');
+      });
+  }
+
+  /**
+   * Take a note out of the trash
+   * @param {string|number} id - Note ID
+   * @param {Object} [options] - { replay: true } when undoing a delete, which reports it instead
+   */
+  async restoreNote(id, options = {}) {
+    const note = this.trash.notes.find(n => n.id == id);
+    if (!note) return;
+    
+    const { deletedAt, deletedWithProject, ...restored } = note;
+    
+    // A note trashed on its own may belong to a project that is gone by now
+    const projectGone = restored.projectId && !this.projects.some(p => p.id == restored.projectId);
+    if (projectGone) {
+      restored.projectId = null;
+    }
+    
+    try {
+      await this.db.put('notes', restored);
+      this.trash.notes = this.trash.notes.filter(n => n.id != id);
+      this.notes.push(restored);
+      this.indexNote(restored);
+      
+      this.renderProjects();
+      this.renderNotes();
+      this.updateTags();
+      this.renderTrash();
+      this.updateWordCount();
+      if (!options.replay) {
+        this.notify(projectGone ? 'Note restored without its project, which was deleted' : 'Note restored');
+      }
+    } catch (error) {
+      console.error('Error restoring note:', error);
+      this.toastService.show('Error restoring note', 'error');
+    }
+  }
+
+  /**
+   * Take a project out of the trash, with the notes that were trashed along with it
+   * @param {string|number} id - Project ID
+   * @param {Object} [options] - { replay: true } when undoing a delete, which reports it instead
+   */
+  async restoreProject(id, options = {}) {
+    const project = this.trash.projects.find(p => p.id == id);
+    if (!project) return;
+    
+    const { deletedAt, ...restored } = project;
+    const notes = this.trash.notes
+      .filter(note => note.deletedWithProject == id)
+      .map(({ deletedAt, deletedWithProject, ...note }) => note);
+    
+    try {
+      await Promise.all([
+        this.db.put('projects', restored),
+        ...notes.map(note => this.db.put('notes', note))
+      ]);
+      
+      this.trash.projects = this.trash.projects.filter(p => p.id != id);
+      this.trash.notes = this.trash.notes.filter(note => note.deletedWithProject != id);
+      this.projects.push(restored);
+      this.notes.push(...notes);
+      notes.forEach(note => this.indexNote(note));
+      
+      this.renderProjects();
+      this.renderNotes();
+      this.updateTags();
+      this.renderTrash();
+      this.updateWordCount();
+      if (!options.replay) {
+        this.notify(`Restored "${restored.name}" with ${notes.length} note${notes.length !== 1 ? 's' : ''}`);
+      }
+    } catch (error) {
+      console.error('Error restoring project:', error);
+      this.toastService.show('Error restoring project', 'error');
+    }
+  }
+
+  /**
+   * Permanently delete trashed notes and projects, with their history and checkpoints
+   * @param {Array<Object>} notes - Trashed notes
+   * @param {Array<Object>} [projects] - Trashed projects
+   * @returns {Promise<void>}
+   */
+  async purge(notes, projects = []) {
+    for (const note of notes) {
+      await this.db.delete('notes', note.id);
+      await this.versionStore.remove(note.id);
+    }
+    
+    if (projects.length > 0) {
+      // Checkpoints only make sense together with the project's notes
+      const projectIds = new Set(projects.map(project => String(project.id)));
+      const checkpoints = (await this.db.getAll('checkpoints'))
+        .filter(checkpoint => projectIds.has(String(checkpoint.projectId)));
+      for (const checkpoint of checkpoints) {
+        await this.db.delete('checkpoints', checkpoint.id);
+      }
+      
+      for (const project of projects) {
+        await this.db.delete('projects', project.id);
+      }
+    }
+    
+    const noteIds = new Set(notes.map(note => String(note.id)));
+    this.trash.notes = this.trash.notes.filter(note => !noteIds.has(String(note.id)));
+    this.trash.projects = this.trash.projects.filter(project => !projects.includes(project));
+  }
+
+  /**
+   * Permanently delete one item from the trash
+   * @param {string} type - 'note' or 'project'
+   * @param {Object} item - Trashed note or project
+   */
+  async purgeTrashItem(type, item) {
+    try {
+      if (type === 'project') {
+        await this.purge(this.trash.notes.filter(note => note.deletedWithProject == item.id), [item]);
+      } else {
+        await this.purge([item]);
+      }
+      this.toastService.show('Deleted permanently', 'success');
+    } catch (error) {
+      console.error('Error deleting from trash:', error);
+      this.toastService.show('Error deleting from trash', 'error');
+    }
+    
+    this.renderTrash();
+    this.renderHistoryUsage();
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  async emptyTrash() {
+    try {
+      await this.purge([...this.trash.notes], [...this.trash.projects]);
+      this.toastService.show('Trash emptied', 'success');
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.toastService.show('Error emptying trash', 'error');
+    }
+    
+    this.renderTrash();
+    this.renderHistoryUsage();
+  }
+
+  /**
+   * Purge expired trash now and then every hour
+   */
+  scheduleTrashPurge() {
+    this.purgeTrash();
+    setInterval(() => this.purgeTrash(), 60 * 60 * 1000);
+  }
+
+  /**
+   * Permanently delete items that have been in the trash longer than the configured days
+   * @returns {Promise<void>}
+   */
+  async purgeTrash() {
+    if (this.trashDays <= 0) return;
+    
+    const cutoff = Date.now() - this.trashDays * 24 * 60 * 60 * 1000;
+    const isExpired = item => new Date(item.deletedAt).getTime() < cutoff;
+    
+    // Notes trashed with a project share its deletion date, so they expire together
+    const notes = this.trash.notes.filter(isExpired);
+    const projects = this.trash.projects.filter(isExpired);
+    if (notes.length === 0 && projects.length === 0) return;
+    
+    try {
+      await this.purge(notes, projects);
+      console.log(`Purged ${notes.length} notes and ${projects.length} projects from the trash`);
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+    
+    this.renderTrash();
+  }
+
+  /**
+   * Change how long items stay in the trash
+   * @param {number|string} value - Days, or 0 to keep them until the trash is emptied
+   */
+  updateTrashDays(value) {
+    this.trashDays = parseInt(value, 10) || 0;
+    localStorage.setItem('trashDays', this.trashDays.toString());
+    
+    this.toastService.show(
+      this.trashDays > 0 ? `Trash is emptied after ${this.trashDays} days` : 'Trash is kept until emptied',
+      'info'
+    );
+    this.purgeTrash();
+  }
+
+  /**
+   * Render the trash in the sidebar, newest deletions first
+   */
+  renderTrash() {
+    if (this.isLocked) return;
+    
+    const trashList = this.elements.trashList;
+    trashList.innerHTML = '';
+    
+    // Notes trashed along with a project are listed under it rather than on their own
+    const trashedProjectIds = new Set(this.trash.projects.map(project => String(project.id)));
+    const items = [
+      ...this.trash.projects.map(project => {
+        const count = this.trash.notes.filter(note => note.deletedWithProject == project.id).length;
+        return {
+          type: 'project',
+          item: project,
+          name: project.name,
+          detail: `Project · ${count} note${count !== 1 ? 's' : ''}`
+        };
+      }),
+      ...this.trash.notes
+        .filter(note => !note.deletedWithProject || !trashedProjectIds.has(String(note.deletedWithProject)))
+        .map(note => ({ type: 'note', item: note, name: note.title || 'Untitled', detail: 'Note' }))
+    ].sort((a, b) => new Date(b.item.deletedAt) - new Date(a.item.deletedAt));
+    
+    this.elements.emptyTrashBtn.disabled = items.length === 0;
+    
+    if (items.length === 0) {
+      trashList.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+      return;
+    }
+    
+    items.forEach(({ type, item, name, detail }) => {
+      const trashItem = document.createElement('div');
+      trashItem.className = 'trash-item';
+      trashItem.innerHTML = `
+        <div class="trash-info">
+          <div class="trash-name">${this.escapeHtml(name)}</div>
+          <div class="trash-date">${detail} · deleted ${new Date(item.deletedAt).toLocaleDateString()}</div>
+        </div>
+        <div class="trash-actions">
+          <button class="text-button restore-trash">Restore</button>
+          <button class="text-button danger purge-trash" title="Delete permanently">Delete</button>
+        </div>
+      `;
+      
+      trashItem.querySelector('.restore-trash').addEventListener('click', () => {
+        if (type === 'project') {
+          this.restoreProject(item.id);
+        } else {
+          this.restoreNote(item.id);
+        }
+      });
+      
+      trashItem.querySelector('.purge-trash').addEventListener('click', () => {
+        if (confirm(`Permanently delete "${name}"${type === 'project' ? ' and its notes' : ''}? This cannot be undone.`)) {
+          this.purgeTrashItem(type, item);
+        }
+      });
+      
+      trashList.appendChild(trashItem);
+    });
+  }
+
+  /**
+   * Add a tag to the tag filter, or take it out if it is in there already
+   * @param {string} tag - Tag to filter by
+   * @param {boolean} [exclude=false] - Hide notes with the tag instead, e.g. on shift-click
+   */
+  filterByTag(tag, exclude = false) {
+    const filter = this.tagFilter;
+    const list = exclude ? filter.exclude : filter.include;
+    const other = exclude ? filter.include : filter.exclude;
+    
+    if (list.includes(tag)) {
+      // Clicking an active tag deselects it
+      list.splice(list.indexOf(tag), 1);
+    } else {
+      list.push(tag);
+      if (other.includes(tag)) {
+        other.splice(other.indexOf(tag), 1);
+      }
+    }
+    
+    this.renderTags();
+    this.renderNotes();
+  }
+
+  /**
+   * Take a tag out of the tag filter
+   * @param {string} tag - Included or excluded tag
+   */
+  removeTagFilter(tag) {
+    this.tagFilter.include = this.tagFilter.include.filter(t => t !== tag);
+    this.tagFilter.exclude = this.tagFilter.exclude.filter(t => t !== tag);
+    this.renderTags();
+    this.renderNotes();
+  }
+
+  /**
+   * Clear the tag filter, or replace it with a single tag
+   * @param {string} [tag] - Tag to filter by instead
+   */
+  resetTagFilter(tag) {
+    this.tagFilter.include = tag ? [tag] : [];
+    this.tagFilter.exclude = [];
+  }
+
+  /**
+   * Switch between notes with all of the included tags and notes with any of them
+   * @param {string} mode - 'all' or 'any'
+   */
+  setTagFilterMode(mode) {
+    this.tagFilter.mode = mode === 'any' ? 'any' : 'all';
+    this.renderNotes();
+  }
+
+  /**
+   * Whether a note passes the tag filter
+   * @param {Object} note - Note object
+   * @param {{include: Array<string>, exclude: Array<string>, mode: string}} [filter] - Defaults to the sidebar selection
+   * @returns {boolean}
+   */
+  matchesTagFilter(note, filter = this.tagFilter) {
+    if (filter.exclude.some(tag => this.matchesTag(note, tag))) return false;
+    if (filter.include.length === 0) return true;
+    
+    return filter.mode === 'any'
+      ? filter.include.some(tag => this.matchesTag(note, tag))
+      : filter.include.every(tag => this.matchesTag(note, tag));
+  }
+
+  /**
+   * Show the tags being filtered by above the notes, each removable on its own
+   */
+  renderTagFilterBar() {
+    const bar = this.elements.tagFilterBar;
+    const { include, exclude, mode } = this.tagFilter;
+    
+    bar.hidden = include.length === 0 && exclude.length === 0;
+    if (bar.hidden) {
+      bar.innerHTML = '';
+      return;
+    }
+    
+    const chip = (tag, excluded) => `
+      <span class="tag active ${excluded ? 'excluded' : ''}" data-tag="${this.escapeHtml(tag)}">
+        ${excluded ? 'not ' : ''}#${this.escapeHtml(tag)}
+        <button class="tag-remove" title="Remove from filter" aria-label="Remove #${this.escapeHtml(tag)} from filter">&times;</button>
+      </span>
+    `;
+    
+    bar.innerHTML = `
+      <span class="tag-filter-label">Tags:</span>
+      ${include.length > 1 ? `
+        <span class="tag-filter-mode" role="group" aria-label="Match">
+          <button data-mode="all" aria-pressed="${mode === 'all'}">All of</button>
+          <button data-mode="any" aria-pressed="${mode === 'any'}">Any of</button>
+        </span>
+      ` : ''}
+      ${include.map(tag => chip(tag, false)).join('')}
+      ${exclude.map(tag => chip(tag, true)).join('')}
+      <button class="text-button tag-filter-clear">Clear</button>
+    `;
+    
+    bar.querySelectorAll('.tag-filter-mode button').forEach(button => {
+      button.addEventListener('click', () => this.setTagFilterMode(button.dataset.mode));
+    });
+    
+    bar.querySelectorAll('.tag-remove').forEach(button => {
+      button.addEventListener('click', () => this.removeTagFilter(button.parentElement.dataset.tag));
+    });
+    
+    bar.querySelector('.tag-filter-clear').addEventListener('click', () => {
+      this.resetTagFilter();
+      this.renderTags();
+      this.renderNotes();
+    });
+  }
+
+  /**
+   * Replace or remove hashtags in note content
+   * @param {string} html - Note content
+   * @param {Map<string, string|null>} changes - Tag -> new tag, or null to remove it
+   * @returns {string} - Rewritten content
+   */
+  rewriteTags(html, changes) {
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+    
+    // Same pattern as extractTags(); a removed tag takes the space before it along
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.data.replace(/(\s?)#([\w-]+(?:\/[\w-]+)*)/g, (match, space, tag) => {
+        const replacement = this.resolveTagChange(tag.toLowerCase(), changes);
+        if (replacement === undefined) return match;
+        return replacement === null ? '' : `${space}#${replacement}`;
+      });
+      
+      if (text !== node.data) {
+        node.data = text;
+      }
+    }
+    
+    return template.innerHTML;
+  }
+
+  /**
+   * What a tag becomes under the tag manager's changes
+   * A change to a parent tag carries over to every tag nested under it; the most specific change wins.
+   * @param {string} tag - Lowercase tag path
+   * @param {Map<string, string|null>} changes - Tag -> new tag, or null to delete it
+   * @returns {string|null|undefined} - New tag, null if deleted, undefined if unchanged
+   */
+  resolveTagChange(tag, changes) {
+    const parts = tag.split('/');
+    for (let length = parts.length; length > 0; length--) {
+      const path = parts.slice(0, length).join('/');
+      if (changes.has(path)) {
+        const replacement = changes.get(path);
+        return replacement === null ? null : replacement + tag.slice(path.length);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Open the tag manager, listing every tag and parent tag with the number of notes using it
+   */
+  showTagManager() {
+    const list = this.elements.tagManagerList;
+    list.innerHTML = '';
+    
+    const tags = this.tagPaths();
+    if (tags.length === 0) {
+      list.innerHTML = '<div class="empty-state">No tags yet. Add #hashtags to your notes.</div>';
+    }
+    
+    tags.forEach(tag => {
+      const count = this.notes.filter(note => this.matchesTag(note, tag)).length;
+      
+      const item = document.createElement('div');
+      item.className = 'tag-manager-item';
+      item.dataset.tag = tag;
+      item.innerHTML = `
+        <label class="tag-manager-name">
+          #<input class="tag-manager-input" value="${this.escapeHtml(tag)}" spellcheck="false" aria-label="Rename #${this.escapeHtml(tag)}">
+        </label>
+        <span class="tag-manager-count">${count} note${count !== 1 ? 's' : ''}</span>
+        <button class="text-button danger tag-manager-delete" aria-pressed="false">Delete</button>
+        <div class="tag-manager-status"></div>
+      `;
+      
+      item.querySelector('.tag-manager-input').addEventListener('input', () => {
+        this.updateTagManagerPreview();
+      });
+      
+      item.querySelector('.tag-manager-delete').addEventListener('click', (e) => {
+        const deleted = !item.classList.contains('deleted');
+        item.classList.toggle('deleted', deleted);
+        item.querySelector('.tag-manager-input').disabled = deleted;
+        e.target.textContent = deleted ? 'Keep' : 'Delete';
+        e.target.setAttribute('aria-pressed', String(deleted));
+        this.updateTagManagerPreview();
+      });
+      
+      list.appendChild(item);
+    });
+    
+    this.updateTagManagerPreview();
+    this.elements.tagsModal.classList.add('active');
+  }
+
+  /**
+   * Read the changes entered in the tag manager
+   * Renaming a tag to one that exists already merges the two.
+   * @returns {{changes: Map<string, string|null>, valid: boolean}} - Tag -> new tag, or null to delete it
+   */
+  readTagChanges() {
+    const changes = new Map();
+    let valid = true;
+    const paths = this.tagPaths();
+    
+    this.elements.tagManagerList.querySelectorAll('.tag-manager-item').forEach(item => {
+      const tag = item.dataset.tag;
+      const status = item.querySelector('.tag-manager-status');
+      const name = item.querySelector('.tag-manager-input').value.trim().replace(/^#/, '').toLowerCase();
+      
+      status.classList.remove('form-error');
+      const nested = paths.some(path => path.startsWith(`${tag}/`));
+      if (item.classList.contains('deleted')) {
+        changes.set(tag, null);
+        status.textContent = nested ? 'Removed from every note, with the tags nested under it' : 'Removed from every note';
+      } else if (name === tag) {
+        status.textContent = '';
+      } else if (!/^[\w-]+(\/[\w-]+)*$/.test(name)) {
+        valid = false;
+        status.textContent = 'Use letters, numbers, _ and - only, with / between nested tags';
+        status.classList.add('form-error');
+      } else {
+        changes.set(tag, name);
+        status.textContent = (paths.includes(name) ? `Merged into #${name}` : `Renamed to #${name}`) +
+          (nested ? ', with the tags nested under it' : '');
+      }
+    });
+    
+    return { changes, valid };
+  }
+
+  /**
+   * Find the notes the tag manager's changes would rewrite
+   * @param {Map<string, string|null>} changes - From readTagChanges()
+   * @returns {Array<{note: Object, content: string, tags: Array<string>}>} - Notes with their new content and tags
+   */
+  previewTagChanges(changes) {
+    if (changes.size === 0) return [];
+    
+    return this.notes
+      .filter(note => (note.tags || []).some(tag => this.resolveTagChange(tag, changes) !== undefined))
+      .map(note => {
+        const content = this.rewriteTags(note.content, changes);
+        return { note, content, tags: this.extractTags(content) };
+      })
+      .filter(({ note, content }) => content !== note.content);
+  }
+
+  /**
+   * Show which notes the tag manager's changes affect
+   */
+  updateTagManagerPreview() {
+    const { changes, valid } = this.readTagChanges();
+    const affected = this.previewTagChanges(changes);
+    const preview = this.elements.tagManagerPreview;
+    
+    this.elements.tagManagerApplyBtn.disabled = !valid || affected.length === 0;
+    
+    if (changes.size === 0) {
+      preview.innerHTML = '<p>Rename a tag to change it in every note; renaming it to an existing tag merges the two.</p>';
+      return;
+    }
+    
+    preview.innerHTML = `
+      <p>${affected.length} note${affected.length !== 1 ? 's' : ''} will be changed. Each keeps its previous content as a version.</p>
+      ${affected.map(({ note, tags }) => `
+        <div class="tag-manager-note">
+          <span class="tag-manager-note-title">${this.escapeHtml(note.title || 'Untitled')}</span>
+          <span class="tag-manager-note-tags">${this.escapeHtml((note.tags || []).map(tag => `#${tag}`).join(' '))} → ${this.escapeHtml(tags.map(tag => `#${tag}`).join(' ') || 'no tags')}</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Rewrite the hashtags of every affected note in one undoable batch
+   * The notes, their new versions and the smart notebooks are written in a single transaction.
+   * @returns {Promise<void>}
+   */
+  async applyTagChanges() {
+    const { changes, valid } = this.readTagChanges();
+    const affected = this.previewTagChanges(changes);
+    if (!valid || affected.length === 0) return;
+    
+    const now = new Date().toISOString();
+    const versioned = this.versioningInterval > 0;
+    const updatedNotes = affected.map(({ note, content }) => {
+      const sanitized = this.sanitizeHtml(content);
+      return {
+        ...note,
+        content: sanitized,
+        tags: this.extractTags(sanitized),
+        date: now,
+        formattedDate: new Date(now).toLocaleString(),
+        ...(versioned ? { versionCount: (note.versionCount || 0) + 1, lastVersionDate: now } : {})
+      };
+    });
+    
+    // Keep filtering by renamed tags under their new names, here and in smart notebooks
+    const remap = filter => {
+      const rename = tags => [...new Set(tags.map(tag => {
+        const replacement = this.resolveTagChange(tag, changes);
+        return replacement === undefined ? tag : replacement;
+      }).filter(Boolean))];
+      return { include: rename(filter.include), exclude: rename(filter.exclude), mode: filter.mode };
+    };
+    const notebooks = this.notebooks.map(notebook => {
+      const tags = [...notebook.view.tags.include, ...notebook.view.tags.exclude];
+      if (tags.every(tag => this.resolveTagChange(tag, changes) === undefined)) return notebook;
+      return { ...notebook, view: { ...notebook.view, tags: remap(notebook.view.tags) } };
+    });
+    
+    const operations = [
+      ...updatedNotes.map(note => ({ type: 'put', storeName: 'notes', item: note })),
+      ...notebooks
+        .filter((notebook, index) => notebook !== this.notebooks[index])
+        .map(notebook => ({ type: 'put', storeName: 'notebooks', item: notebook }))
+    ];
+    const additions = versioned
+      ? updatedNotes.map(note => ({ noteId: note.id, version: { content: note.content, date: now } }))
+      : [];
+    
+    this.elements.tagManagerApplyBtn.disabled = true;
+    try {
+      await this.versionStore.appendAll(additions, operations);
+    } catch (error) {
+      console.error('Error editing tags:', error);
+      this.toastService.show('Error editing tags; no notes were changed', 'error');
+      this.elements.tagManagerApplyBtn.disabled = false;
+      return;
+    }
+    
+    // Only touch what's in memory once everything is stored
+    updatedNotes.forEach(note => {
+      const index = this.notes.findIndex(n => n.id == note.id);
+      if (index !== -1) {
+        this.notes[index] = note;
+      }
+      this.indexNote(note);
+      this.updateTaskProgress(note);
+    });
+    this.tagFilter = remap(this.tagFilter);
+    this.notebooks = notebooks;
+    
+    this.closeModals();
+    this.updateTags();
+    this.scheduleSidebarRefresh();
+    this.updateWordCount();
+    this.renderNotes();
+    
+    const before = affected.map(({ note }) => ({ id: note.id, content: note.content }));
+    const after = updatedNotes.map(note => ({ id: note.id, content: note.content }));
+    this.notify(
+      `Updated tags in ${after.length} note${after.length !== 1 ? 's' : ''}`,
+      this.history.record('restoreNotes', 'Edit tags', { before, after })
+    );
+  }
+
+  /**
+   * Update tags collection from notes
+   */
+  updateTags() {
+    this.tags.clear();
+    this.notes.forEach(note => {
+      (note.tags || []).forEach(tag => {
+        this.tags.add(tag);
+      });
+    });
+    this.renderTags();
+  }
+
+  /**
+   * Render the projects list
+   */
+  renderProjects() {
+    if (this.isLocked) return;
+    
+    const projectsList = this.elements.projectsList;
+    projectsList.innerHTML = '';
+    
+    this.projects.forEach(project => {
+      const projectNotes = this.notes.filter(note => note.projectId == project.id);
+      
+      const projectItem = document.createElement('div');
+      projectItem.className = 'project-item';
+      projectItem.dataset.id = project.id;
+      
+      const projectHeader = document.createElement('div');
+      projectHeader.className = `project-header ${this.currentProject == project.id ? 'active' : ''}`;
+      
+      const projectTitle = document.createElement('div');
+      projectTitle.className = 'project-title';
+      
+      const projectColor = document.createElement('span');
+      projectColor.className = 'project-color';
+      projectColor.style.backgroundColor = this.projectColor(project);
+      
+      const projectName = document.createTextNode(project.name);
+      
+      const noteCount = document.createElement('span');
+      noteCount.className = 'project-note-count';
+      noteCount.textContent = `${projectNotes.length} note${projectNotes.length !== 1 ? 's' : ''}`;
+      
+      // Assemble project item
+      projectTitle.appendChild(projectColor);
+      projectTitle.appendChild(projectName);
+      
+      projectHeader.appendChild(projectTitle);
+      projectHeader.appendChild(noteCount);
+      
+      projectItem.appendChild(projectHeader);
+      
+      // Add click event
+      projectHeader.addEventListener('click', () => {
+        this.currentProject = this.currentProject == project.id ? null : project.id;
+        this.renderProjects(); // Update active state
+        this.renderNotes();
+        
+        this.toastService.show(
+          this.currentProject ? `Viewing ${project.name}` : 'Viewing all projects', 
+          'info'
+        );
+      });
+      
+      projectsList.appendChild(projectItem);
+    });
+    
+    this.renderJournalProjectSelect();
+  }
+
+  /**
+   * Refresh the task view and smart notebook counts once typing pauses and the browser is idle
+   * Both look at every note, so they are not redone on every save.
+   */
+  scheduleSidebarRefresh() {
+    if (this.sidebarRefresh) return;
+    
+    const idle = window.requestIdleCallback || (callback => setTimeout(callback, 0));
+    this.sidebarRefresh = setTimeout(() => idle(() => {
+      this.sidebarRefresh = null;
+      this.renderTasks();
+      this.renderNotebooks();
+    }), 2000);
+  }
+
+  /**
+   * The filters on screen, as saved in a smart notebook
+   * @returns {{projectId: string|null, tags: Object, search: string, sort: string}}
+   */
+  currentView() {
+    return {
+      projectId: this.currentProject,
+      tags: {
+        include: [...this.tagFilter.include],
+        exclude: [...this.tagFilter.exclude],
+        mode: this.tagFilter.mode
+      },
+      search: this.searchTerm.trim(),
+      sort: this.sortOrder
+    };
+  }
+
+  /**
+   * A saved view with every field present and of the right type, so a damaged record can't break rendering
+   * @param {Object} [view] - View as stored
+   * @returns {Object} - View like currentView() returns
+   */
+  normalizeView(view) {
+    const source = view && typeof view === 'object' ? view : {};
+    const tags = source.tags && typeof source.tags === 'object' ? source.tags : {};
+    const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+    
+    return {
+      projectId: source.projectId == null ? null : source.projectId,
+      tags: {
+        include: strings(tags.include),
+        exclude: strings(tags.exclude),
+        mode: tags.mode === 'any' ? 'any' : 'all'
+      },
+      search: typeof source.search === 'string' ? source.search : '',
+      sort: ['newest', 'oldest', 'title'].includes(source.sort) ? source.sort : 'newest'
+    };
+  }
+
+  /**
+   * Whether two saved views show the same notes in the same order
+   * @param {Object} a - View from currentView()
+   * @param {Object} b - View from currentView()
+   * @returns {boolean}
+   */
+  sameView(a, b) {
+    const sameTags = (x, y) => x.length === y.length && x.every(tag => y.includes(tag));
+    return (a.projectId || null) == (b.projectId || null) &&
+      sameTags(a.tags.include, b.tags.include) &&
+      sameTags(a.tags.exclude, b.tags.exclude) &&
+      (a.tags.include.length < 2 || a.tags.mode === b.tags.mode) &&
+      a.search === b.search &&
+      a.sort === b.sort;
+  }
+
+  /**
+   * Save the filters on screen as a smart notebook
+   * @param {string} name - Notebook name
+   */
+  addNotebook(name) {
+    const notebook = {
+      id: this.generateId(),
+      name,
+      order: this.notebooks.reduce((max, n) => Math.max(max, n.order), 0) + 1,
+      view: this.currentView()
+    };
+    
+    this.db.put('notebooks', notebook)
+      .then(() => {
+        this.notebooks.push(notebook);
+        this.renderNotebooks();
+        this.toastService.show(`Smart notebook "${name}" saved`, 'success');
+      })
+      .catch(error => {
+        console.error('Error saving smart notebook:', error);
+        this.toastService.show('Error saving smart notebook', 'error');
+      });
+  }
+
+  /**
+   * Rename a smart notebook
+   * @param {Object} notebook - Notebook to rename
+   * @param {string} name - New name
+   */
+  renameNotebook(notebook, name) {
+    const updated = { ...notebook, name };
+    
+    this.db.put('notebooks', updated)
+      .then(() => {
+        this.notebooks = this.notebooks.map(n => (n.id == notebook.id ? updated : n));
+        this.renderNotebooks();
+      })
+      .catch(error => {
+        console.error('Error renaming smart notebook:', error);
+        this.toastService.show('Error renaming smart notebook', 'error');
+      });
+  }
+
+  /**
+   * Move a smart notebook up or down the sidebar list
+   * @param {Object} notebook - Notebook to move
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  moveNotebook(notebook, offset) {
+    const index = this.notebooks.findIndex(n => n.id == notebook.id);
+    const other = this.notebooks[index + offset];
+    if (index === -1 || !other) return;
+    
+    // Swap positions, then store both with their new order
+    const moved = { ...notebook, order: other.order };
+    const swapped = { ...other, order: notebook.order };
+    
+    Promise.all([this.db.put('notebooks', moved), this.db.put('notebooks', swapped)])
+      .then(() => {
+        this.notebooks[index] = swapped;
+        this.notebooks[index + offset] = moved;
+        this.renderNotebooks();
+      })
+      .catch(error => {
+        console.error('Error reordering smart notebooks:', error);
+        this.toastService.show('Error reordering smart notebooks', 'error');
+      });
+  }
+
+  /**
+   * Delete a smart notebook; the notes it shows are not touched
+   * @param {Object} notebook - Notebook to delete
+   */
+  deleteNotebook(notebook) {
+    this.db.delete('notebooks', notebook.id)
+      .then(() => {
+        this.notebooks = this.notebooks.filter(n => n.id != notebook.id);
+        this.renderNotebooks();
+        this.toastService.show(`Smart notebook "${notebook.name}" deleted`, 'success');
+      })
+      .catch(error => {
+        console.error('Error deleting smart notebook:', error);
+        this.toastService.show('Error deleting smart notebook', 'error');
+      });
+  }
+
+  /**
+   * Restore the project, tags, search and sort order saved in a smart notebook
+   * @param {Object} notebook - Notebook to open
+   */
+  selectNotebook(notebook) {
+    const { view } = notebook;
+    
+    // A project deleted since the notebook was saved no longer narrows it down
+    this.currentProject = this.projects.some(p => p.id == view.projectId) ? view.projectId : null;
+    this.tagFilter = {
+      include: [...view.tags.include],
+      exclude: [...view.tags.exclude],
+      mode: view.tags.mode
+    };
+    this.elements.searchInput.value = view.search;
+    this.searchTerm = view.search;
+    this.updateSearchQuery();
+    this.sortOrder = view.sort;
+    this.elements.sortSelect.value = view.sort;
+    localStorage.setItem('sortOrder', view.sort);
+    this.dayFilter = null;
+    
+    this.renderProjects();
+    this.renderTags();
+    this.renderNotes();
+    
+    this.toastService.show(`Viewing ${notebook.name}`, 'info');
+  }
+
+  /**
+   * Render the smart notebooks list with a live note count for each
+   */
+  renderNotebooks() {
+    if (this.isLocked) return;
+    
+    const notebooksList = this.elements.notebooksList;
+    notebooksList.innerHTML = '';
+    
+    if (this.notebooks.length === 0) {
+      notebooksList.innerHTML = '<div class="notebooks-empty">Filter the notes, then save the view here</div>';
+      return;
+    }
+    
+    const current = this.currentView();
+    
+    this.notebooks.forEach((notebook, index) => {
+      const { notes, searchError } = this.getFilteredNotes(notebook.view);
+      const count = notes.length;
+      
+      const notebookItem = document.createElement('div');
+      notebookItem.className = `notebook-item ${this.sameView(notebook.view, current) ? 'active' : ''}`;
+      notebookItem.dataset.id = notebook.id;
+      notebookItem.innerHTML = `
+        <span class="notebook-name">${this.escapeHtml(notebook.name)}</span>
+        <span class="notebook-actions">
+          <button class="notebook-action move-up" title="Move up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+          <button class="notebook-action move-down" title="Move down" aria-label="Move down" ${index === this.notebooks.length - 1 ? 'disabled' : ''}>&darr;</button>
+          <button class="notebook-action rename" title="Rename" aria-label="Rename">&#9998;</button>
+          <button class="notebook-action delete" title="Delete" aria-label="Delete">&times;</button>
+        </span>
+        ${searchError
+          ? `<span class="project-note-count notebook-error" title="${this.escapeHtml(searchError)}">Invalid search</span>`
+          : `<span class="project-note-count">${count} note${count !== 1 ? 's' : ''}</span>`}
+      `;
+      
+      notebookItem.addEventListener('click', () => {
+        this.selectNotebook(notebook);
+      });
+      
+      const action = (selector, handler) => {
+        notebookItem.querySelector(selector).addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+      };
+      
+      action('.move-up', () => this.moveNotebook(notebook, -1));
+      action('.move-down', () => this.moveNotebook(notebook, 1));
+      action('.rename', () => {
+        this.toastService.showInputPrompt('Rename smart notebook:', (name) => {
+          if (name.trim()) {
+            this.renameNotebook(notebook, name.trim());
+          }
+        }, notebook.name);
+      });
+      action('.delete', () => {
+        if (confirm(`Delete the smart notebook "${notebook.name}"? Its notes are not changed.`)) {
+          this.deleteNotebook(notebook);
+        }
+      });
+      
+      notebooksList.appendChild(notebookItem);
+    });
+  }
+
+  /**
+   * Parse the search box and show an inline error if the query is invalid
+   */
+  updateSearchQuery() {
+    const errorElement = this.elements.searchError;
+    
+    try {
+      this.searchQuery = this.parseSearch(this.searchTerm);
+      errorElement.textContent = '';
+      errorElement.hidden = true;
+      this.elements.searchInput.classList.remove('invalid');
+    } catch (error) {
+      // Keep showing the unsearched list rather than an empty one
+      this.searchQuery = null;
+      errorElement.textContent = error.message;
+      errorElement.hidden = false;
+      this.elements.searchInput.classList.add('invalid');
+    }
+  }
+
+  /**
+   * Parse a search from the search box or a smart notebook
+   * @param {string} search - Raw query
+   * @returns {Object|null} - Parsed query, or null for an empty one
+   * @throws {Error} - With a user-facing message when the query is invalid
+   */
+  parseSearch(search) {
+    const query = this.queryParser.parse(search);
+    this.checkSearchProjects(query);
+    return query;
+  }
+
+  /**
+   * Make sure every project: filter in a query names an existing project
+   * @param {Object|null} query - Parsed query
+   * @throws {Error} - Naming the first project that doesn't exist
+   */
+  checkSearchProjects(query) {
+    if (!query) return;
+    
+    query.clauses.flat().forEach(term => {
+      if (term.field === 'project' && !this.projects.some(project => project.name.toLowerCase() === term.value)) {
+        throw new Error(`No project named "${term.value}"`);
+      }
+    });
+  }
+
+  /**
+   * Whether a note belongs to a project
+   * @param {Object} note - Note object
+   * @param {string|null} projectId - Project ID, or null for any project
+   * @returns {boolean}
+   */
+  matchesProject(note, projectId) {
+    return !projectId || note.projectId == projectId;
+  }
+
+  /**
+   * Whether a note carries a tag, or a tag nested under it
+   * @param {Object} note - Note object
+   * @param {string|null} tag - Tag, or null for any tag
+   * @returns {boolean}
+   */
+  matchesTag(note, tag) {
+    return !tag || (Array.isArray(note.tags) && note.tags.some(noteTag => noteTag === tag || noteTag.startsWith(`${tag}/`)));
+  }
+
+  /**
+   * Whether a note was created or edited on a day
+   * @param {Object} note - Note object
+   * @param {string|null} day - Day as YYYY-MM-DD, or null for any day
+   * @returns {boolean}
+   */
+  matchesDay(note, day) {
+    if (!day) return true;
+    
+    // Edits since the calendar was opened only show in the note's own date
+    const activity = this.activity && this.activity.get(day);
+    const id = String(note.id);
+    return this.dateKey(new Date(note.date)) === day ||
+      Boolean(activity && (activity.created.has(id) || activity.edited.has(id)));
+  }
+
+  /**
+   * Turn a parsed query term into a test function
+   * @param {Object} term - Term from SearchQueryParser
+   * @returns {Function} - note => false, or {titleHits, bodyHits} when the term matches
+   */
+  compileSearchTerm(term) {
+    const hit = { titleHits: 0, bodyHits: 0 };
+    const test = predicate => note => (predicate(note) ? hit : false);
+    
+    switch (term.field) {
+      case 'text': {
+        // Searching the index rather than raw HTML, so markup and entities never match
+        const results = this.searchIndex.search(term.value);
+        return note => (results ? results.get(String(note.id)) || false : hit);
+      }
+      case 'phrase': {
+        const phrase = term.value.toLowerCase().replace(/\s+/g, ' ').trim();
+        const results = this.searchIndex.search(term.value);
+        return note => {
+          const doc = this.searchIndex.get(note.id);
+          if (!doc) return false;
+          const text = `${note.title} ${doc.text}`.toLowerCase().replace(/\s+/g, ' ');
+          if (!text.includes(phrase)) return false;
+          return (results && results.get(String(note.id))) || hit;
+        };
+      }
+      case 'tag':
+        return test(note => this.matchesTag(note, term.value));
+      case 'project': {
+        const projectIds = this.projects
+          .filter(project => project.name.toLowerCase() === term.value)
+          .map(project => project.id);
+        return test(note => projectIds.some(id => this.matchesProject(note, id)));
+      }
+      case 'author':
+        return test(note => (note.author || '').toLowerCase().includes(term.value));
+      case 'label':
+        return test(note => (note.versionLabels || []).some(label => label.toLowerCase().includes(term.value)));
+      case 'before':
+        return test(note => new Date(note.date) < term.value);
+      case 'after': {
+        const nextDay = new Date(term.value);
+        nextDay.setDate(nextDay.getDate() + 1);
+        return test(note => new Date(note.date) >= nextDay);
+      }
+      case 'has':
+        return test(note => {
+          if (term.value === 'versions') return note.versionCount > 1;
+          if (term.value === 'labels') return Array.isArray(note.versionLabels) && note.versionLabels.length > 0;
+          if (term.value === 'tags') return Array.isArray(note.tags) && note.tags.length > 0;
+          return Boolean(note.projectId);
+        });
+      default:
+        return () => false;
+    }
+  }
+
+  /**
+   * Apply the project, tag and search filters of the current view or of a smart notebook
+   * A saved view is read the way selectNotebook() applies it, so counts match what opening it shows.
+   * @param {Object} [view] - Saved view from currentView(); defaults to the filters on screen
+   * @returns {{notes: Array<Object>, ranking: Map|null, searchError: string|null}} - Sorted notes, relevance per
+   *   note ID when searching, and why a saved view's search couldn't be used
+   */
+  getFilteredNotes(view = null) {
+    const tagFilter = view ? view.tags : this.tagFilter;
+    const sortOrder = view ? view.sort : this.sortOrder;
+    let projectId = this.currentProject;
+    let query = this.searchQuery;
+    let searchError = null;
+    if (view) {
+      projectId = this.projects.some(p => p.id == view.projectId) ? view.projectId : null;
+      try {
+        query = this.parseSearch(view.search);
+      } catch (error) {
+        // Like the search box, an invalid search leaves the notes unsearched
+        query = null;
+        searchError = error.message;
+      }
+    }
+    
+    // The calendar day only narrows what is on screen; smart notebooks don't save it
+    let filteredNotes = this.notes.filter(note =>
+      this.matchesProject(note, projectId) && this.matchesTagFilter(note, tagFilter) &&
+      (view || this.matchesDay(note, this.dayFilter))
+    );
+    
+    let ranking = null;
+    if (query) {
+      ranking = new Map();
+      
+      // Every clause must match; a clause matches if any of its OR'd terms does
+      const clauses = query.clauses.map(clause => clause.map(term => ({
+        negated: term.negated,
+        test: this.compileSearchTerm(term)
+      })));
+      
+      filteredNotes = filteredNotes.filter(note => {
+        const score = { titleHits: 0, bodyHits: 0 };
+        
+        const matches = clauses.every(clause => clause.some(term => {
+          const result = term.test(note);
+          if (term.negated) return !result;
+          if (result) {
+            score.titleHits += result.titleHits;
+            score.bodyHits += result.bodyHits;
+          }
+          return Boolean(result);
+        }));
+        
+        if (matches) {
+          ranking.set(String(note.id), score);
+        }
+        return matches;
+      });
+    }
+    
+    // Sort by relevance when searching (title hits first), then in the chosen order
+    filteredNotes.sort((a, b) => {
+      if (ranking) {
+        const resultA = ranking.get(String(a.id));
+        const resultB = ranking.get(String(b.id));
+        if (resultA.titleHits !== resultB.titleHits) {
+          return resultB.titleHits - resultA.titleHits;
+        }
+        if (resultA.bodyHits !== resultB.bodyHits) {
+          return resultB.bodyHits - resultA.bodyHits;
+        }
+      }
+      if (sortOrder === 'title') {
+        return (a.title || '').localeCompare(b.title || '') || new Date(b.date) - new Date(a.date);
+      }
+      return sortOrder === 'oldest' ? new Date(a.date) - new Date(b.date) : new Date(b.date) - new Date(a.date);
+    });
+    
+    return { notes: filteredNotes, ranking, searchError };
+  }
+
+  /**
+   * Render notes based on current filters
+   */
+  renderNotes() {
+    if (this.isLocked) return;
+    
+    // The task view lists the same notes, and smart notebook counts and highlights follow them
+    this.renderTasks();
+    this.renderTagFilterBar();
+    this.renderDayFilterBar();
+    this.renderNotebooks();
+    this.renderJournalNav();
+    
+    const notesContainer = this.elements.notesContainer;
+    notesContainer.innerHTML = '';
+    
+    const { notes: filteredNotes } = this.getFilteredNotes();
+    const highlight = this.searchQuery ? this.searchQuery.highlight : '';
+    
+    // Show message if no notes
+    if (filteredNotes.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.innerHTML = '<h3>No notes found</h3>';
+      notesContainer.appendChild(emptyState);
+      return;
+    }
+    
+    // Render each note
+    filteredNotes.forEach(note => {
+      const noteElement = document.createElement('div');
+      noteElement.className = 'note';
+      noteElement.dataset.id = note.id;
+      
+      // Note project indicator
+      let projectInfo = '';
+      if (note.projectId) {
+        const project = this.projects.find(p => p.id == note.projectId);
+        if (project) {
+          projectInfo = `
+            <div class="note-project">
+              <span class="project-color" style="background-color: ${this.projectColor(project)}"></span>
+              ${this.escapeHtml(project.name)}
+            </div>
+          `;
+        }
+      }
+      
+      // Project picker for moving the note; its options are added once the card is built
+      const moveSelect = this.projects.length > 0 ? '<select class="note-move" title="Move to project"></select>' : '';
+      
+      // Format date for display
+      const displayDate = note.formattedDate || new Date(note.date).toLocaleString();
+      
+      // Matching passage when searching
+      const snippet = highlight ? this.searchIndex.snippet(note.id, highlight) : '';
+      
+      // Note content
+      noteElement.innerHTML = `
+        ${projectInfo}
+        <div class="note-header">
+          <div class="note-title-container">
+            <input class="note-title" value="${this.escapeHtml(note.title)}">
+          </div>
+          <div class="note-controls">
+            ${moveSelect}
+            <button class="icon-button export" title="Export as Markdown">
+              <svg class="icon" viewBox="0 0 16 16">
+                <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
+                <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
+              </svg>
+            </button>
+            <button class="icon-button delete">
+              <svg class="icon" viewBox="0 0 16 16">
+                <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+                <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+        ${snippet ? `<div class="note-snippet">${snippet}</div>` : ''}
+        ${this.renderFormattingMenu()}
+        <div class="note-content" contenteditable="true">${this.sanitizeHtml(note.content)}</div>
+        <div class="note-footer">
+          <span>${this.escapeHtml(note.author || 'Anonymous')} • ${displayDate}</span>
+          ${this.renderTaskProgress(note)}
+          <span class="note-versions">${note.versionCount || 0} version${note.versionCount !== 1 ? 's' : ''}</span>
+          <div class="note-backlinks" hidden></div>
+        </div>
+      `;
+      noteElement.querySelector('.note-backlinks').replaceWith(this.renderBacklinks(note));
+      
+      // Add event listeners
+      const titleInput = noteElement.querySelector('.note-title');
+      titleInput.addEventListener('change', (e) => {
+        this.updateNote(note.id, 'title', e.target.value);
+      });
+      
+      // Render note content element
+      const contentElement = noteElement.querySelector('.note-content');
+      this.markDanglingLinks(contentElement);
+      
+      // Use debounce for content updates to avoid excessive saving
+      let contentUpdateTimeout = null;
+      contentElement.addEventListener('input', (e) => {
+        this.handleInputRules(e, contentElement);
+        this.updateLinkSuggestions(note.id, contentElement);
+        clearTimeout(contentUpdateTimeout);
+        contentUpdateTimeout = setTimeout(() => {
+          this.updateNote(note.id, 'content', contentElement.innerHTML);
+        }, 750); // Debounce for 750ms for better performance
+      });
+      
+      // Only let sanitized markup in from the clipboard
+      contentElement.addEventListener('paste', (e) => {
+        this.handlePaste(e);
+      });
+      
+      // Formatting toolbar and shortcuts
+      const formattingMenu = noteElement.querySelector('.formatting-menu');
+      formattingMenu.addEventListener('mousedown', (e) => {
+        // Keep the selection in the editor
+        e.preventDefault();
+      });
+      formattingMenu.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+          this.applyFormatting(note.id, contentElement, button.dataset.format);
+        });
+      });
+      
+      contentElement.addEventListener('keydown', (e) => {
+        if (this.handleLinkSuggestionKey(e, contentElement)) return;
+        if (this.undoInputRule(e, note.id, contentElement)) return;
+        this.handleChecklistShortcut(e, note.id, contentElement);
+        this.handleFormattingShortcut(e, note.id, contentElement);
+      });
+      
+      // Checklist boxes toggle without moving the caret into the editor
+      contentElement.addEventListener('mousedown', (e) => {
+        if (this.checklistBoxAt(e, contentElement)) {
+          e.preventDefault();
+        }
+      });
+      contentElement.addEventListener('click', (e) => {
+        this.toggleChecklistItem(e, note.id, contentElement);
+        this.followNoteLink(e, contentElement);
+      });
+      
+      // Add contenteditable blur event to ensure saving completes
+      contentElement.addEventListener('blur', () => {
+        this.hideLinkSuggestions();
+        clearTimeout(contentUpdateTimeout);
+        this.updateNote(note.id, 'content', contentElement.innerHTML);
+      });
+      
+      const moveElement = noteElement.querySelector('.note-move');
+      if (moveElement) {
+        moveElement.replaceChildren(
+          new Option('No project', ''),
+          ...this.projects.map(project => new Option(project.name, String(project.id), false, project.id == note.projectId))
+        );
+        moveElement.addEventListener('change', (e) => {
+          const project = this.projects.find(p => String(p.id) === e.target.value);
+          this.moveNote(note.id, project ? project.id : null);
+        });
+      }
+      
+      const exportButton = noteElement.querySelector('.export');
+      exportButton.addEventListener('click', () => {
+        // Look the note up again so edits saved since rendering are included
+        this.exportNoteMarkdown(this.notes.find(n => n.id == note.id) || note);
+      });
+      
+      const deleteButton = noteElement.querySelector('.delete');
+      deleteButton.addEventListener('click', () => {
+        if (confirm('Move this note to the trash?')) {
+          this.deleteNote(note.id);
+        }
+      });
+      
+      const versionsLink = noteElement.querySelector('.note-versions');
+      versionsLink.addEventListener('click', () => {
+        this.showVersionHistory(note);
+      });
+      
+      // Backlinks are re-rendered in place, so listen on the footer
+      noteElement.querySelector('.note-footer').addEventListener('click', (e) => {
+        const backlink = e.target.closest('.backlink');
+        if (backlink) {
+          this.openNote(backlink.dataset.noteId);
+        }
+      });
+      
+      notesContainer.appendChild(noteElement);
+    });
+  }
+
+  /**
+   * Build the "Linked from" list shown in a note's footer
+   * @param {Object} note - Note object
+   * @returns {HTMLElement} - Backlinks element, hidden if nothing links here
+   */
+  renderBacklinks(note) {
+    const sources = this.linkIndex.backlinks(note.id)
+      .map(id => this.notes.find(n => n.id == id))
+      .filter(source => source && source.id != note.id)
+      .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    
+    const backlinks = document.createElement('div');
+    backlinks.className = 'note-backlinks';
+    backlinks.hidden = sources.length === 0;
+    if (sources.length === 0) return backlinks;
+    
+    backlinks.append('Linked from');
+    sources.forEach(source => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'backlink';
+      button.dataset.noteId = String(source.id);
+      button.textContent = source.title || 'Untitled';
+      backlinks.append(' ', button);
+    });
+    return backlinks;
+  }
+
+  /**
+   * Refresh the "Linked from" list of a rendered note
+   * @param {string|number} noteId - Note ID
+   */
+  updateBacklinks(noteId) {
+    const note = this.notes.find(n => n.id == noteId);
+    const noteElement = this.findNoteElement(noteId);
+    if (note && noteElement) {
+      noteElement.querySelector('.note-backlinks').replaceWith(this.renderBacklinks(note));
+    }
+  }
+
+  /**
+   * Highlight links in an editor whose note no longer exists
+   * @param {Element} contentElement - The note's editor
+   */
+  markDanglingLinks(contentElement) {
+    contentElement.querySelectorAll('a.note-link').forEach(link => {
+      link.classList.toggle('dangling', !this.notes.some(note => note.id == link.getAttribute('data-note-id')));
+    });
+  }
+
+  /**
+   * Open the note behind a link clicked in an editor
+   * @param {MouseEvent} e - Click event
+   * @param {Element} contentElement - The note's editor
+   */
+  followNoteLink(e, contentElement) {
+    const link = e.target.closest('a.note-link');
+    if (!link || !contentElement.contains(link)) return;
+    
+    e.preventDefault();
+    
+    // Saves the editor before the notes may be re-rendered
+    contentElement.blur();
+    
+    const targetId = link.getAttribute('data-note-id');
+    if (this.notes.some(note => note.id == targetId)) {
+      this.openNote(targetId);
+      return;
+    }
+    
+    const trashed = this.trash.notes.find(note => note.id == targetId);
+    if (trashed) {
+      this.toastService.show(`"${trashed.title || 'Untitled'}" is in the trash`, 'info', 6000, {
+        label: 'Restore',
+        onClick: () => this.restoreNote(trashed.id).then(() => this.openNote(trashed.id))
+      });
+    } else {
+      this.toastService.show('The linked note no longer exists', 'error');
+    }
+  }
+
+  /**
+   * Point links at a renamed note to its new title
+   * Links whose text was changed by hand keep it.
+   * @param {string|number} noteId - Renamed note ID
+   * @param {string} oldTitle - Previous title
+   * @param {string} newTitle - New title
+   */
+  renameNoteLinks(noteId, oldTitle, newTitle) {
+    this.linkIndex.backlinks(noteId).forEach(sourceId => {
+      const source = this.notes.find(n => n.id == sourceId);
+      if (!source) return;
+      
+      // Change the open editor if there is one, so its content doesn't overwrite the change
+      const noteElement = this.findNoteElement(source.id);
+      const template = document.createElement('template');
+      const root = noteElement ? noteElement.querySelector('.note-content') : template.content;
+      if (!noteElement) {
+        template.innerHTML = source.content;
+      }
+      
+      let renamed = 0;
+      root.querySelectorAll('a.note-link').forEach(link => {
+        if (link.getAttribute('data-note-id') == noteId && link.textContent === (oldTitle || 'Untitled')) {
+          link.textContent = newTitle || 'Untitled';
+          renamed++;
+        }
+      });
+      
+      if (renamed > 0) {
+        this.updateNote(source.id, 'content', noteElement ? root.innerHTML : template.innerHTML);
+      }
+    });
+  }
+
+  /**
+   * Suggest notes while a [[note link]] is typed, or link one typed out in full
+   * @param {string|number} noteId - ID of the note being edited
+   * @param {Element} contentElement - The note's editor
+   */
+  updateLinkSuggestions(noteId, contentElement) {
+    const range = this.formatter.getRange(contentElement);
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE ||
+        this.formatter.closestTag(contentElement, range.startContainer, ['pre', 'code', 'a'])) {
+      this.hideLinkSuggestions();
+      return;
+    }
+    
+    const node = range.startContainer;
+    const end = range.startOffset;
+    const before = node.data.slice(0, end);
+    
+    // [[Title]] typed out links the note with that title, if there is one
+    const closed = before.match(/\[\[([^[\]]+)\]\]$/);
+    if (closed) {
+      const title = closed[1].trim().toLowerCase();
+      const target = this.notes.find(note => (note.title || '').trim().toLowerCase() === title);
+      this.linkSuggest = { noteId, element: contentElement, node, start: end - closed[0].length, end, items: [], index: 0 };
+      if (target) {
+        this.insertNoteLink(target);
+      } else {
+        this.hideLinkSuggestions();
+      }
+      return;
+    }
+    
+    const open = before.match(/\[\[([^[\]]{0,100})$/);
+    if (!open) {
+      this.hideLinkSuggestions();
+      return;
+    }
+    
+    // Titles starting with the query first, then the most recently edited
+    const query = open[1].trim().toLowerCase();
+    const items = this.notes
+      .filter(note => note.id != noteId && (note.title || 'Untitled').toLowerCase().includes(query))
+      .sort((a, b) =>
+        (b.title || '').toLowerCase().startsWith(query) - (a.title || '').toLowerCase().startsWith(query) ||
+        new Date(b.date) - new Date(a.date))
+      .slice(0, 8);
+    
+    this.linkSuggest = { noteId, element: contentElement, node, start: end - open[0].length, end, items, index: 0 };
+    this.renderLinkSuggestions(range);
+  }
+
+  /**
+   * Show the note link suggestions
+   * @param {Range} [range] - Caret to show them under; omitted to keep them where they are
+   */
+  renderLinkSuggestions(range) {
+    const menu = this.elements.noteLinkMenu;
+    const { items, index } = this.linkSuggest;
+    
+    menu.innerHTML = items.length > 0
+      ? items.map((note, i) => `
+        <div class="note-link-option ${i === index ? 'active' : ''}" role="option" aria-selected="${i === index}" data-index="${i}">
+          ${this.escapeHtml(note.title || 'Untitled')}
+        </div>
+      `).join('')
+      : '<div class="note-link-empty">No matching notes</div>';
+    
+    if (range) {
+      const rect = range.getBoundingClientRect();
+      menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 248))}px`;
+      menu.style.top = `${rect.bottom + 4}px`;
+    }
+    menu.hidden = false;
+  }
+
+  /**
+   * Hide the note link suggestions
+   */
+  hideLinkSuggestions() {
+    this.linkSuggest = null;
+    this.elements.noteLinkMenu.hidden = true;
+  }
+
+  /**
+   * Move through or pick a note link suggestion with the keyboard
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {Element} contentElement - The note's editor
+   * @returns {boolean} - Whether the key was used by the suggestions
+   */
+  handleLinkSuggestionKey(e, contentElement) {
+    const suggest = this.linkSuggest;
+    if (!suggest || suggest.element !== contentElement || this.elements.noteLinkMenu.hidden) return false;
+    
+    const count = suggest.items.length;
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (count === 0) return false;
+        e.preventDefault();
+        suggest.index = (suggest.index + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        this.renderLinkSuggestions();
+        return true;
+      case 'Enter':
+      case 'Tab':
+        if (count === 0) return false;
+        e.preventDefault();
+        this.insertNoteLink(suggest.items[suggest.index]);
+        return true;
+      case 'Escape':
+        e.preventDefault();
+        this.hideLinkSuggestions();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Replace the [[note link]] being typed with a link to a note
+   * @param {Object} target - Note to link to
+   */
+  insertNoteLink(target) {
+    const { noteId, element, node, start, end } = this.linkSuggest;
+    this.hideLinkSuggestions();
+    if (!target || !element.contains(node) || node.length < end) return;
+    
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    range.deleteContents();
+    
+    const link = document.createElement('a');
+    link.className = 'note-link';
+    link.setAttribute('data-note-id', String(target.id));
+    link.textContent = target.title || 'Untitled';
+    
+    // A trailing space would collapse, leaving the caret inside the link
+    const space = document.createTextNode('\u00a0');
+    range.insertNode(space);
+    range.insertNode(link);
+    
+    const caret = document.createRange();
+    caret.setStart(space, 1);
+    this.formatter.select(caret);
+    
+    this.inputRuleUndo = null;
+    this.updateNote(noteId, 'content', element.innerHTML);
+  }
+
+  /**
+   * Build the formatting toolbar shown above each note editor
+   * @returns {string} - Toolbar HTML
+   */
+  renderFormattingMenu() {
+    const groups = this.formattingActions.map(group => group
+      .map(action => `<button type="button" data-format="${action.format}" title="${action.title}" aria-pressed="false">${action.label}</button>`)
+      .join(''));
+    
+    return `<div class="formatting-menu" role="toolbar" aria-label="Formatting">${groups.join('<span class="formatting-separator"></span>')}</div>`;
+  }
+
+  /**
+   * Apply a toolbar format to the selection in a note editor
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   * @param {string} format - Format name
+   */
+  applyFormatting(noteId, contentElement, format) {
+    const range = this.formatter.getRange(contentElement);
+    if (!range) {
+      contentElement.focus();
+      return;
+    }
+    
+    if (format === 'link') {
+      this.promptLink(noteId, contentElement, range);
+      return;
+    }
+    
+    this.commitFormatting(noteId, contentElement, this.formatter.apply(contentElement, range, format));
+  }
+
+  /**
+   * Select the formatted text and save the note
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   * @param {Range|null} range - Range returned by the formatter; null means nothing changed
+   */
+  commitFormatting(noteId, contentElement, range) {
+    if (!range) return;
+    
+    this.formatter.select(range);
+    this.updateNote(noteId, 'content', contentElement.innerHTML);
+    this.updateFormattingState();
+  }
+
+  /**
+   * Ask for a link address, or remove the link at the selection
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   * @param {Range} range - Selection to link
+   */
+  promptLink(noteId, contentElement, range) {
+    if (this.formatter.activeFormats(contentElement, range).has('link')) {
+      this.commitFormatting(noteId, contentElement, this.formatter.apply(contentElement, range, 'link', ''));
+      return;
+    }
+    
+    this.showPassphraseForm({
+      title: 'Add Link',
+      message: 'Links the selected text, or inserts the address at the caret.',
+      submitLabel: 'Add link',
+      fields: [{ name: 'url', label: 'Address', type: 'text' }],
+      onSubmit: async ({ url }) => {
+        const href = this.formatter.normalizeUrl(url);
+        if (this.sanitizer.cleanUrl(href, this.sanitizer.urlAttributes.href, 'a') === null) {
+          throw new Error('Use an http, https, mailto or tel address');
+        }
+        if (!contentElement.isConnected) {
+          throw new Error('The note is no longer shown');
+        }
+        
+        contentElement.focus();
+        this.commitFormatting(noteId, contentElement, this.formatter.apply(contentElement, range, 'link', href));
+      }
+    });
+  }
+
+  /**
+   * Handle formatting shortcuts in a note editor
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   */
+  handleFormattingShortcut(e, noteId, contentElement) {
+    if (!e.ctrlKey && !e.metaKey) return;
+    
+    // e.code, since Alt and Shift change e.key depending on the keyboard layout
+    let format = null;
+    if (e.altKey && !e.shiftKey) {
+      format = { Digit1: 'h1', Digit2: 'h2', Digit3: 'h3', Digit4: 'h4', Digit0: 'paragraph' }[e.code];
+    } else if (e.shiftKey && !e.altKey) {
+      format = { KeyX: 'strikethrough', Digit7: 'ordered-list', Digit8: 'unordered-list' }[e.code];
+    } else if (!e.altKey) {
+      format = { KeyB: 'bold', KeyI: 'italic', KeyU: 'underline', KeyK: 'link', Backslash: 'clear' }[e.code];
+    }
+    
+    if (format) {
+      e.preventDefault();
+      this.applyFormatting(noteId, contentElement, format);
+    }
+  }
+
+  /**
+   * Apply the Markdown shortcuts after typing in a note editor
+   * @param {InputEvent} e - Input event
+   * @param {Element} contentElement - The note's editor
+   */
+  handleInputRules(e, contentElement) {
+    this.inputRuleUndo = null;
+    if (!this.inputRulesEnabled) return;
+    
+    const snapshot = this.inputRules.handleInput(contentElement, e);
+    if (snapshot) {
+      this.inputRuleUndo = { element: contentElement, snapshot };
+    }
+  }
+
+  /**
+   * Turn a Markdown conversion back into the typed characters on Ctrl+Z right after it
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   * @returns {boolean} - Whether the conversion was undone
+   */
+  undoInputRule(e, noteId, contentElement) {
+    const undo = this.inputRuleUndo;
+    if (!undo) return false;
+    
+    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.code === 'KeyZ' && undo.element === contentElement) {
+      e.preventDefault();
+      this.inputRuleUndo = null;
+      this.inputRules.revert(contentElement, undo.snapshot);
+      this.updateNote(noteId, 'content', contentElement.innerHTML);
+      return true;
+    }
+    
+    // Any other key ends the chance to undo; modifiers alone don't
+    if (!['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) {
+      this.inputRuleUndo = null;
+    }
+    return false;
+  }
+
+  /**
+   * Toggle a checklist item when its box is clicked
+   * @param {MouseEvent} e - Click event
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   */
+  toggleChecklistItem(e, noteId, contentElement) {
+    const item = this.checklistBoxAt(e, contentElement);
+    if (!item) return;
+    
+    e.preventDefault();
+    this.setChecklistItem(noteId, contentElement, item, item.getAttribute('data-checked') !== 'true');
+  }
+
+  /**
+   * Find the checklist item whose box a mouse event is over
+   * @param {MouseEvent} e - Mouse event
+   * @param {Element} contentElement - The note's editor
+   * @returns {Element|null} - The checklist item, or null if the event is elsewhere
+   */
+  checklistBoxAt(e, contentElement) {
+    const item = e.target.closest('li');
+    if (!item || !contentElement.contains(item) || !item.parentElement.matches('ul.checklist')) return null;
+    
+    // The box is drawn in the item's left padding
+    const padding = parseFloat(getComputedStyle(item).paddingLeft) || 0;
+    return e.clientX - item.getBoundingClientRect().left <= padding ? item : null;
+  }
+
+  /**
+   * Toggle the checklist item at the caret with Ctrl+Enter
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   */
+  handleChecklistShortcut(e, noteId, contentElement) {
+    if (!(e.ctrlKey || e.metaKey) || e.key !== 'Enter') return;
+    
+    const range = this.formatter.getRange(contentElement);
+    const item = range && this.formatter.closestTag(contentElement, range.startContainer, ['li']);
+    if (item && item.parentElement.matches('ul.checklist')) {
+      e.preventDefault();
+      this.setChecklistItem(noteId, contentElement, item, item.getAttribute('data-checked') !== 'true');
+    }
+  }
+
+  /**
+   * Check or uncheck a checklist item and save the note
+   * @param {string|number} noteId - Note ID
+   * @param {Element} contentElement - The note's editor
+   * @param {Element} item - Checklist item
+   * @param {boolean} checked - New state
+   */
+  setChecklistItem(noteId, contentElement, item, checked) {
+    item.setAttribute('data-checked', String(checked));
+    this.inputRuleUndo = null;
+    this.updateNote(noteId, 'content', contentElement.innerHTML);
+  }
+
+  /**
+   * Mark the toolbar buttons whose format applies at the current selection
+   */
+  updateFormattingState() {
+    const selection = window.getSelection();
+    const anchor = selection && selection.rangeCount > 0 ? selection.anchorNode : null;
+    const anchorElement = anchor && (anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+    const editor = anchorElement ? anchorElement.closest('.note-content') : null;
+    
+    const active = editor ? this.formatter.activeFormats(editor, selection.getRangeAt(0)) : new Set();
+    const menu = editor ? editor.parentElement.querySelector('.formatting-menu') : null;
+    
+    document.querySelectorAll('.formatting-menu button.active').forEach(button => {
+      if (button.closest('.formatting-menu') !== menu) {
+        button.classList.remove('active');
+        button.setAttribute('aria-pressed', 'false');
+      }
+    });
+    
+    if (menu) {
+      menu.querySelectorAll('button').forEach(button => {
+        const isActive = active.has(button.dataset.format);
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+      });
+    }
+  }
+
+  /**
+   * Insert clipboard content into a note editor after sanitizing it
+   * @param {ClipboardEvent} e - Paste event
+   */
+  handlePaste(e) {
+    const clipboard = e.clipboardData;
+    if (!clipboard) return;
+    
+    const html = clipboard.getData('text/html');
+    const text = clipboard.getData('text/plain');
+    if (!html && !text) return; // Let the browser handle files and images
+    
+    e.preventDefault();
+    const content = html
+      ? this.sanitizeHtml(html)
+      : text.replace(/\r\n?/g, '\n').split('\n').map(line => this.escapeHtml(line)).join('<br>');
+    
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+    
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    
+    const template = document.createElement('template');
+    template.innerHTML = content;
+    const lastNode = template.content.lastChild;
+    range.insertNode(template.content);
+    
+    // Put the caret after the pasted content
+    if (lastNode) {
+      range.setStartAfter(lastNode);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    
+    // Notify the editor so the debounced save picks up the change
+    e.currentTarget.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Show version history modal for a note
+   * @param {Object} note - Note object
+   * @param {Object} [options]
+   * @param {string} [options.base='current'] - 'current' or the index of the version to compare against
+   * @param {number} [options.openIndex] - Version whose diff should start open
+   */
+  async showVersionHistory(note, options = {}) {
+    const versionList = this.elements.versionList;
+    
+    // The note passed in may be the one captured when the list was rendered
+    const current = this.notes.find(n => n.id == note.id) || note;
+    
+    // History is only read from the database when it is looked at
+    let versions;
+    try {
+      versions = await this.versionStore.load(current.id);
+    } catch (error) {
+      console.error('Error loading version history:', error);
+      this.toastService.show('Error loading version history', 'error');
+      return;
+    }
+    versionList.innerHTML = '';
+    if (this.versionObserver) {
+      this.versionObserver.disconnect();
+      this.versionObserver = null;
+    }
+    
+    const base = options.base !== undefined && versions[options.base] ? String(options.base) : 'current';
+    const baseContent = this.sanitizeHtml(base === 'current' ? current.content : versions[base].content);
+    
+    if (versions.length === 0) {
+      versionList.innerHTML = '<div class="empty-state">No version history available</div>';
+    } else {
+      versionList.appendChild(this.createDiffControls(current, versions, base));
+      
+      // Named versions are listed first, then the rest in order
+      const order = versions.map((version, index) => index);
+      order.sort((a, b) => Boolean(versions[b].label) - Boolean(versions[a].label) || a - b);
+      
+      // Diffs are only worked out for the versions scrolled into view, or when one is opened
+      const showSummaries = new Map();
+      if (window.IntersectionObserver) {
+        this.versionObserver = new IntersectionObserver(entries => {
+          entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            this.versionObserver.unobserve(entry.target);
+            showSummaries.get(entry.target)();
+          });
+        });
+      }
+      
+      // Create version items
+      order.forEach(index => {
+        const version = versions[index];
+        const versionItem = document.createElement('div');
+        versionItem.className = `version-item${version.label ? ' labelled' : ''}`;
+        
+        const versionNumber = versions.length - index;
+        const versionDate = new Date(version.date).toLocaleString();
+        const isBase = String(index) === base;
+        let segments = null;
+        const diffSegments = () => {
+          if (!segments) {
+            segments = this.textDiff.diff(this.sanitizeHtml(version.content), baseContent);
+          }
+          return segments;
+        };
+        
+        versionItem.innerHTML = `
+          <div class="version-info">
+            <div class="version-number">
+              Version ${versionNumber}${version.label ? ` · ${this.escapeHtml(version.label)}` : ''}
+              ${version.pinned ? '<span class="version-pin" title="Kept by a project checkpoint">checkpoint</span>' : ''}
+            </div>
+            <div class="version-date">${versionDate}</div>
+            <div class="version-diff-summary" title="Words added and removed from this version to the ${base === 'current' ? 'current content' : 'compared version'}">
+              ${isBase ? 'Comparing against this version' : ''}
+            </div>
+          </div>
+          <div class="version-actions">
+            <button class="text-button restore-version">Restore</button>
+            <button class="text-button view-version">View</button>
+            <button class="text-button diff-version" ${isBase ? 'disabled' : ''}>Diff</button>
+            <button class="text-button label-version">${version.label ? 'Rename' : 'Label'}</button>
+          </div>
+        `;
         
-        // Update global tags collection
-        this.updateTags();
-      } catch (error) {
-        console.error('Error extracting tags:', error);
-        // Continue with update even if tag extraction fails
-      }
-    }
-    
-    // Handle version history for content changes
-    if (field === 'content' && value !== oldValue && this.versioningInterval > 0) {
-      try {
-        if (!Array.isArray(note.versions)) {
-          note.versions = [];
+        // Label button
+        versionItem.querySelector('.label-version').addEventListener('click', () => {
+          this.labelVersion(current, version, index === versions.length - 1);
+        });
+        
+        // Restore button
+        const restoreButton = versionItem.querySelector('.restore-version');
+        restoreButton.addEventListener('click', () => {
+          const after = [{ id: note.id, content: version.content }];
+          const before = this.applyNoteStates(after);
+          this.closeModals();
+          this.renderNotes();
+          this.notify('Version restored', this.history.record('restoreNotes', 'Restore version', { before, after }));
+        });
+        
+        // View button
+        const viewButton = versionItem.querySelector('.view-version');
+        viewButton.addEventListener('click', () => {
+          // Create a temporary div to show the content
+          const contentPreview = document.createElement('div');
+          contentPreview.className = 'version-content-preview';
+          contentPreview.innerHTML = this.sanitizeHtml(version.content) || 'Empty note';
+          
+          // Replace existing preview if any
+          const existingPreview = versionItem.querySelector('.version-content-preview');
+          if (existingPreview) {
+            existingPreview.remove();
+            return;
+          }
+          
+          versionItem.appendChild(contentPreview);
+        });
+        
+        // Diff button
+        const diffButton = versionItem.querySelector('.diff-version');
+        const toggleDiff = () => {
+          const existingDiff = versionItem.querySelector('.version-diff');
+          if (existingDiff) {
+            existingDiff.remove();
+            return;
+          }
+          
+          // Hunks can only be restored into the current content
+          const restorable = base === 'current';
+          versionItem.appendChild(this.createDiffPanel(diffSegments(), restorable, (hunk) => {
+            this.restoreVersionHunk(current.id, diffSegments(), hunk, index);
+          }));
+        };
+        diffButton.addEventListener('click', toggleDiff);
+        
+        const showSummary = () => {
+          const summary = this.textDiff.summarize(diffSegments());
+          versionItem.querySelector('.version-diff-summary').innerHTML =
+            `<ins>+${summary.added}</ins> / <del>−${summary.removed}</del> words`;
+        };
+        if (!isBase && this.versionObserver) {
+          showSummaries.set(versionItem, showSummary);
+          this.versionObserver.observe(versionItem);
+        } else if (!isBase) {
+          showSummary();
+        }
+        
+        if (options.openIndex === index && !isBase) {
+          toggleDiff();
         }
         
-        const lastVersion = note.versions.length > 0 ? note.versions[note.versions.length - 1] : null;
+        versionList.appendChild(versionItem);
+      });
+    }
+    
+    // Show the modal
+    this.elements.versionModal.classList.add('active');
+  }
+
+  /**
+   * Ask for a name for a version, or clear it
+   * @param {Object} note - Note the version belongs to
+   * @param {Object} version - Version to label
+   * @param {boolean} isNewest - Whether it is the newest version of the note
+   */
+  labelVersion(note, version, isNewest) {
+    this.showPassphraseForm({
+      title: 'Label Version',
+      message: 'Named versions are listed first, kept by retention, and found with label: in search. Leave empty to remove the label.',
+      submitLabel: 'Save',
+      fields: [{ name: 'label', label: 'Label', type: 'text', value: version.label || '', optional: true }],
+      onSubmit: async ({ label }) => {
+        await this.versionStore.annotate(note.id, version.timestamp, { label: label.trim() || undefined });
         
-        if (lastVersion) {
-          const timeSinceLastVersion = Date.now() - new Date(lastVersion.date).getTime();
+        const versions = await this.versionStore.load(note.id);
+        const index = this.notes.findIndex(n => n.id == note.id);
+        if (index !== -1) {
+          const updated = {
+            ...this.notes[index],
+            versionLabels: versions.filter(v => v.label).map(v => v.label)
+          };
           
-          if (timeSinceLastVersion >= this.versioningInterval) {
-            // Add new version
-            note.versions.push({ content: value, date: note.date });
-          } else {
-            // Update latest version
-            lastVersion.content = value;
-            lastVersion.date = note.date;
+          // Typing must not overwrite a named newest version, so the next edit starts a new one
+          if (isNewest && label.trim()) {
+            updated.lastVersionDate = null;
           }
-        } else {
-          // No versions exist, create first one
-          note.versions.push({ content: value, date: note.date });
+          this.notes[index] = updated;
+          await this.db.put('notes', updated);
         }
-      } catch (error) {
-        console.error('Error updating version history:', error);
-        // Ensure note has versions array
-        note.versions = [{ content: value, date: note.date }];
+        
+        this.showVersionHistory(note);
       }
-    }
+    });
+  }
+
+  /**
+   * Build the compare-against and view mode selectors for the version modal
+   * @param {Object} note - Note whose history is shown
+   * @param {Array<Object>} versions - Loaded versions of the note
+   * @param {string} base - Current comparison base
+   * @returns {HTMLElement} - Controls element
+   */
+  createDiffControls(note, versions, base) {
+    const controls = document.createElement('div');
+    controls.className = 'diff-controls';
     
-    // Update notes array
-    this.notes[noteIndex] = note;
+    const versionOptions = versions.map((version, index) => `
+      <option value="${index}" ${String(index) === base ? 'selected' : ''}>
+        Version ${versions.length - index} (${new Date(version.date).toLocaleString()})
+      </option>
+    `).join('');
     
-    // Save to database
-    this.db.put('notes', note)
-      .then(() => {
-        console.log(`Note ${id} updated:`, field, value);
-        this.updateWordCount();
-      })
-      .catch(error => {
-        console.error(`Error updating note ${id}:`, error);
-        this.toastService.show('Error updating note', 'error');
-      });
+    controls.innerHTML = `
+      <label class="version-label">Compare with
+        <select class="version-select diff-base">
+          <option value="current">Current content</option>
+          ${versionOptions}
+        </select>
+      </label>
+      <label class="version-label">View
+        <select class="version-select diff-mode">
+          <option value="inline" ${this.versionDiffMode === 'inline' ? 'selected' : ''}>Inline</option>
+          <option value="split" ${this.versionDiffMode === 'split' ? 'selected' : ''}>Side by side</option>
+        </select>
+      </label>
+    `;
+    
+    controls.querySelector('.diff-base').addEventListener('change', (e) => {
+      this.showVersionHistory(note, { base: e.target.value === 'current' ? undefined : Number(e.target.value) });
+    });
+    
+    controls.querySelector('.diff-mode').addEventListener('change', (e) => {
+      this.versionDiffMode = e.target.value;
+      this.showVersionHistory(note, { base: base === 'current' ? undefined : Number(base) });
+    });
+    
+    return controls;
   }
 
   /**
-   * Delete a note
-   * @param {string|number} id - Note ID 
+   * Build a diff panel in the current view mode
+   * @param {Array<Object>} segments - Diff segments from TextDiff
+   * @param {boolean} restorable - Whether hunks get restore buttons
+   * @param {Function} onRestore - Called with the hunk index to restore
+   * @returns {HTMLElement} - Diff panel
    */
-  deleteNote(id) {
-    this.db.delete('notes', id)
-      .then(() => {
-        this.notes = this.notes.filter(note => note.id != id);
-        this.renderNotes();
-        this.updateTags();
-        this.updateWordCount();
-        this.toastService.show('Note deleted', 'success');
-      })
-      .catch(error => {
-        console.error('Error deleting note:', error);
-        this.toastService.show('Error deleting note', 'error');
-      });
+  createDiffPanel(segments, restorable, onRestore) {
+    const panel = document.createElement('div');
+    panel.className = `version-diff ${this.versionDiffMode}`;
+    
+    if (!segments.some(segment => segment.type === 'change')) {
+      panel.innerHTML = '<div class="diff-text">No differences</div>';
+      return panel;
+    }
+    
+    if (this.versionDiffMode === 'split') {
+      panel.innerHTML = `
+        <div class="diff-text">${this.textDiff.render(segments, { side: 'old' })}</div>
+        <div class="diff-text">${this.textDiff.render(segments, { side: 'new', restorable })}</div>
+      `;
+    } else {
+      panel.innerHTML = `<div class="diff-text">${this.textDiff.render(segments, { restorable })}</div>`;
+    }
+    
+    panel.addEventListener('click', (e) => {
+      const button = e.target.closest('.diff-restore');
+      if (button) {
+        onRestore(Number(button.dataset.hunk));
+      }
+    });
+    
+    return panel;
   }
 
   /**
-   * Add a new project
-   * @param {string} name - Project name
+   * Put one hunk of an old version back into the current content
+   * @param {string|number} noteId - Note ID
+   * @param {Array<Object>} segments - Diff from the version to the current content
+   * @param {number} hunk - Index of the hunk to restore
+   * @param {number} versionIndex - Version the diff belongs to, kept open afterwards
    */
-  addProject(name) {
-    const project = {
-      id: Date.now().toString(),
-      name,
-      color: this.projectColors[Math.floor(Math.random() * this.projectColors.length)]
-    };
+  restoreVersionHunk(noteId, segments, hunk, versionIndex) {
+    const note = this.notes.find(n => n.id == noteId);
+    if (!note) return;
     
-    this.projects.push(project);
-    this.db.put('projects', project)
-      .then(() => {
-        console.log('Project created:', project);
-        this.renderProjects();
-        this.toastService.show(`Project "${name}" created`, 'success');
-      })
-      .catch(error => {
-        console.error('Error creating project:', error);
-        this.toastService.show('Error creating project', 'error');
-      });
+    // The diff is stale if the note changed after the modal was opened
+    const diffedContent = segments
+      .map(segment => (segment.type === 'equal' ? segment.tokens : segment.added).join(''))
+      .join('');
+    if (diffedContent !== this.sanitizeHtml(note.content)) {
+      this.toastService.show('The note has changed; showing the updated diff', 'error');
+      this.showVersionHistory(note, { openIndex: versionIndex });
+      return;
+    }
+    
+    const after = [{ id: noteId, content: this.textDiff.revertHunk(segments, hunk) }];
+    const before = this.applyNoteStates(after);
+    this.renderNotes();
+    this.showVersionHistory(note, { openIndex: versionIndex });
+    this.notify('Change restored', this.history.record('restoreNotes', 'Restore change', { before, after }));
   }
 
   /**
-   * Delete a project and its notes
-   * @param {string|number} id - Project ID
+   * Show projects modal
    */
-  deleteProject(id) {
-    // First delete the project
-    this.db.delete('projects', id)
-      .then(() => {
-        this.projects = this.projects.filter(project => project.id != id);
+  showProjectsModal() {
+    const projectsGrid = this.elements.projectsGrid;
+    projectsGrid.innerHTML = '';
+    
+    this.projects.forEach(project => {
+      const projectNotes = this.notes.filter(note => note.projectId == project.id);
+      
+      const projectCard = document.createElement('div');
+      projectCard.className = 'project-card';
+      projectCard.style.setProperty('--project-color', this.projectColor(project));
+      projectCard.style.borderLeft = `4px solid ${this.projectColor(project)}`;
+      
+      projectCard.innerHTML = `
+        <div class="project-card-title">${this.escapeHtml(project.name)}</div>
+        <div class="project-card-count">${projectNotes.length} note${projectNotes.length !== 1 ? 's' : ''}</div>
+        <label class="project-card-retention">History
+          <select class="version-select project-retention">
+            <option value="">Default</option>
+            ${Object.entries(this.retention.presets).map(([name, preset]) => `
+              <option value="${name}" ${project.retention === name ? 'selected' : ''}>${preset.label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <div class="project-card-actions">
+          <button class="text-button select-project">Select</button>
+          <button class="text-button export-project" title="All notes in one Markdown file">Export .md</button>
+          <button class="text-button export-project-files" title="One Markdown file per note, with front-matter">Export files</button>
+          <button class="text-button project-checkpoints" title="Save or restore the state of every note in the project">Checkpoints</button>
+          <button class="text-button delete-project">Delete</button>
+        </div>
+      `;
+      
+      // Add note previews if available
+      if (projectNotes.length > 0) {
+        const notesPreview = document.createElement('div');
+        notesPreview.className = 'project-card-notes';
         
-        // Then delete all notes in that project
-        const projectNotes = this.notes.filter(note => note.projectId == id);
-        const deletePromises = projectNotes.map(note => {
-          return this.db.delete('notes', note.id);
+        projectNotes.slice(0, 3).forEach(note => {
+          const notePreview = document.createElement('div');
+          notePreview.className = 'project-card-note';
+          notePreview.textContent = note.title;
+          notesPreview.appendChild(notePreview);
         });
         
-        return Promise.all(deletePromises);
-      })
-      .then(() => {
-        // Update notes array after deletion
-        this.notes = this.notes.filter(note => note.projectId != id);
+        if (projectNotes.length > 3) {
+          const moreNotes = document.createElement('div');
+          moreNotes.className = 'project-card-note';
+          moreNotes.textContent = `+ ${projectNotes.length - 3} more...`;
+          notesPreview.appendChild(moreNotes);
+        }
+        
+        projectCard.appendChild(notesPreview);
+      }
+      
+      // Select project button
+      const selectButton = projectCard.querySelector('.select-project');
+      selectButton.addEventListener('click', () => {
+        this.currentProject = project.id;
         this.renderProjects();
         this.renderNotes();
-        this.updateTags();
-        this.updateWordCount();
-        this.toastService.show('Project and its notes deleted', 'success');
-      })
-      .catch(error => {
-        console.error('Error deleting project:', error);
-        this.toastService.show('Error deleting project', 'error');
+        this.closeModals();
+        this.toastService.show(`Switched to ${project.name}`, 'info');
+      });
+      
+      // Version retention override
+      projectCard.querySelector('.project-retention').addEventListener('change', (e) => {
+        this.updateProjectRetention(project, e.target.value);
+      });
+      
+      projectCard.querySelector('.project-checkpoints').addEventListener('click', () => {
+        this.showCheckpoints(project);
+      });
+      
+      // Markdown export buttons
+      projectCard.querySelector('.export-project').addEventListener('click', () => {
+        this.exportProjectMarkdown(project, 'single');
+      });
+      
+      projectCard.querySelector('.export-project-files').addEventListener('click', () => {
+        this.exportProjectMarkdown(project, 'files');
+      });
+      
+      // Delete project button
+      const deleteButton = projectCard.querySelector('.delete-project');
+      deleteButton.addEventListener('click', () => {
+        if (confirm(`Move the project "${project.name}" and its notes to the trash?`)) {
+          this.deleteProject(project.id);
+          this.closeModals();
+        }
+      });
+      
+      projectsGrid.appendChild(projectCard);
+    });
+    
+    // Add "Create New Project" card
+    const newProjectCard = document.createElement('div');
+    newProjectCard.className = 'project-card new-project';
+    newProjectCard.innerHTML = `
+      <div class="project-card-title">Create New Project</div>
+      <div class="project-card-icon">+</div>
+    `;
+    
+    newProjectCard.addEventListener('click', () => {
+      this.toastService.showInputPrompt('Enter project name:', (name) => {
+        if (name.trim()) {
+          this.addProject(name);
+          this.closeModals();
+        }
       });
+    });
+    
+    projectsGrid.appendChild(newProjectCard);
+    
+    // Show the modal
+    this.elements.projectsModal.classList.add('active');
+  }
+
+  /**
+   * Show the checkpoints of a project
+   * @param {Object} project - Project
+   */
+  async showCheckpoints(project) {
+    let checkpoints;
+    try {
+      checkpoints = (await this.db.getAll('checkpoints'))
+        .filter(checkpoint => checkpoint.projectId == project.id)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+    } catch (error) {
+      console.error('Error loading checkpoints:', error);
+      this.toastService.show('Error loading checkpoints', 'error');
+      return;
+    }
+    
+    this.elements.checkpointsTitle.textContent = `Checkpoints · ${project.name}`;
+    this.elements.takeCheckpointBtn.onclick = () => this.promptCheckpoint(project);
+    
+    const checkpointsList = this.elements.checkpointsList;
+    checkpointsList.innerHTML = '';
+    
+    if (checkpoints.length === 0) {
+      checkpointsList.innerHTML = '<div class="empty-state">No checkpoints yet</div>';
+    }
+    
+    checkpoints.forEach(checkpoint => {
+      const item = document.createElement('div');
+      item.className = 'version-item';
+      item.innerHTML = `
+        <div class="version-info">
+          <div class="version-number">${this.escapeHtml(checkpoint.name)}</div>
+          <div class="version-date">
+            ${new Date(checkpoint.date).toLocaleString()} · ${checkpoint.notes.length} note${checkpoint.notes.length !== 1 ? 's' : ''}
+          </div>
+        </div>
+        <div class="version-actions">
+          <button class="text-button restore-checkpoint">Restore</button>
+          <button class="text-button danger delete-checkpoint">Delete</button>
+        </div>
+      `;
+      
+      item.querySelector('.restore-checkpoint').addEventListener('click', () => {
+        this.restoreCheckpoint(project, checkpoint);
+      });
+      
+      item.querySelector('.delete-checkpoint').addEventListener('click', () => {
+        if (confirm(`Delete checkpoint "${checkpoint.name}"? The notes themselves are not changed.`)) {
+          this.deleteCheckpoint(project, checkpoint);
+        }
+      });
+      
+      checkpointsList.appendChild(item);
+    });
+    
+    this.elements.checkpointsModal.classList.add('active');
+  }
+
+  /**
+   * Ask for a checkpoint name, then take the checkpoint
+   * @param {Object} project - Project
+   */
+  promptCheckpoint(project) {
+    this.showPassphraseForm({
+      title: 'New Checkpoint',
+      message: `Records the current version of every note in ${project.name}. Those versions are kept until the checkpoint is deleted.`,
+      submitLabel: 'Take checkpoint',
+      fields: [{
+        name: 'name',
+        label: 'Name',
+        type: 'text',
+        value: `Checkpoint ${new Date().toLocaleDateString()}`
+      }],
+      onSubmit: async ({ name }) => {
+        await this.takeCheckpoint(project, name.trim() || 'Checkpoint');
+        this.showCheckpoints(project);
+      }
+    });
   }
 
   /**
-   * Add a tag to a note
-   * @param {string|number} noteId - Note ID
-   * @param {string} tag - Tag to add
+   * Record the current version of every note in a project
+   * @param {Object} project - Project
+   * @param {string} name - Checkpoint name
+   * @returns {Promise<Object>} - Saved checkpoint
    */
-  addTag(noteId, tag) {
-    const note = this.notes.find(n => n.id == noteId);
-    if (!note) return;
-    
-    if (!note.tags) {
-      note.tags = [];
-    }
+  async takeCheckpoint(project, name) {
+    const now = new Date().toISOString();
+    const checkpoint = { id: this.generateId(), projectId: project.id, name, date: now, notes: [] };
     
-    if (!note.tags.includes(tag)) {
-      note.tags.push(tag);
-      this.tags.add(tag);
+    const noteIds = this.notes.filter(note => note.projectId == project.id).map(note => note.id);
+    for (const id of noteIds) {
+      const note = this.notes.find(n => n.id == id);
+      if (!note) continue;
       
-      this.db.put('notes', note)
-        .then(() => {
-          this.renderTags();
-          this.renderNotes();
-        })
-        .catch(error => {
-          console.error('Error adding tag:', error);
-        });
+      const { timestamp, added } = await this.versionStore.pin(id, { content: note.content, date: now });
+      checkpoint.notes.push({ noteId: id, timestamp, title: note.title });
+      
+      // Re-read after the await; the pinned version must not be overwritten by the next edit
+      const index = this.notes.findIndex(n => n.id == id);
+      if (index !== -1) {
+        const updated = {
+          ...this.notes[index],
+          versionCount: (this.notes[index].versionCount || 0) + (added ? 1 : 0),
+          lastVersionDate: null
+        };
+        this.notes[index] = updated;
+        await this.db.put('notes', updated);
+      }
     }
+    
+    await this.db.put('checkpoints', checkpoint);
+    this.toastService.show(`Checkpoint "${name}" saved for ${checkpoint.notes.length} notes`, 'success');
+    return checkpoint;
   }
 
   /**
-   * Remove a tag from a note
-   * @param {string|number} noteId - Note ID
-   * @param {string} tag - Tag to remove
+   * Put every note of a project back to its version in a checkpoint
+   * The current content stays in each note's history.
+   * @param {Object} project - Project
+   * @param {Object} checkpoint - Checkpoint
    */
-  removeTag(noteId, tag) {
-    const note = this.notes.find(n => n.id == noteId);
-    if (!note || !note.tags) return;
+  async restoreCheckpoint(project, checkpoint) {
+    if (!confirm(`Restore ${project.name} to "${checkpoint.name}"? Notes added since then are left as they are.`)) {
+      return;
+    }
     
-    note.tags = note.tags.filter(t => t !== tag);
+    const after = [];
+    let missing = 0;
+    try {
+      for (const entry of checkpoint.notes) {
+        const note = this.notes.find(n => n.id == entry.noteId);
+        const versions = note ? await this.versionStore.load(entry.noteId) : [];
+        const version = versions.find(v => v.timestamp === entry.timestamp);
+        if (!note || !version) {
+          missing++;
+          continue;
+        }
+        after.push({ id: note.id, title: entry.title, content: version.content });
+      }
+    } catch (error) {
+      console.error('Error restoring checkpoint:', error);
+      this.toastService.show('Error restoring checkpoint', 'error');
+      return;
+    }
     
-    this.db.put('notes', note)
-      .then(() => {
-        this.updateTags();
-        this.renderNotes();
-      })
-      .catch(error => {
-        console.error('Error removing tag:', error);
-      });
+    const before = this.applyNoteStates(after);
+    this.closeModals();
+    this.renderNotes();
+    this.notify(
+      `Restored ${after.length} note${after.length !== 1 ? 's' : ''}` + (missing ? `; ${missing} no longer exist` : ''),
+      this.history.record('restoreNotes', `Restore checkpoint "${checkpoint.name}"`, { before, after }),
+      missing ? 'info' : 'success'
+    );
   }
 
   /**
-   * Filter notes by tag
-   * @param {string} tag - Tag to filter by
+   * Delete a checkpoint and unpin the versions only it was keeping
+   * @param {Object} project - Project
+   * @param {Object} checkpoint - Checkpoint
    */
-  filterByTag(tag) {
-    if (this.currentTag === tag) {
-      // Clicking the active tag deselects it
-      this.currentTag = null;
-    } else {
-      this.currentTag = tag;
+  async deleteCheckpoint(project, checkpoint) {
+    try {
+      await this.db.delete('checkpoints', checkpoint.id);
+      
+      const stillPinned = new Set();
+      (await this.db.getAll('checkpoints')).forEach(other => {
+        other.notes.forEach(entry => stillPinned.add(`${entry.noteId}:${entry.timestamp}`));
+      });
+      
+      for (const entry of checkpoint.notes) {
+        if (stillPinned.has(`${entry.noteId}:${entry.timestamp}`)) continue;
+        
+        // The note or version may be gone already
+        await this.versionStore.annotate(entry.noteId, entry.timestamp, { pinned: undefined }).catch(() => {});
+      }
+      
+      this.toastService.show('Checkpoint deleted', 'success');
+    } catch (error) {
+      console.error('Error deleting checkpoint:', error);
+      this.toastService.show('Error deleting checkpoint', 'error');
     }
     
-    this.renderTags();
-    this.renderNotes();
+    this.showCheckpoints(project);
   }
 
   /**
-   * Update tags collection from notes
+   * Close all modals
    */
-  updateTags() {
-    this.tags.clear();
-    this.notes.forEach(note => {
-      (note.tags || []).forEach(tag => {
-        this.tags.add(tag);
-      });
+  closeModals() {
+    document.querySelectorAll('.modal.active:not(.persistent)').forEach(modal => {
+      modal.classList.remove('active');
     });
-    this.renderTags();
+    this.pendingRestore = null;
+    this.pendingImport = [];
+    
+    if (this.graphView) {
+      this.graphView.stop();
+    }
   }
 
   /**
-   * Render the projects list
+   * Build the graph of notes, tags and projects
+   * Notes connect to their tags, their project and the notes they link to; nested tags to their parent.
+   * @returns {{nodes: Array<Object>, edges: Array<Object>, orphans: number}} - Graph data for GraphView
    */
-  renderProjects() {
-    const projectsList = this.elements.projectsList;
-    projectsList.innerHTML = '';
+  buildGraph() {
+    const nodes = [];
+    const edges = [];
+    let orphans = 0;
     
     this.projects.forEach(project => {
-      const projectNotes = this.notes.filter(note => note.projectId == project.id);
-      
-      const projectItem = document.createElement('div');
-      projectItem.className = 'project-item';
-      projectItem.dataset.id = project.id;
-      
-      const projectHeader = document.createElement('div');
-      projectHeader.className = `project-header ${this.currentProject == project.id ? 'active' : ''}`;
-      
-      const projectTitle = document.createElement('div');
-      projectTitle.className = 'project-title';
-      
-      const projectColor = document.createElement('span');
-      projectColor.className = 'project-color';
-      projectColor.style.backgroundColor = project.color;
-      
-      const projectName = document.createTextNode(project.name);
-      
-      const noteCount = document.createElement('span');
-      noteCount.className = 'project-note-count';
-      noteCount.textContent = `${projectNotes.length} note${projectNotes.length !== 1 ? 's' : ''}`;
-      
-      // Assemble project item
-      projectTitle.appendChild(projectColor);
-      projectTitle.appendChild(projectName);
+      nodes.push({ id: `project:${project.id}`, type: 'project', ref: project.id, label: project.name, color: this.projectColor(project) });
+    });
+    
+    // Nested tags hang off their parent
+    this.tagPaths().forEach(tag => {
+      nodes.push({ id: `tag:${tag}`, type: 'tag', ref: tag, label: `#${tag}` });
       
-      projectHeader.appendChild(projectTitle);
-      projectHeader.appendChild(noteCount);
+      const separator = tag.lastIndexOf('/');
+      if (separator !== -1) {
+        edges.push({ source: `tag:${tag}`, target: `tag:${tag.slice(0, separator)}`, type: 'tag' });
+      }
+    });
+    
+    this.notes.forEach(note => {
+      const id = `note:${note.id}`;
+      const tags = note.tags || [];
+      const project = this.projects.find(p => p.id == note.projectId);
+      const orphan = tags.length === 0 && !project;
+      if (orphan) orphans++;
       
-      projectItem.appendChild(projectHeader);
+      nodes.push({ id, type: 'note', ref: note.id, label: note.title || 'Untitled', orphan });
       
-      // Add click event
-      projectHeader.addEventListener('click', () => {
-        this.currentProject = this.currentProject == project.id ? null : project.id;
-        this.renderProjects(); // Update active state
-        this.renderNotes();
-        
-        this.toastService.show(
-          this.currentProject ? `Viewing ${project.name}` : 'Viewing all projects', 
-          'info'
-        );
-      });
+      tags.forEach(tag => edges.push({ source: id, target: `tag:${tag}`, type: 'tag' }));
+      if (project) {
+        edges.push({ source: id, target: `project:${project.id}`, type: 'project', color: this.projectColor(project) });
+      }
       
-      projectsList.appendChild(projectItem);
+      // Links to trashed or deleted notes have no node to end at
+      this.linkIndex.links(note.id)
+        .filter(target => target != note.id && this.notes.some(other => other.id == target))
+        .forEach(target => edges.push({ source: id, target: `note:${target}`, type: 'link' }));
     });
+    
+    return { nodes, edges, orphans };
   }
 
   /**
-   * Render notes based on current filters
+   * Open the graph view
    */
-  renderNotes() {
-    const notesContainer = this.elements.notesContainer;
-    notesContainer.innerHTML = '';
+  showGraph() {
+    const { nodes, edges, orphans } = this.buildGraph();
+    const noteCount = this.notes.length;
+    this.elements.graphSummary.textContent =
+      `${noteCount} note${noteCount !== 1 ? 's' : ''} · ${orphans} orphan${orphans !== 1 ? 's' : ''} without tags or project`;
     
-    // Apply filters
-    let filteredNotes = [...this.notes];
+    this.elements.graphModal.classList.add('active');
     
-    if (this.currentProject) {
-      filteredNotes = filteredNotes.filter(note => note.projectId == this.currentProject);
+    const firstOpen = !this.graphView;
+    if (firstOpen) {
+      this.graphView = new GraphView(this.elements.graphCanvas, {
+        onSelect: node => this.selectGraphNode(node)
+      });
     }
     
-    if (this.currentTag) {
-      filteredNotes = filteredNotes.filter(note => 
-        Array.isArray(note.tags) && note.tags.includes(this.currentTag)
-      );
+    this.graphView.resize();
+    if (firstOpen) {
+      this.graphView.resetView();
     }
+    this.graphView.setData(nodes, edges);
+  }
+
+  /**
+   * Show the notes behind a node clicked in the graph
+   * @param {Object} node - Graph node
+   */
+  selectGraphNode(node) {
+    this.closeModals();
     
-    if (this.searchTerm) {
-      filteredNotes = filteredNotes.filter(note => 
-        note.title.toLowerCase().includes(this.searchTerm) || 
-        (note.content && note.content.toLowerCase().includes(this.searchTerm))
-      );
+    if (node.type === 'note') {
+      this.openNote(node.ref);
+      return;
     }
     
-    // Sort notes by date (newest first)
-    filteredNotes.sort((a, b) => {
-      return new Date(b.date) - new Date(a.date);
-    });
+    // Projects and tags filter the notes, replacing the other filter
+    this.currentProject = node.type === 'project' ? node.ref : null;
+    this.resetTagFilter(node.type === 'tag' ? node.ref : null);
+    this.dayFilter = null;
     
-    // Show message if no notes
-    if (filteredNotes.length === 0) {
-      const emptyState = document.createElement('div');
-      emptyState.className = 'empty-state';
-      emptyState.innerHTML = '<h3>No notes found</h3>';
-      notesContainer.appendChild(emptyState);
-      return;
-    }
+    this.renderProjects();
+    this.renderTags();
+    this.renderNotes();
+    this.toastService.show(`Viewing ${node.label}`, 'info');
+  }
+
+  /**
+   * Work out from note history which notes were created and edited each day, and how many words were written
+   * Each note's days are cached until it changes, so only notes edited since the last look are read again.
+   * @returns {Promise<Map|null>} - Day as YYYY-MM-DD -> {created: Set, edited: Set, words: number}, or null if the app locked meanwhile
+   */
+  async buildActivity() {
+    const activity = new Map();
     
-    // Render each note
-    filteredNotes.forEach(note => {
-      const noteElement = document.createElement('div');
-      noteElement.className = 'note';
-      noteElement.dataset.id = note.id;
+    for (const note of [...this.notes]) {
+      const id = String(note.id);
+      let cached = this.activityCache.get(id);
       
-      // Note project indicator
-      let projectInfo = '';
-      if (note.projectId) {
-        const project = this.projects.find(p => p.id == note.projectId);
-        if (project) {
-          projectInfo = `
-            <div class="note-project">
-              <span class="project-color" style="background-color: ${project.color}"></span>
-              ${project.name}
-            </div>
-          `;
-        }
+      if (!cached || cached.date !== note.date || cached.versionCount !== note.versionCount) {
+        const versions = await this.versionStore.load(note.id);
+        if (this.isLocked) return null;
+        
+        cached = { date: note.date, versionCount: note.versionCount, days: this.noteActivity(note, versions) };
+        this.activityCache.set(id, cached);
+        
+        // Yield between notes so a large notebook doesn't freeze the page
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.isLocked) return null;
       }
       
-      // Format date for display
-      const displayDate = note.formattedDate || new Date(note.date).toLocaleString();
-      
-      // Note content
-      noteElement.innerHTML = `
-        ${projectInfo}
-        <div class="note-header">
-          <div class="note-title-container">
-            <input class="note-title" value="${this.escapeHtml(note.title)}">
-          </div>
-          <div class="note-controls">
-            <button class="icon-button delete">
-              <svg class="icon" viewBox="0 0 16 16">
-                <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
-                <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div class="note-content" contenteditable="true">${note.content || ''}</div>
-        <div class="note-footer">
-          <span>${note.author || 'Anonymous'} • ${displayDate}</span>
-          <span class="note-versions">${(note.versions && note.versions.length) || 1} version${(note.versions && note.versions.length) !== 1 ? 's' : ''}</span>
-        </div>
-      `;
-      
-      // Add event listeners
-      const titleInput = noteElement.querySelector('.note-title');
-      titleInput.addEventListener('change', (e) => {
-        this.updateNote(note.id, 'title', e.target.value);
+      cached.days.forEach((entry, key) => {
+        if (!activity.has(key)) {
+          activity.set(key, { created: new Set(), edited: new Set(), words: 0 });
+        }
+        const day = activity.get(key);
+        if (entry.created) {
+          day.created.add(id);
+        } else if (entry.edited) {
+          day.edited.add(id);
+        }
+        day.words += entry.words;
       });
+    }
+    
+    return activity;
+  }
+
+  /**
+   * Days one note was created and edited on, with the words each version added to the one before it
+   * @param {Object} note - Note object
+   * @param {Array<Object>} versions - The note's versions, oldest first
+   * @returns {Map} - Day as YYYY-MM-DD -> {created: boolean, edited: boolean, words: number}
+   */
+  noteActivity(note, versions) {
+    const days = new Map();
+    const dayOf = key => {
+      if (!days.has(key)) {
+        days.set(key, { created: false, edited: false, words: 0 });
+      }
+      return days.get(key);
+    };
+    
+    versions.forEach((version, index) => {
+      const day = dayOf(this.dateKey(new Date(version.date)));
+      if (index === 0) {
+        day.created = true;
+      } else {
+        day.edited = true;
+      }
       
-      // Render note content element
-      const contentElement = noteElement.querySelector('.note-content');
-      
-      // Use debounce for content updates to avoid excessive saving
-      let contentUpdateTimeout = null;
-      contentElement.addEventListener('input', () => {
-        clearTimeout(contentUpdateTimeout);
-        contentUpdateTimeout = setTimeout(() => {
-          this.updateNote(note.id, 'content', contentElement.innerHTML);
-        }, 750); // Debounce for 750ms for better performance
-      });
+      const previous = index > 0 ? versions[index - 1].content : '';
+      day.words += this.textDiff.summarize(this.textDiff.diff(previous, version.content)).added;
+    });
+    
+    // The latest edit may still be folded into an older version
+    const lastEdit = dayOf(this.dateKey(new Date(note.date)));
+    if (versions.length === 0) {
+      lastEdit.created = true;
+    } else {
+      lastEdit.edited = true;
+    }
+    
+    return days;
+  }
+
+  /**
+   * Open the calendar and writing heatmap
+   * @returns {Promise<void>}
+   */
+  async showCalendar() {
+    const month = this.dayFilter ? new Date(`${this.dayFilter}T00:00:00`) : new Date();
+    this.calendarMonth = new Date(month.getFullYear(), month.getMonth(), 1);
+    
+    this.elements.calendarModal.classList.add('active');
+    this.elements.activitySummary.textContent = 'Reading note history...';
+    
+    try {
+      this.activity = await this.buildActivity();
+    } catch (error) {
+      console.error('Error reading note history:', error);
+      this.toastService.show('Error reading note history', 'error');
+      this.activity = new Map();
+    }
+    
+    // Locking meanwhile tore the page down; don't fill it in again
+    if (this.isLocked || !this.activity) return;
+    
+    this.renderCalendar();
+    this.renderHeatmap();
+  }
+
+  /**
+   * Show the month before or after the current one
+   * @param {number} offset - -1 for the previous month, 1 for the next
+   */
+  stepCalendarMonth(offset) {
+    const month = this.calendarMonth;
+    this.calendarMonth = new Date(month.getFullYear(), month.getMonth() + offset, 1);
+    this.renderCalendar();
+  }
+
+  /**
+   * Render the month calendar, marking days with new and edited notes
+   */
+  renderCalendar() {
+    const month = this.calendarMonth;
+    const grid = this.elements.calendarGrid;
+    const today = this.dateKey(new Date());
+    
+    this.elements.calendarMonth.textContent = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    
+    // Weekday headings, starting on Sunday like the heatmap rows
+    const weekdays = Array.from({ length: 7 }, (_, index) =>
+      new Date(2024, 0, 7 + index).toLocaleDateString(undefined, { weekday: 'short' })
+    );
+    grid.innerHTML = weekdays.map(name => `<div class="calendar-weekday">${this.escapeHtml(name)}</div>`).join('');
+    
+    for (let blank = 0; blank < month.getDay(); blank++) {
+      grid.appendChild(document.createElement('div'));
+    }
+    
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    for (let date = 1; date <= daysInMonth; date++) {
+      const key = this.dateKey(new Date(month.getFullYear(), month.getMonth(), date));
+      const activity = this.activity && this.activity.get(key);
+      const created = activity ? activity.created.size : 0;
+      const edited = activity ? activity.edited.size : 0;
       
-      // Add contenteditable blur event to ensure saving completes
-      contentElement.addEventListener('blur', () => {
-        clearTimeout(contentUpdateTimeout);
-        this.updateNote(note.id, 'content', contentElement.innerHTML);
-      });
+      const cell = document.createElement('button');
+      cell.className = [
+        'calendar-day',
+        key === today ? 'today' : '',
+        key === this.dayFilter ? 'selected' : ''
+      ].filter(Boolean).join(' ');
+      cell.disabled = created + edited === 0;
+      cell.title = created + edited === 0
+        ? 'No notes'
+        : `${created} created · ${edited} edited`;
+      cell.innerHTML = `
+        <span class="calendar-date">${date}</span>
+        <span class="calendar-marks">
+          ${created > 0 ? '<span class="calendar-mark created"></span>' : ''}
+          ${edited > 0 ? '<span class="calendar-mark edited"></span>' : ''}
+        </span>
+      `;
       
-      const deleteButton = noteElement.querySelector('.delete');
-      deleteButton.addEventListener('click', () => {
-        if (confirm('Are you sure you want to delete this note?')) {
-          this.deleteNote(note.id);
-        }
+      cell.addEventListener('click', () => {
+        this.selectDay(key);
       });
       
-      const versionsLink = noteElement.querySelector('.note-versions');
-      versionsLink.addEventListener('click', () => {
-        this.showVersionHistory(note);
+      grid.appendChild(cell);
+    }
+  }
+
+  /**
+   * Render the heatmap of words written per day over the past year, one column per week
+   */
+  renderHeatmap() {
+    const heatmap = this.elements.activityHeatmap;
+    heatmap.innerHTML = '';
+    
+    // Start on the Sunday 52 weeks before this week, so today is in the last column
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - 52 * 7);
+    const days = [];
+    for (let date = new Date(start); date <= today; date.setDate(date.getDate() + 1)) {
+      const key = this.dateKey(date);
+      const activity = this.activity && this.activity.get(key);
+      days.push({ key, date: new Date(date), words: activity ? activity.words : 0, active: Boolean(activity) });
+    }
+    
+    const most = Math.max(1, ...days.map(day => day.words));
+    days.forEach(day => {
+      const cell = document.createElement('button');
+      cell.className = 'heatmap-cell';
+      cell.dataset.level = day.words === 0 ? 0 : Math.min(4, Math.ceil((day.words / most) * 4));
+      cell.title = `${day.words} word${day.words !== 1 ? 's' : ''} on ${day.date.toLocaleDateString()}`;
+      cell.disabled = !day.active;
+      cell.addEventListener('click', () => {
+        this.selectDay(day.key);
       });
-      
-      notesContainer.appendChild(noteElement);
+      heatmap.appendChild(cell);
     });
+    
+    // Totals for the weekly review
+    const total = days.reduce((sum, day) => sum + day.words, 0);
+    const activeDays = days.filter(day => day.words > 0).length;
+    const thisWeek = days.slice(-today.getDay() - 1).reduce((sum, day) => sum + day.words, 0);
+    
+    // A streak still counts while today is unwritten
+    let streak = 0;
+    let index = days[days.length - 1].words > 0 ? days.length - 1 : days.length - 2;
+    while (index >= 0 && days[index].words > 0) {
+      streak++;
+      index--;
+    }
+    
+    this.elements.activitySummary.textContent = [
+      `${total} word${total !== 1 ? 's' : ''} written in the past year`,
+      `${activeDays} active day${activeDays !== 1 ? 's' : ''}`,
+      `${thisWeek} word${thisWeek !== 1 ? 's' : ''} this week`,
+      `${streak}-day streak`
+    ].join(' · ');
   }
 
   /**
-   * Show version history modal for a note
-   * @param {Object} note - Note object
+   * Show only the notes created or edited on a day
+   * @param {string} key - Day as YYYY-MM-DD
    */
-  showVersionHistory(note) {
-    const versionList = this.elements.versionList;
-    versionList.innerHTML = '';
+  selectDay(key) {
+    this.dayFilter = key;
+    this.closeModals();
+    this.renderNotes();
     
-    if (!note.versions || note.versions.length === 0) {
-      versionList.innerHTML = '<div class="empty-state">No version history available</div>';
-    } else {
-      // Create version items
-      note.versions.forEach((version, index) => {
-        const versionItem = document.createElement('div');
-        versionItem.className = 'version-item';
-        
-        const versionNumber = note.versions.length - index;
-        const versionDate = new Date(version.date).toLocaleString();
-        
-        versionItem.innerHTML = `
-          <div class="version-info">
-            <div class="version-number">Version ${versionNumber}</div>
-            <div class="version-date">${versionDate}</div>
-          </div>
-          <div class="version-actions">
-            <button class="text-button restore-version">Restore</button>
-            <button class="text-button view-version">View</button>
-          </div>
-        `;
-        
-        // Restore button
-        const restoreButton = versionItem.querySelector('.restore-version');
-        restoreButton.addEventListener('click', () => {
-          this.updateNote(note.id, 'content', version.content);
-          this.closeModals();
-          this.renderNotes();
-          this.toastService.show('Version restored', 'success');
-        });
-        
-        // View button
-        const viewButton = versionItem.querySelector('.view-version');
-        viewButton.addEventListener('click', () => {
-          // Create a temporary div to show the content
-          const contentPreview = document.createElement('div');
-          contentPreview.className = 'version-content-preview';
-          contentPreview.innerHTML = version.content || 'Empty note';
-          
-          // Replace existing preview if any
-          const existingPreview = versionItem.querySelector('.version-content-preview');
-          if (existingPreview) {
-            existingPreview.remove();
-            return;
-          }
-          
-          versionItem.appendChild(contentPreview);
-        });
-        
-        versionList.appendChild(versionItem);
-      });
+    const count = this.getFilteredNotes().notes.length;
+    this.toastService.show(
+      `${count} note${count !== 1 ? 's' : ''} created or edited on ${new Date(`${key}T00:00:00`).toLocaleDateString()}`,
+      'info'
+    );
+  }
+
+  /**
+   * Show the calendar day being filtered by above the notes
+   */
+  renderDayFilterBar() {
+    const bar = this.elements.dayFilterBar;
+    
+    bar.hidden = !this.dayFilter;
+    if (bar.hidden) {
+      bar.innerHTML = '';
+      return;
     }
     
-    // Show the modal
-    this.elements.versionModal.classList.add('active');
+    const label = new Date(`${this.dayFilter}T00:00:00`).toLocaleDateString(undefined, {
+      weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+    });
+    bar.innerHTML = `
+      <span class="tag-filter-label">Day:</span>
+      <span class="tag active">
+        ${this.escapeHtml(label)}
+        <button class="tag-remove" title="Show every day" aria-label="Show every day">&times;</button>
+      </span>
+      <button class="text-button day-filter-calendar">Calendar</button>
+    `;
+    
+    bar.querySelector('.tag-remove').addEventListener('click', () => {
+      this.dayFilter = null;
+      this.renderNotes();
+    });
+    
+    bar.querySelector('.day-filter-calendar').addEventListener('click', () => {
+      this.showCalendar();
+    });
   }
 
   /**
-   * Show projects modal
+   * Collect the checklist items of a note
+   * @param {Object} note - Note object
+   * @returns {Array<{note: Object, index: number, text: string, checked: boolean}>} - Tasks in document order
    */
-  showProjectsModal() {
-    const projectsGrid = this.elements.projectsGrid;
-    projectsGrid.innerHTML = '';
+  extractTasks(note) {
+    if (!note.content || !note.content.includes('checklist')) return [];
     
-    this.projects.forEach(project => {
-      const projectNotes = this.notes.filter(note => note.projectId == project.id);
+    const template = document.createElement('template');
+    template.innerHTML = note.content;
+    
+    return Array.from(template.content.querySelectorAll('ul.checklist > li'), (item, index) => {
+      // Leave out nested lists, which hold tasks of their own
+      const own = item.cloneNode(true);
+      own.querySelectorAll('ul, ol').forEach(list => list.remove());
       
-      const projectCard = document.createElement('div');
-      projectCard.className = 'project-card';
-      projectCard.style.setProperty('--project-color', project.color);
-      projectCard.style.borderLeft = `4px solid ${project.color}`;
+      return {
+        note,
+        index,
+        text: own.textContent.replace(/\s+/g, ' ').trim(),
+        checked: item.getAttribute('data-checked') === 'true'
+      };
+    });
+  }
+
+  /**
+   * Build the task progress shown in a note's footer
+   * @param {Object} note - Note object
+   * @returns {string} - Progress HTML, or an empty placeholder if the note has no tasks
+   */
+  renderTaskProgress(note) {
+    const tasks = this.extractTasks(note);
+    if (tasks.length === 0) return '<span class="note-progress" hidden></span>';
+    
+    const done = tasks.filter(task => task.checked).length;
+    const percent = Math.round(done / tasks.length * 100);
+    return `
+      <span class="note-progress" title="${done} of ${tasks.length} tasks done">
+        <span class="note-progress-bar"><span style="width: ${percent}%"></span></span>
+        ${done}/${tasks.length}
+      </span>
+    `;
+  }
+
+  /**
+   * Refresh the task progress in a rendered note's footer
+   * @param {Object} note - Note object
+   */
+  updateTaskProgress(note) {
+    const noteElement = this.findNoteElement(note.id);
+    if (noteElement) {
+      noteElement.querySelector('.note-progress').outerHTML = this.renderTaskProgress(note);
+    }
+  }
+
+  /**
+   * Find a note's rendered element
+   * @param {string|number} noteId - Note ID
+   * @returns {Element|undefined} - The note element, if the note is shown
+   */
+  findNoteElement(noteId) {
+    return Array.from(this.elements.notesContainer.querySelectorAll('.note')).find(element => element.dataset.id == noteId);
+  }
+
+  /**
+   * Check or uncheck a task from the task view
+   * @param {Object} task - Task from extractTasks()
+   * @param {boolean} checked - New state
+   */
+  setTaskChecked(task, checked) {
+    // Change the open editor if there is one, so its content doesn't overwrite the change
+    const noteElement = this.findNoteElement(task.note.id);
+    if (noteElement) {
+      const contentElement = noteElement.querySelector('.note-content');
+      const item = contentElement.querySelectorAll('ul.checklist > li')[task.index];
+      if (item) {
+        this.setChecklistItem(task.note.id, contentElement, item, checked);
+        return;
+      }
+    }
+    
+    const template = document.createElement('template');
+    template.innerHTML = task.note.content;
+    const item = template.content.querySelectorAll('ul.checklist > li')[task.index];
+    if (!item) {
+      this.toastService.show('That task no longer exists', 'error');
+      this.renderTasks();
+      return;
+    }
+    
+    item.setAttribute('data-checked', String(checked));
+    this.updateNote(task.note.id, 'content', template.innerHTML);
+  }
+
+  /**
+   * Scroll to a note, clearing the filters that hide it
+   * @param {string|number} noteId - Note ID
+   */
+  openNote(noteId) {
+    if (!this.getFilteredNotes().notes.some(note => note.id == noteId)) {
+      this.currentProject = null;
+      this.resetTagFilter();
+      this.dayFilter = null;
+      this.elements.searchInput.value = '';
+      this.searchTerm = '';
+      this.updateSearchQuery();
       
-      projectCard.innerHTML = `
-        <div class="project-card-title">${project.name}</div>
-        <div class="project-card-count">${projectNotes.length} note${projectNotes.length !== 1 ? 's' : ''}</div>
-        <div class="project-card-actions">
-          <button class="text-button select-project">Select</button>
-          <button class="text-button delete-project">Delete</button>
+      this.renderProjects();
+      this.renderTags();
+      this.renderNotes();
+    }
+    
+    const noteElement = this.findNoteElement(noteId);
+    if (!noteElement) return;
+    
+    noteElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    noteElement.classList.add('flash');
+    setTimeout(() => noteElement.classList.remove('flash'), 1500);
+  }
+
+  /**
+   * Render the task view in the sidebar, grouped by project
+   */
+  renderTasks() {
+    if (this.isLocked) return;
+    
+    const filter = this.taskFilter;
+    
+    // Filter options follow the current projects and tags; a filter whose choice is gone resets
+    if (filter.projectId && !this.projects.some(project => String(project.id) === filter.projectId)) {
+      filter.projectId = '';
+    }
+    const tagPaths = this.tagPaths();
+    if (filter.tag && !tagPaths.includes(filter.tag)) {
+      filter.tag = '';
+    }
+    
+    this.elements.taskProjectSelect.replaceChildren(
+      new Option('All projects', ''),
+      ...this.projects.map(project => new Option(project.name, String(project.id)))
+    );
+    this.elements.taskProjectSelect.value = filter.projectId;
+    
+    this.elements.taskTagSelect.replaceChildren(
+      new Option('All tags', ''),
+      ...tagPaths.map(tag => new Option(`#${tag}`, tag))
+    );
+    this.elements.taskTagSelect.value = filter.tag;
+    this.elements.taskStatusSelect.value = filter.status;
+    
+    const tasks = this.notes
+      .filter(note => !filter.projectId || String(note.projectId) === filter.projectId)
+      .filter(note => this.matchesTag(note, filter.tag))
+      .flatMap(note => this.extractTasks(note))
+      .filter(task => filter.status === 'all' || task.checked === (filter.status === 'done'));
+    
+    const tasksList = this.elements.tasksList;
+    tasksList.innerHTML = '';
+    
+    if (tasks.length === 0) {
+      const label = { open: 'No open tasks', done: 'No finished tasks', all: 'No tasks' }[filter.status];
+      tasksList.innerHTML = `<div class="tasks-empty">${label}</div>`;
+      return;
+    }
+    
+    // Projects in sidebar order, then notes without one
+    const groups = [
+      ...this.projects.map(project => ({ project, tasks: tasks.filter(task => task.note.projectId == project.id) })),
+      { project: null, tasks: tasks.filter(task => !this.projects.some(project => project.id == task.note.projectId)) }
+    ].filter(group => group.tasks.length > 0);
+    
+    groups.forEach(({ project, tasks: groupTasks }) => {
+      const group = document.createElement('div');
+      group.className = 'task-group';
+      group.innerHTML = `
+        <div class="task-group-title">
+          ${project ? `<span class="project-color" style="background-color: ${this.projectColor(project)}"></span>` : ''}
+          ${project ? this.escapeHtml(project.name) : 'No project'}
         </div>
       `;
       
-      // Add note previews if available
-      if (projectNotes.length > 0) {
-        const notesPreview = document.createElement('div');
-        notesPreview.className = 'project-card-notes';
+      groupTasks.forEach(task => {
+        const taskItem = document.createElement('div');
+        taskItem.className = `task-item ${task.checked ? 'done' : ''}`;
+        taskItem.innerHTML = `
+          <input type="checkbox" class="task-check" ${task.checked ? 'checked' : ''}>
+          <div class="task-info">
+            <div class="task-text">${this.escapeHtml(task.text) || '<em>Empty task</em>'}</div>
+            <button class="task-note" title="Go to note">${this.escapeHtml(task.note.title || 'Untitled')}</button>
+          </div>
+        `;
         
-        projectNotes.slice(0, 3).forEach(note => {
-          const notePreview = document.createElement('div');
-          notePreview.className = 'project-card-note';
-          notePreview.textContent = note.title;
-          notesPreview.appendChild(notePreview);
+        taskItem.querySelector('.task-check').addEventListener('change', (e) => {
+          this.setTaskChecked(task, e.target.checked);
         });
         
-        if (projectNotes.length > 3) {
-          const moreNotes = document.createElement('div');
-          moreNotes.className = 'project-card-note';
-          moreNotes.textContent = `+ ${projectNotes.length - 3} more...`;
-          notesPreview.appendChild(moreNotes);
-        }
+        taskItem.querySelector('.task-note').addEventListener('click', () => {
+          this.openNote(task.note.id);
+        });
         
-        projectCard.appendChild(notesPreview);
-      }
-      
-      // Select project button
-      const selectButton = projectCard.querySelector('.select-project');
-      selectButton.addEventListener('click', () => {
-        this.currentProject = project.id;
-        this.renderProjects();
-        this.renderNotes();
-        this.closeModals();
-        this.toastService.show(`Switched to ${project.name}`, 'info');
-      });
-      
-      // Delete project button
-      const deleteButton = projectCard.querySelector('.delete-project');
-      deleteButton.addEventListener('click', () => {
-        if (confirm(`Are you sure you want to delete the project "${project.name}" and all its notes?`)) {
-          this.deleteProject(project.id);
-          this.closeModals();
-        }
+        group.appendChild(taskItem);
       });
       
-      projectsGrid.appendChild(projectCard);
-    });
-    
-    // Add "Create New Project" card
-    const newProjectCard = document.createElement('div');
-    newProjectCard.className = 'project-card new-project';
-    newProjectCard.innerHTML = `
-      <div class="project-card-title">Create New Project</div>
-      <div class="project-card-icon">+</div>
-    `;
-    
-    newProjectCard.addEventListener('click', () => {
-      this.toastService.showInputPrompt('Enter project name:', (name) => {
-        if (name.trim()) {
-          this.addProject(name);
-          this.closeModals();
-        }
-      });
+      tasksList.appendChild(group);
     });
+  }
+
+  /**
+   * Render tags in the sidebar
+   */
+  renderTags() {
+    if (this.isLocked) return;
     
-    projectsGrid.appendChild(newProjectCard);
+    const tagsContainer = this.elements.tagsContainer;
+    tagsContainer.innerHTML = '';
     
-    // Show the modal
-    this.elements.projectsModal.classList.add('active');
+    this.renderTagLevel(tagsContainer, this.buildTagTree());
   }
 
   /**
-   * Close all modals
+   * Every tag, plus the parents of nested tags even if no note uses them on their own
+   * @returns {Array<string>} - Tag paths, sorted
    */
-  closeModals() {
-    this.elements.versionModal.classList.remove('active');
-    this.elements.projectsModal.classList.remove('active');
+  tagPaths() {
+    const paths = new Set();
+    this.tags.forEach(tag => {
+      const parts = tag.split('/');
+      parts.forEach((part, index) => paths.add(parts.slice(0, index + 1).join('/')));
+    });
+    return Array.from(paths).sort();
   }
 
   /**
-   * Render tags in the sidebar
+   * Arrange the tags as a tree of nested tags
+   * @returns {Array<Object>} - Top-level nodes: {name, path, count, children}, sorted by name
    */
-  renderTags() {
-    const tagsContainer = this.elements.tagsContainer;
-    tagsContainer.innerHTML = '';
+  buildTagTree() {
+    const root = { children: [] };
+    const nodes = new Map();
     
-    // Sort tags alphabetically
-    const sortedTags = Array.from(this.tags).sort();
+    // Sorted paths put every parent before its children
+    this.tagPaths().forEach(path => {
+      const separator = path.lastIndexOf('/');
+      const parent = separator === -1 ? root : nodes.get(path.slice(0, separator));
+      const node = {
+        name: path.slice(separator + 1),
+        path,
+        count: this.notes.filter(note => this.matchesTag(note, path)).length, // Includes nested tags
+        children: []
+      };
+      
+      nodes.set(path, node);
+      parent.children.push(node);
+    });
     
-    sortedTags.forEach(tag => {
+    return root.children;
+  }
+
+  /**
+   * Render one level of the tag tree; tags with children get a toggle to collapse them
+   * @param {Element} container - Element to render into
+   * @param {Array<Object>} nodes - Nodes from buildTagTree()
+   */
+  renderTagLevel(container, nodes) {
+    nodes.forEach(node => {
       const tagElement = document.createElement('div');
-      tagElement.className = `tag ${this.currentTag === tag ? 'active' : ''}`;
-      tagElement.textContent = tag;
+      const included = this.tagFilter.include.includes(node.path);
+      const excluded = this.tagFilter.exclude.includes(node.path);
+      tagElement.className = `tag ${included || excluded ? 'active' : ''} ${excluded ? 'excluded' : ''}`;
+      tagElement.title = `#${node.path} · ${node.count} note${node.count !== 1 ? 's' : ''} · Shift+click to exclude`;
+      tagElement.innerHTML = `${this.escapeHtml(node.name)} <span class="tag-count">${node.count}</span>`;
+      
+      tagElement.addEventListener('click', (e) => {
+        this.filterByTag(node.path, e.shiftKey);
+      });
+      
+      if (node.children.length === 0) {
+        container.appendChild(tagElement);
+        return;
+      }
       
-      tagElement.addEventListener('click', () => {
-        this.filterByTag(tag);
+      const collapsed = this.collapsedTags.has(node.path);
+      const group = document.createElement('div');
+      group.className = 'tag-group';
+      group.innerHTML = `
+        <div class="tag-group-header">
+          <button class="tag-toggle" aria-expanded="${!collapsed}" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</button>
+        </div>
+        <div class="tag-children tags-container" ${collapsed ? 'hidden' : ''}></div>
+      `;
+      group.querySelector('.tag-group-header').appendChild(tagElement);
+      
+      group.querySelector('.tag-toggle').addEventListener('click', () => {
+        this.toggleTagCollapsed(node.path);
       });
       
-      tagsContainer.appendChild(tagElement);
+      this.renderTagLevel(group.querySelector('.tag-children'), node.children);
+      container.appendChild(group);
     });
   }
 
+  /**
+   * Collapse or expand a parent tag in the sidebar
+   * @param {string} path - Parent tag
+   */
+  toggleTagCollapsed(path) {
+    if (this.collapsedTags.has(path)) {
+      this.collapsedTags.delete(path);
+    } else {
+      this.collapsedTags.add(path);
+    }
+    
+    localStorage.setItem('collapsedTags', JSON.stringify(Array.from(this.collapsedTags)));
+    this.renderTags();
+  }
+
   /**
    * Update word count display
    */
@@ -1284,20 +10392,43 @@ class NotesApp {
   stripHtml(html) {
     if (!html) return '';
     
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
-    return temp.textContent || temp.innerText || '';
+    // A template keeps images from loading and handlers from running while parsing
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content.textContent || '';
   }
   
   /**
-   * Escape HTML for safe insertion
+   * Escape HTML for safe insertion, in element content or a quoted attribute
    * @param {string} text - Text to escape
    * @returns {string} - Escaped text
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Reduce text from an untrusted file to a single line of plain text
+   * @param {string} text - Text that may hold markup and line breaks
+   * @param {number} [maxLength=200] - Longest line kept
+   * @returns {string} - Plain text
+   */
+  toPlainLine(text, maxLength = 200) {
+    return this.stripHtml(String(text)).replace(/\s+/g, ' ').trim().slice(0, maxLength);
+  }
+
+  /**
+   * A project's color, safe to put in a style attribute
+   * @param {Object} project - Project
+   * @returns {string} - Hex color, or the first default color if the stored one isn't valid
+   */
+  projectColor(project) {
+    return /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(project.color) ? project.color : this.projectColors[0];
   }
 }
 